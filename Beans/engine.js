@@ -0,0 +1,1493 @@
+// ===== BEANS PUZZLE ENGINE =====
+// Everything about a Beans puzzle that doesn't need a page: generation, uniqueness, rule
+// checking, puzzle codes and the text/JSON formats
+// A puzzle is a plain object: {size, regions, solution, rules} where regions is a flat array
+// (regions[row * size + col] is that cell's region number), solution is a list of {row, col} and
+// rules says how many beans each line needs and what counts as touching (see rules.js)
+// Functions that depend on the rules take them as their last argument, defaulting to classic Beans
+// Nothing here touches the DOM or keeps global state, so Node can import it for tests and tools
+
+import { rateDifficulty, DIFFICULTIES } from './solver.js';
+import {
+    DEFAULT_RULES,
+    RULE_VARIANTS,
+    isSameRules,
+    findRuleVariant,
+    encodeRules,
+    decodeRules,
+    getTouchingOffsets,
+    areTouching,
+    describeQuota
+} from './rules.js';
+
+// The solver's public pieces are part of the engine too
+export {
+    DEDUCTION_LEVELS,
+    DIFFICULTIES,
+    createSolverState,
+    findNextDeduction,
+    applyDeduction,
+    solveLogically,
+    rateDifficulty,
+    capitalize
+} from './solver.js';
+
+// ...and so are the rule variants
+export {
+    DEFAULT_RULES,
+    RULE_VARIANTS,
+    findRuleVariant,
+    isSameRules,
+    encodeRules,
+    decodeRules,
+    describeRules,
+    describeQuota
+} from './rules.js';
+
+// ===== LIMITS =====
+
+export const MIN_GRID_SIZE = 5; // Smallest board offered (quick warm-ups)
+export const MAX_GRID_SIZE = 12; // Largest board offered (real challenges)
+export const MAX_SEED = 36 ** 6; // Seeds fit in 6 base-36 characters, which keeps puzzle codes short
+export const MAX_DIFFICULTY_ATTEMPTS = 30; // How many puzzles to try when hunting for a requested difficulty
+export const MAX_REGION_LAYOUTS = 20; // Fresh region layouts tried around one solution before drawing a new solution
+export const MAX_SOLUTION_ATTEMPTS = 20; // New solutions drawn before generation gives up
+
+// ===== SEEDED RANDOM NUMBERS =====
+// Math.random can't be replayed, so puzzle generation draws from this small seeded generator
+// (mulberry32). The same seed always produces the same sequence of numbers between 0 and 1
+
+export function createSeededRandom(seed) {
+    let state = seed >>> 0; // Work with the seed as an unsigned 32-bit integer
+
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick a fresh seed for a brand new puzzle
+export function createRandomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+// ===== SHUFFLE ARRAY =====
+// This helper function randomly shuffles an array in place (Fisher-Yates shuffle)
+
+export function shuffleArray(array, random) {
+    // Start from the end and swap each element with a random earlier element
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1)); // Random index from 0 to i
+        // Swap elements at positions i and j
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+// ===== PUZZLE CODES =====
+// A puzzle code is the board size and the seed in base 36, e.g. "8-k3j9x2"
+// Puzzles with other rules add the rule code (see encodeRules), e.g. "10-k3j9x2-2k"
+
+export function encodePuzzleCode(size, seed, rules = DEFAULT_RULES) {
+    const code = `${size}-${seed.toString(36)}`;
+    return isSameRules(rules, DEFAULT_RULES) ? code : `${code}-${encodeRules(rules)}`;
+}
+
+// Turn a code back into {size, seed, rules}, or null if it isn't a valid code
+export function decodePuzzleCode(code) {
+    const match = /^(\d{1,2})-([0-9a-z]{1,6})(?:-([0-9a-z]{2}))?$/.exec(code.trim().toLowerCase());
+    if (!match) return null;
+
+    const rules = match[3] ? decodeRules(match[3]) : DEFAULT_RULES;
+    if (!rules) return null;
+
+    const size = parseInt(match[1], 10);
+    const variant = findRuleVariant(rules);
+    if (size < variant.minSize || size > variant.maxSize) return null;
+
+    return { size, seed: parseInt(match[2], 36), rules };
+}
+
+// ===== GRADED PUZZLE =====
+// This function builds a puzzle of the requested difficulty ('Easy' ... 'Expert', or 'any')
+// Puzzles are generated and graded until one matches. The seeds tried all follow from the first
+// one, so the same starting seed always ends on the same puzzle - and the returned code records
+// the seed of the puzzle actually chosen
+// onProgress (optional) is called after each puzzle is graded with {attempt, maxAttempts, label}
+// Returns the closest puzzle found: {size, seed, code, regions, solution, rules, stats, rating, matched, gradedAttempts}
+
+export function generateGradedPuzzle(size, seed, targetDifficulty = 'any', onProgress = null, rules = DEFAULT_RULES) {
+    const targetGrade = DIFFICULTIES.indexOf(targetDifficulty); // -1 means any difficulty will do
+    const maxAttempts = targetGrade === -1 ? 1 : MAX_DIFFICULTY_ATTEMPTS;
+    const seedSource = createSeededRandom(seed); // Supplies the follow-up seeds
+    let best = null; // Closest match so far
+    let gradedAttempts = 0;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const attemptSeed = attempt === 1 ? seed : Math.floor(seedSource() * MAX_SEED);
+        const puzzle = generatePuzzle(size, attemptSeed, DEFAULT_REGION_STYLE, rules);
+
+        const rating = rateDifficulty(puzzle.regions, size, rules);
+        const distance = targetGrade === -1 ? 0 : Math.abs(rating.grade - targetGrade);
+
+        gradedAttempts = attempt;
+        if (onProgress) onProgress({ attempt, maxAttempts, label: rating.label });
+
+        if (!best || distance < best.distance) {
+            best = { ...puzzle, rating, distance };
+        }
+        if (distance === 0) break; // Found the grade we were after
+    }
+
+    const { distance, ...puzzle } = best;
+    return { ...puzzle, matched: distance === 0, gradedAttempts };
+}
+
+// ===== PUZZLE GENERATION =====
+// This function builds one puzzle (solution + regions with a unique answer) from a seed
+// Every random choice comes from a generator seeded with `seed`, so the same size and seed
+// always rebuild exactly the same regions and solution
+// The work is bounded: each solution gets MAX_REGION_LAYOUTS region layouts, and if none of
+// them can be made unique a new solution is drawn - some bean layouts just don't suit any
+// regions. After MAX_SOLUTION_ATTEMPTS solutions it gives up with an Error (which in practice
+// never happens), so generation always finishes
+// Returns {size, seed, code, regions, solution, rules, stats} where stats counts the work done:
+// {solutions, regionLayouts, repairs, uniquenessChecks}
+// `regionStyle` shapes the regions (see DEFAULT_REGION_STYLE) - the puzzle's code only
+// rebuilds it when the default style was used
+
+export function generatePuzzle(size, seed, regionStyle = DEFAULT_REGION_STYLE, rules = DEFAULT_RULES) {
+    const random = createSeededRandom(seed); // Every random choice below comes from this seed
+    const stats = { solutions: 0, regionLayouts: 0, repairs: 0, uniquenessChecks: 0 };
+
+    for (let solutionAttempt = 1; solutionAttempt <= MAX_SOLUTION_ATTEMPTS; solutionAttempt++) {
+        // Step 1: Create a valid solution (the right number of beans per row and column, no touching)
+        const solution = generateValidSolution(size, random, rules);
+        stats.solutions++;
+        if (!solution) continue; // These rules don't always fit on the first try
+
+        for (let layout = 1; layout <= MAX_REGION_LAYOUTS; layout++) {
+            // Step 2: Create colored regions based on where the solution beans are located
+            const regions = generateRegionsFromSolution(size, solution, random, regionStyle, rules);
+            stats.regionLayouts++;
+            if (!regions) continue; // The region's beans couldn't all be joined up
+
+            // Step 3: Adjust the regions until the puzzle has exactly one solution
+            if (makeSolutionUnique(regions, size, solution, random, stats, rules)) {
+                return { size, seed, code: encodePuzzleCode(size, seed, rules), regions, solution, rules, stats };
+            }
+            // The repairs went in circles, so start over with fresh regions
+        }
+        // None of the layouts worked for this solution - try a different solution
+    }
+
+    throw new Error(`Couldn't generate a unique ${size}x${size} puzzle from seed ${seed}`);
+}
+
+// ===== MAKE SOLUTION UNIQUE =====
+// Larger boards almost never come out unique on the first try, so rather than throwing the
+// regions away we nudge single cells to rule out each alternative solution as it is found
+// Changes `regions` in place; returns false if the repairs stop making progress
+
+function makeSolutionUnique(regions, size, solution, random, stats, rules) {
+    for (let repair = 1; ; repair++) {
+        const foundSolutions = [];
+        stats.uniquenessChecks++;
+        if (countSolutions(regions, size, foundSolutions, rules) === 1) return true; // Perfect! Exactly one solution
+
+        // Multiple solutions exist - try to break one of the alternatives with a small region change
+        const alternative = foundSolutions.find(found => !isSameSolution(found, solution));
+        if (repair > size * size || !breakAlternativeSolution(regions, size, solution, alternative, random)) {
+            return false;
+        }
+        stats.repairs++;
+    }
+}
+
+// ===== SOLUTION GENERATION =====
+// This function creates a valid bean placement that will serve as the puzzle's answer
+// CRITICAL CONSTRAINTS: One bean per row, one bean per column, no beans touching (including diagonally)
+// Touching follows rules.adjacency; rules with several beans per line are handed to
+// searchMultiBeanSolution, which returns null when it can't find a layout in time
+
+export function generateValidSolution(size, random, rules = DEFAULT_RULES) {
+    if (rules.beansPerUnit > 1) return searchMultiBeanSolution(size, random, rules);
+
+    let solution = []; // Start with an empty solution
+    let attempts = 0; // Track how many times we've tried to generate a solution
+    const maxAttempts = 1000; // Give up after 1000 failed attempts and use fallback
+
+    // Keep trying until we have size beans placed (one per row) or we've tried too many times
+    while (solution.length < size && attempts < maxAttempts) {
+        attempts++;
+        solution = []; // Reset solution for this attempt
+
+        // Create an array of available columns [0, 1, 2, ..., size - 1]
+        let availableCols = Array.from({length: size}, (_, i) => i);
+
+        // Shuffle the columns randomly to create variety in solutions
+        for (let i = availableCols.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [availableCols[i], availableCols[j]] = [availableCols[j], availableCols[i]];
+        }
+
+        // Track which columns have been used (to ensure one bean per column)
+        const usedCols = new Set();
+
+        // Try to place one bean in each row (0 through size - 1)
+        for (let row = 0; row < size; row++) {
+            let placed = false; // Track whether we successfully placed a bean in this row
+
+            // Try each column in our shuffled order
+            for (let colIndex = 0; colIndex < availableCols.length; colIndex++) {
+                const col = availableCols[colIndex];
+
+                // Skip if this column is already used
+                if (usedCols.has(col)) continue;
+
+                // Check if we can place a bean at this position without it touching existing beans
+                if (isValidPlacement(row, col, solution, rules)) {
+                    solution.push({row, col}); // Add this bean to our solution
+                    usedCols.add(col); // Mark this column as used
+                    placed = true;
+                    break; // Move on to the next row
+                }
+            }
+
+            // If we couldn't place a bean in this row, this attempt failed
+            if (!placed) {
+                break; // Start over with a new random column order
+            }
+        }
+    }
+
+    // If we failed to generate a valid solution, use a pre-made pattern that's guaranteed to work
+    // (for either kind of touching)
+    if (solution.length !== size) {
+        console.error('Failed to generate valid solution');
+        solution = generateFallbackSolution(size);
+    }
+
+    return solution;
+}
+
+// ===== MULTI-BEAN SOLUTION SEARCH =====
+// With several beans per row and column, picking columns greedily almost always paints itself
+// into a corner, so this searches row by row instead, backing up when a row can't be filled
+// Each row tries its column combinations in random order; a column that still needs more beans
+// than the rows left can give it (beans in one column can't sit in neighbouring rows) ends the
+// branch early. Gives up and returns null after MAX_SOLUTION_SEARCH_STEPS rows tried
+
+const MAX_SOLUTION_SEARCH_STEPS = 20000;
+
+function searchMultiBeanSolution(size, random, rules) {
+    const beansPerLine = rules.beansPerUnit;
+    const colCounts = Array(size).fill(0);
+    const solution = [];
+    let steps = 0;
+
+    // Every way to pick this row's columns, in random order
+    function rowChoices(row) {
+        const cols = Array.from({length: size}, (_, col) => col)
+            .filter(col => colCounts[col] < beansPerLine && isValidPlacement(row, col, solution, rules));
+        shuffleArray(cols, random);
+
+        const choices = [];
+        (function choose(start, chosen) {
+            if (chosen.length === beansPerLine) {
+                choices.push(chosen.slice());
+                return;
+            }
+            for (let i = start; i < cols.length; i++) {
+                if (chosen.some(col => Math.abs(col - cols[i]) <= 1)) continue; // Side by side in the row
+                chosen.push(cols[i]);
+                choose(i + 1, chosen);
+                chosen.pop();
+            }
+        })(0, []);
+        return choices;
+    }
+
+    function fillRow(row) {
+        if (row === size) return true;
+        if (++steps > MAX_SOLUTION_SEARCH_STEPS) return false;
+
+        const rowsLeft = size - row - 1; // Rows after this one
+        for (const cols of rowChoices(row)) {
+            cols.forEach(col => { colCounts[col]++; solution.push({row, col}); });
+
+            const canFinish = colCounts.every((count, col) =>
+                beansPerLine - count <= Math.ceil((rowsLeft - (cols.includes(col) ? 1 : 0)) / 2));
+            if (canFinish && fillRow(row + 1)) return true;
+
+            cols.forEach(col => { colCounts[col]--; solution.pop(); });
+        }
+        return false;
+    }
+
+    return fillRow(0) ? solution : null;
+}
+
+// ===== PLACEMENT VALIDATION =====
+// This function checks if placing a bean at a specific position would touch any existing beans
+// (see areTouching in rules.js - diagonal neighbours only count under 'king' adjacency)
+
+export function isValidPlacement(row, col, existingBeans, rules = DEFAULT_RULES) {
+    // Check every bean that's already been placed
+    return !existingBeans.some(bean => areTouching(bean, {row, col}, rules));
+}
+
+// ===== FALLBACK SOLUTION =====
+// This function provides a guaranteed valid solution pattern in case random generation fails
+
+export function generateFallbackSolution(size) {
+    // Place beans in every odd column first, then every even column, one per row
+    // For an 8x8 board the columns are 1, 3, 5, 7, 0, 2, 4, 6
+    // Neighbouring rows are always at least 2 columns apart, and the jump from the last odd
+    // column back to column 0 is at least 3, so no two beans ever touch (works for any size >= 4)
+    const columns = [];
+    for (let col = 1; col < size; col += 2) columns.push(col); // Odd columns
+    for (let col = 0; col < size; col += 2) columns.push(col); // Even columns
+
+    return columns.map((col, row) => ({row, col}));
+}
+
+// ===== REGION STYLE =====
+// How generated regions are shaped
+// sizeSpread runs from 0 (every region about the same size) to 1 (a few sprawling regions among
+// many small ones). The shape weights set how often a region grows as a long thin snake, a
+// compact blob, or stays a single cell (at most maxSingleFraction of the regions do that, since
+// each one gives its bean away)
+// Puzzle codes rebuild puzzles with this default style, so changing it changes every code
+
+export const DEFAULT_REGION_STYLE = {
+    sizeSpread: 0.6,
+    shapes: { snake: 0.3, blob: 0.6, single: 0.1 },
+    maxSingleFraction: 0.2
+};
+
+// ===== REGION GENERATION =====
+// This function creates size colored regions on the board, each containing exactly one solution bean
+// This ensures the puzzle has the constraint that each colored region must have exactly one bean
+// CRITICAL: Regions must be continuous - all cells of the same color must be connected
+// Every region starts on its bean and only ever takes cells touching it, so regions are
+// connected by construction and a layout never has to be thrown away
+// With more than one bean per region, the region's beans are first joined by a path - if some
+// of them can't be joined, null is returned and the caller tries a new layout
+// `style` is a DEFAULT_REGION_STYLE-like object
+
+export function generateRegionsFromSolution(size, solution, random, style = DEFAULT_REGION_STYLE, rules = DEFAULT_RULES) {
+    // Initialize every cell (size x size) as unassigned (region -1)
+    const regions = Array(size * size).fill(-1);
+
+    // Step 1: Assign each region its solution beans (regions 0 to size - 1)
+    // This ensures each region will have exactly the right number of beans from the solution
+    const regionBeans = groupSolutionBeans(size, solution, random, rules);
+    regionBeans.forEach((beans, regionIndex) => {
+        beans.forEach(bean => { regions[bean.row * size + bean.col] = regionIndex; });
+    });
+    if (!joinRegionBeans(regions, size, regionBeans)) return null;
+
+    // Step 2: Give every region a shape and a target size (a region holding several beans
+    // already has several cells, so it can't stay a single cell)
+    const regionStyle = rules.beansPerUnit > 1 ? { ...style, maxSingleFraction: 0 } : style;
+    const shapes = pickRegionShapes(size, random, regionStyle);
+    const targetSizes = planRegionSizes(size, shapes, random, style.sizeSpread);
+    const regionSizes = Array(size).fill(0);
+    regions.forEach(regionIndex => { if (regionIndex !== -1) regionSizes[regionIndex]++; });
+    const heads = regionBeans.map(beans => beans[beans.length - 1]) // Snakes grow from their newest cell
+        .map(bean => bean.row * size + bean.col);
+
+    // Step 3: Grow the regions one cell at a time
+    // Regions short of their target go first (the further short, the likelier to be picked);
+    // cells none of them can reach go to a region touching them - preferably one that's still
+    // small for its target, and single cells only as a last resort
+    let unassignedCount = regions.filter(regionIndex => regionIndex === -1).length;
+    while (unassignedCount > 0) {
+        const frontiers = regionSizes.map((_, regionIndex) => findRegionFrontier(regions, size, regionIndex));
+        const canGrow = regionIndex => frontiers[regionIndex].length > 0;
+
+        let regionIndex = pickWeightedRegion(size, random, r =>
+            (canGrow(r) && regionSizes[r] < targetSizes[r] ? targetSizes[r] - regionSizes[r] : 0));
+        if (regionIndex === -1) {
+            regionIndex = pickWeightedRegion(size, random, r =>
+                (canGrow(r) && shapes[r] !== 'single' ? (targetSizes[r] / regionSizes[r]) ** 2 : 0));
+        }
+        if (regionIndex === -1) {
+            regionIndex = pickWeightedRegion(size, random, r => (canGrow(r) ? 1 : 0));
+        }
+
+        const cell = chooseGrowthCell(regions, size, regionIndex, shapes[regionIndex], heads[regionIndex], frontiers[regionIndex], random);
+        regions[cell] = regionIndex;
+        regionSizes[regionIndex]++;
+        heads[regionIndex] = cell;
+        unassignedCount--;
+    }
+
+    // Step 4: The leftovers in step 3 push some regions past their targets - move cells back
+    // from those to neighbours that fell short, without splitting anything
+    balanceRegions(regions, size, solution, targetSizes);
+
+    return regions;
+}
+
+// ===== REGION SHAPES AND SIZES =====
+// Helpers for generateRegionsFromSolution
+
+// Share the solution's beans out between the regions, rules.beansPerUnit each
+// With one bean per region, region i simply gets bean i; otherwise each region collects beans
+// near each other, so the paths joining them stay short
+function groupSolutionBeans(size, solution, random, rules) {
+    if (rules.beansPerUnit === 1) return solution.map(bean => [bean]);
+
+    const distance = (a, b) => Math.abs(a.row - b.row) + Math.abs(a.col - b.col);
+    const remaining = solution.slice();
+    shuffleArray(remaining, random);
+
+    const groups = [];
+    while (remaining.length > 0) {
+        const group = [remaining.shift()];
+        while (group.length < rules.beansPerUnit) {
+            // The bean closest to any bean already in the group
+            let closest = 0;
+            remaining.forEach((bean, index) => {
+                const gap = Math.min(...group.map(member => distance(member, bean)));
+                const closestGap = Math.min(...group.map(member => distance(member, remaining[closest])));
+                if (gap < closestGap) closest = index;
+            });
+            group.push(remaining.splice(closest, 1)[0]);
+        }
+        groups.push(group);
+    }
+    return groups;
+}
+
+// Join each region's beans with the shortest path of unassigned cells (regions with the closest
+// beans go first, so they don't get walled off by longer paths)
+// Returns false when some region's beans can't be reached from each other
+function joinRegionBeans(regions, size, regionBeans) {
+    const spread = beans => Math.max(...beans.map(a => Math.max(...beans.map(b =>
+        Math.abs(a.row - b.row) + Math.abs(a.col - b.col)))));
+    const order = regionBeans.map((_, regionIndex) => regionIndex)
+        .filter(regionIndex => regionBeans[regionIndex].length > 1)
+        .sort((a, b) => spread(regionBeans[a]) - spread(regionBeans[b]));
+
+    for (const regionIndex of order) {
+        for (const bean of regionBeans[regionIndex].slice(1)) {
+            const path = findPathToRegion(regions, size, regionIndex, bean.row * size + bean.col);
+            if (!path) return false;
+            path.forEach(cell => { regions[cell] = regionIndex; });
+        }
+    }
+    return true;
+}
+
+// Breadth-first search from a cell to the nearest cell of a region, only crossing unassigned
+// cells; returns the unassigned cells on the way, or null if the region can't be reached
+function findPathToRegion(regions, size, regionIndex, start) {
+    const cameFrom = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        const row = Math.floor(cell / size);
+        const col = cell % size;
+        const neighbors = [];
+        if (row > 0) neighbors.push(cell - size);
+        if (row < size - 1) neighbors.push(cell + size);
+        if (col > 0) neighbors.push(cell - 1);
+        if (col < size - 1) neighbors.push(cell + 1);
+
+        for (const next of neighbors) {
+            if (cameFrom.has(next)) continue;
+            if (regions[next] === regionIndex) {
+                // Walk back to the start, keeping only the unassigned cells in between
+                const path = [];
+                for (let step = cell; step !== start; step = cameFrom.get(step)) path.push(step);
+                return path;
+            }
+            if (regions[next] !== -1) continue;
+            cameFrom.set(next, cell);
+            queue.push(next);
+        }
+    }
+    return null;
+}
+
+// Pick 'snake', 'blob' or 'single' for each region using the style's weights
+function pickRegionShapes(size, random, style) {
+    const names = Object.keys(style.shapes);
+    const totalWeight = names.reduce((sum, name) => sum + style.shapes[name], 0);
+    const maxSingles = Math.floor(size * style.maxSingleFraction);
+    let singles = 0;
+
+    return Array.from({length: size}, () => {
+        let roll = random() * totalWeight;
+        let shape = names.find(name => (roll -= style.shapes[name]) < 0) || 'blob';
+        if (shape === 'single' && ++singles > maxSingles) shape = 'blob'; // Too many would give the puzzle away
+        return shape;
+    });
+}
+
+// Share the board out between the regions: single cells get 1, the rest get random shares
+// that differ more the higher the spread (up to about 50 times apart at a spread of 1)
+function planRegionSizes(size, shapes, random, sizeSpread) {
+    const weights = shapes.map(shape => (shape === 'single' ? 0 : Math.exp(sizeSpread * 4 * (random() - 0.5))));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const singles = shapes.filter(shape => shape === 'single').length;
+    const cellsToShare = size * size - singles;
+
+    return weights.map(weight => (weight === 0 ? 1 : Math.max(2, Math.round((weight / totalWeight) * cellsToShare))));
+}
+
+// Unassigned cells touching a region (each listed once)
+function findRegionFrontier(regions, size, regionIndex) {
+    const frontier = [];
+    for (let i = 0; i < size * size; i++) {
+        if (regions[i] !== -1) continue;
+        const row = Math.floor(i / size);
+        const col = i % size;
+        if (getNeighborRegions(regions, size, row, col).includes(regionIndex)) frontier.push(i);
+    }
+    return frontier;
+}
+
+// Pick a region with chance proportional to weightOf(region), or -1 if every weight is 0
+function pickWeightedRegion(size, random, weightOf) {
+    const weights = Array.from({length: size}, (_, regionIndex) => weightOf(regionIndex));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) return -1;
+
+    let roll = random() * totalWeight;
+    for (let regionIndex = 0; regionIndex < size; regionIndex++) {
+        roll -= weights[regionIndex];
+        if (roll < 0 && weights[regionIndex] > 0) return regionIndex;
+    }
+    return weights.findLastIndex(weight => weight > 0); // Rounding left the roll just past the end
+}
+
+// Choose which frontier cell a region takes next, according to its shape:
+// - snakes extend from their newest cell into cells that touch the region only once, so they
+//   stay one cell wide and wind across the board
+// - blobs take the cell touching the region the most, so they fill out into compact shapes
+// (single cells only grow when nothing else can reach a cell, and then any cell will do)
+function chooseGrowthCell(regions, size, regionIndex, shape, head, frontier, random) {
+    let best = frontier[0];
+    let bestScore = -Infinity;
+
+    for (const cell of frontier) {
+        const row = Math.floor(cell / size);
+        const col = cell % size;
+        const touching = [[-1, 0], [1, 0], [0, -1], [0, 1]].filter(([dr, dc]) =>
+            row + dr >= 0 && row + dr < size && col + dc >= 0 && col + dc < size &&
+            regions[(row + dr) * size + col + dc] === regionIndex).length;
+
+        let score = random(); // Breaks ties, and is all a single cell's growth goes on
+        if (shape === 'snake') {
+            const nextToHead = Math.abs(Math.floor(head / size) - row) + Math.abs((head % size) - col) === 1;
+            score += (nextToHead ? 4 : 0) - 3 * (touching - 1);
+        } else if (shape === 'blob') {
+            score += 2 * touching;
+        }
+
+        if (score > bestScore) {
+            best = cell;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+// ===== BALANCE REGIONS =====
+// This function moves cells between neighbouring regions to bring each region closer to its
+// target size (`targetSizes[region]`, or size cells each when no targets are given)
+// CRITICAL: This function must maintain continuity - regions cannot be split into separate pieces
+// Changes `regions` in place
+
+export function balanceRegions(regions, size, solution, targetSizes = Array(size).fill(size)) {
+    const regionSizes = Array(size).fill(0); // Track how many cells in each region
+
+    // Count the current size of each region
+    regions.forEach(r => regionSizes[r]++);
+
+    // Try to balance by moving cells from oversized regions to undersized ones
+    for (let attempt = 0; attempt < 100; attempt++) {
+        let changed = false; // Track if we made any changes this iteration
+
+        for (let i = 0; i < size * size; i++) {
+            const currentRegion = regions[i];
+
+            // If this region has too many cells
+            if (regionSizes[currentRegion] > targetSizes[currentRegion]) {
+                const row = Math.floor(i / size);
+                const col = i % size;
+
+                // Get the regions of neighboring cells
+                const neighbors = getNeighborRegions(regions, size, row, col);
+
+                // Try to move this cell to a neighbor region that's too small
+                for (const neighborRegion of neighbors) {
+                    if (neighborRegion !== currentRegion && regionSizes[neighborRegion] < targetSizes[neighborRegion]) {
+                        // Don't move cells that contain solution beans
+                        const isSolutionCell = solution.some(s => s.row === row && s.col === col);
+
+                        if (!isSolutionCell) {
+                            // CRITICAL CHECK: Verify that moving this cell won't disconnect the current region
+                            // Temporarily move the cell and check if the region is still continuous
+                            const originalRegion = regions[i];
+                            regions[i] = neighborRegion;
+
+                            // Check if the original region is still connected
+                            if (isRegionConnected(originalRegion, regions, size)) {
+                                // Safe to move! Update the region sizes
+                                regionSizes[currentRegion]--;
+                                regionSizes[neighborRegion]++;
+                                changed = true;
+                                break;
+                            } else {
+                                // Moving this cell would split the region - undo it!
+                                regions[i] = originalRegion;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Stop if no changes were made (regions are balanced)
+        if (!changed) break;
+    }
+}
+
+// ===== GET NEIGHBOR REGIONS =====
+// This function returns a list of which regions are adjacent to a given cell
+
+export function getNeighborRegions(regions, size, row, col) {
+    const neighbors = new Set(); // Use Set to avoid duplicates
+
+    // Check the region above this cell
+    if (row > 0) neighbors.add(regions[(row - 1) * size + col]);
+    // Check the region below this cell
+    if (row < size - 1) neighbors.add(regions[(row + 1) * size + col]);
+    // Check the region to the left
+    if (col > 0) neighbors.add(regions[row * size + (col - 1)]);
+    // Check the region to the right
+    if (col < size - 1) neighbors.add(regions[row * size + (col + 1)]);
+
+    return Array.from(neighbors); // Convert Set back to Array
+}
+
+// ===== REGION BORDERS =====
+// This function works out which sides of a cell get a thick border: the edge of the board, and
+// every side facing a different region. The board on the page and printed puzzles (print.js)
+// both draw their borders from it
+
+export function findRegionBorders(regions, size, row, col) {
+    const currentRegion = regions[row * size + col];
+
+    return {
+        top: row === 0 || regions[(row - 1) * size + col] !== currentRegion,
+        bottom: row === size - 1 || regions[(row + 1) * size + col] !== currentRegion,
+        left: col === 0 || regions[row * size + (col - 1)] !== currentRegion,
+        right: col === size - 1 || regions[row * size + (col + 1)] !== currentRegion
+    };
+}
+
+// ===== CHECK REGION CONNECTIVITY =====
+// This function verifies that all cells of a given region are connected (no separated islands)
+// Uses flood-fill algorithm to ensure the region is one continuous piece
+
+export function isRegionConnected(regionNumber, regions, size) {
+    // Find all cells belonging to this region
+    const regionCells = [];
+    for (let i = 0; i < size * size; i++) {
+        if (regions[i] === regionNumber) {
+            const row = Math.floor(i / size);
+            const col = i % size;
+            regionCells.push({row, col, index: i});
+        }
+    }
+
+    // If region has 0 or 1 cell, it's automatically connected
+    if (regionCells.length <= 1) return true;
+
+    // Use flood-fill starting from the first cell to see if we can reach all cells
+    const visited = new Set();
+    const queue = [regionCells[0]]; // Start from first cell
+    visited.add(regionCells[0].index);
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        // Check all 4 neighbors (up, down, left, right)
+        const neighbors = [
+            {row: current.row - 1, col: current.col}, // Up
+            {row: current.row + 1, col: current.col}, // Down
+            {row: current.row, col: current.col - 1}, // Left
+            {row: current.row, col: current.col + 1}  // Right
+        ];
+
+        for (const neighbor of neighbors) {
+            // Skip if out of bounds
+            if (neighbor.row < 0 || neighbor.row >= size ||
+                neighbor.col < 0 || neighbor.col >= size) {
+                continue;
+            }
+
+            const neighborIndex = neighbor.row * size + neighbor.col;
+
+            // Skip if already visited
+            if (visited.has(neighborIndex)) continue;
+
+            // Skip if not part of this region
+            if (regions[neighborIndex] !== regionNumber) continue;
+
+            // Add to visited and queue
+            visited.add(neighborIndex);
+            queue.push({row: neighbor.row, col: neighbor.col, index: neighborIndex});
+        }
+    }
+
+    // If we visited all cells in the region, it's connected
+    // If we visited fewer cells, the region is split into disconnected pieces
+    return visited.size === regionCells.length;
+}
+
+// ===== COUNT SOLUTIONS =====
+// This function counts how many valid solutions exist for a puzzle (stopping at 2)
+// A puzzle should have exactly 1 solution to be a good puzzle
+// Pass an array as foundSolutions to also collect a copy of each solution found
+
+export function countSolutions(regions, size, foundSolutions = null, rules = DEFAULT_RULES) {
+    let solutionCount = 0; // Track how many valid solutions we find
+    const maxSolutions = 2; // Stop searching after finding 2 (we only need to know if it's unique)
+    const beansPerLine = rules.beansPerUnit;
+    const touchingOffsets = [[0, 0], ...getTouchingOffsets(rules)]; // A bean's own cell is closed too
+
+    // Build the three kinds of "line" that each need their beans: rows, columns and regions
+    // Each line is a list of cell indexes; searching line-by-line keeps big boards fast
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(Array.from({length: size}, (_, j) => i * size + j)); // Row i
+        lines.push(Array.from({length: size}, (_, j) => j * size + i)); // Column i
+        lines.push([]); // Region i (filled below)
+    }
+    regions.forEach((regionIndex, index) => lines[regionIndex * 3 + 2].push(index));
+
+    // Track what is still available while we search
+    const rowCounts = Array(size).fill(0); // Beans placed in each row
+    const colCounts = Array(size).fill(0);
+    const regionCounts = Array(size).fill(0);
+    const touching = Array(size * size).fill(0); // How many placed beans sit next to each cell
+    const skipped = Array(size * size).fill(0); // Cells ruled out by an earlier branch (see below)
+    const placedBeans = [];
+    const lineCounts = [rowCounts, colCounts, regionCounts]; // Indexed by line kind
+
+    // A cell can take a bean if its row, column and region still have room and no bean is next to it
+    function isOpen(index) {
+        const row = Math.floor(index / size);
+        const col = index % size;
+        return rowCounts[row] < beansPerLine && colCounts[col] < beansPerLine &&
+            regionCounts[regions[index]] < beansPerLine && touching[index] === 0 && skipped[index] === 0;
+    }
+
+    // Add (+1) or remove (-1) the "touching" mark around a bean
+    function markNeighbors(row, col, delta) {
+        for (const [dr, dc] of touchingOffsets) {
+            const r = row + dr;
+            const c = col + dc;
+            if (r >= 0 && r < size && c >= 0 && c < size) {
+                touching[r * size + c] += delta;
+            }
+        }
+    }
+
+    // Helper function to recursively try placing beans
+    function solve() {
+        // Base case: we've successfully placed every row's beans
+        if (placedBeans.length === size * beansPerLine) {
+            solutionCount++;
+            if (foundSolutions) {
+                foundSolutions.push(placedBeans.map(bean => ({row: bean.row, col: bean.col})));
+            }
+            return solutionCount >= maxSolutions; // Return true to stop searching
+        }
+
+        // Find the unfinished line with the fewest open cells - it has the fewest choices to try
+        // If any unfinished line has fewer open cells than beans still to place, this branch is a dead end
+        let bestCells = null;
+        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            const kind = lineIndex % 3; // 0 = row, 1 = column, 2 = region
+            const number = Math.floor(lineIndex / 3);
+            const missing = beansPerLine - lineCounts[kind][number];
+            if (missing === 0) continue; // This line already has its beans
+
+            const openCells = lines[lineIndex].filter(isOpen);
+            if (openCells.length < missing) return false;
+            if (missing > 1 && kind !== 2 && countSpacedCells(openCells, kind === 0 ? 1 : size) < missing) {
+                return false; // A row or column can't take two beans side by side
+            }
+            if (!bestCells || openCells.length < bestCells.length) bestCells = openCells;
+        }
+
+        // Try the line's next bean in each of its open cells
+        // Once a cell has been tried, the branches after it skip that cell, so with several beans
+        // per line the same set of beans is never reached twice in a different order (with one
+        // bean per line, the line is full after its bean anyway)
+        let result = false;
+        for (const index of bestCells) {
+            const row = Math.floor(index / size);
+            const col = index % size;
+            const regionIndex = regions[index];
+
+            // This is a valid placement! Try placing the bean here
+            placedBeans.push({row, col});
+            rowCounts[row]++;
+            colCounts[col]++;
+            regionCounts[regionIndex]++;
+            markNeighbors(row, col, 1);
+
+            // Recursively try to place the remaining beans
+            const shouldStop = solve();
+
+            // Backtrack: remove this bean and try other positions
+            placedBeans.pop();
+            rowCounts[row]--;
+            colCounts[col]--;
+            regionCounts[regionIndex]--;
+            markNeighbors(row, col, -1);
+
+            // Stop early if we've found multiple solutions
+            if (shouldStop) {
+                result = true;
+                break;
+            }
+            skipped[index]++;
+        }
+
+        bestCells.forEach(index => { if (skipped[index] > 0) skipped[index]--; });
+        return result;
+    }
+
+    solve();
+
+    return solutionCount;
+}
+
+// How many of a row's or column's cells (in order, `step` apart when next to each other) can
+// hold beans at once without any two being side by side - taking the first cell that fits each
+// time always finds the most
+function countSpacedCells(cells, step) {
+    let count = 0;
+    let last = -Infinity;
+    for (const cell of cells) {
+        if (cell - last > step) {
+            count++;
+            last = cell;
+        }
+    }
+    return count;
+}
+
+// ===== COMPARE SOLUTIONS =====
+// This helper checks whether two bean layouts put beans in exactly the same cells
+
+export function isSameSolution(first, second) {
+    if (first.length !== second.length) return false;
+    return first.every(bean => second.some(other => other.row === bean.row && other.col === bean.col));
+}
+
+// ===== BREAK ALTERNATIVE SOLUTION =====
+// This function rules out one unwanted solution by moving a single cell into a neighbouring region
+// The moved cell holds a bean in the alternative, so its new region ends up with two beans there
+// CRITICAL: The real solution is never touched and the region losing the cell must stay connected
+// When every such move would split the region losing the cell, the piece cut off from that
+// region's bean goes along with the moved cell (as long as it's small) - it touched the moved
+// cell, so the receiving region stays in one piece, and it holds no bean of either solution
+// Changes `regions` in place and returns true if a move was made
+
+export function breakAlternativeSolution(regions, size, solution, alternative, random) {
+    if (!alternative) return false;
+
+    // Only cells where the alternative differs from the real solution can be moved
+    const candidates = alternative.filter(bean => !solution.some(s => s.row === bean.row && s.col === bean.col));
+    shuffleArray(candidates, random); // Spread the changes around the board
+
+    for (const bean of candidates) {
+        const index = bean.row * size + bean.col;
+        const originalRegion = regions[index];
+
+        // Try handing this cell to each neighbouring region in turn
+        const neighborRegions = getNeighborRegions(regions, size, bean.row, bean.col).filter(r => r !== originalRegion);
+        shuffleArray(neighborRegions, random);
+
+        for (const neighborRegion of neighborRegions) {
+            regions[index] = neighborRegion;
+
+            // The receiving region stays connected because the cell touches it,
+            // so only the region giving up the cell needs checking
+            if (isRegionConnected(originalRegion, regions, size)) {
+                return true;
+            }
+            regions[index] = originalRegion; // Moving this cell would split the region - undo it!
+        }
+    }
+
+    // No clean move - try moving a cell together with whatever it would cut off
+    const maxCutOff = Math.ceil(size / 2); // Bigger pieces would change the puzzle too much
+    for (const bean of candidates) {
+        const index = bean.row * size + bean.col;
+        const originalRegion = regions[index];
+        const neighborRegions = getNeighborRegions(regions, size, bean.row, bean.col).filter(r => r !== originalRegion);
+
+        for (const neighborRegion of neighborRegions) {
+            regions[index] = neighborRegion;
+            const cutOff = findCutOffCells(originalRegion, regions, size, solution);
+            const cutsOffBean = cutOff.some(cell => solution.some(s => s.row * size + s.col === cell));
+            if (cutOff.length <= maxCutOff && !cutsOffBean) {
+                cutOff.forEach(cell => { regions[cell] = neighborRegion; });
+                return true;
+            }
+            regions[index] = originalRegion;
+        }
+    }
+
+    return false; // No small change breaks this alternative
+}
+
+// Cells of a region that can't reach the region's (first) solution bean
+function findCutOffCells(regionNumber, regions, size, solution) {
+    const bean = solution.find(s => regions[s.row * size + s.col] === regionNumber);
+    const reached = new Set([bean.row * size + bean.col]);
+    const queue = [bean.row * size + bean.col];
+
+    while (queue.length > 0) {
+        const index = queue.pop();
+        const row = Math.floor(index / size);
+        const col = index % size;
+        const neighbors = [];
+        if (row > 0) neighbors.push(index - size);
+        if (row < size - 1) neighbors.push(index + size);
+        if (col > 0) neighbors.push(index - 1);
+        if (col < size - 1) neighbors.push(index + 1);
+        for (const next of neighbors) {
+            if (regions[next] === regionNumber && !reached.has(next)) {
+                reached.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    const cutOff = [];
+    regions.forEach((r, index) => {
+        if (r === regionNumber && !reached.has(index)) cutOff.push(index);
+    });
+    return cutOff;
+}
+
+// ===== RULE CHECKING =====
+// These functions check a player's beans against the rules
+// Each broken rule is reported as {rule, index, message, cells}, where rule is 'row', 'column',
+// 'region' or 'touching', index is the row, column or region number (null for touching) and
+// cells lists the beans involved
+
+// Describe how far a row, column or region is from holding its beans
+function describeBeanCount(name, count) {
+    if (count === 0) return `${name} has no bean`;
+    return count === 1 ? `${name} has only 1 bean` : `${name} has ${count} beans`;
+}
+
+export function findRuleViolations(regions, size, beans, rules = DEFAULT_RULES) {
+    const violations = [];
+    const beansPerLine = rules.beansPerUnit;
+
+    // RULE 1: Check rows - each row must have exactly one bean (or rules.beansPerUnit beans)
+    for (let i = 0; i < size; i++) {
+        const beansInRow = beans.filter(b => b.row === i);
+        if (beansInRow.length !== beansPerLine) {
+            violations.push({ rule: 'row', index: i, message: describeBeanCount(`Row ${i + 1}`, beansInRow.length), cells: beansInRow });
+        }
+    }
+
+    // RULE 2: Check columns - each column must have exactly one bean (or rules.beansPerUnit beans)
+    for (let j = 0; j < size; j++) {
+        const beansInCol = beans.filter(b => b.col === j);
+        if (beansInCol.length !== beansPerLine) {
+            violations.push({ rule: 'column', index: j, message: describeBeanCount(`Column ${j + 1}`, beansInCol.length), cells: beansInCol });
+        }
+    }
+
+    // RULE 3: Check regions - each colored region must have exactly one bean (or rules.beansPerUnit beans)
+    for (let r = 0; r < size; r++) {
+        const beansInRegion = beans.filter(b => regions[b.row * size + b.col] === r);
+        if (beansInRegion.length !== beansPerLine) {
+            violations.push({ rule: 'region', index: r, message: describeBeanCount(`Region ${regionToLetter(r)}`, beansInRegion.length), cells: beansInRegion });
+        }
+    }
+
+    // RULE 4: Check touching - no two beans can touch each other (including diagonally, unless
+    // the rules allow that)
+    for (let i = 0; i < beans.length; i++) {
+        for (let j = i + 1; j < beans.length; j++) {
+            const b1 = beans[i];
+            const b2 = beans[j];
+
+            if (areTouching(b1, b2, rules)) {
+                violations.push({
+                    rule: 'touching',
+                    index: null,
+                    message: `Beans at (${b1.row + 1}, ${b1.col + 1}) and (${b2.row + 1}, ${b2.col + 1}) are touching`,
+                    cells: [b1, b2]
+                });
+            }
+        }
+    }
+
+    return violations;
+}
+
+// ===== LIVE CONFLICTS =====
+// The rules a board in progress already breaks, for highlighting while the player works:
+// a row, column or region with too many beans, touching beans, and a region that can no
+// longer hold its beans because too many of its cells are marked X (`xMarkers` should include
+// automatic Xs). Rows and columns that just don't have their beans yet aren't conflicts
+// Returns [{rule, index, message, cells, area}] like findRuleViolations (with the extra rule
+// 'blocked'), where `area` is every cell of the row, column or region at fault
+
+export function findLiveConflicts(regions, size, beans, xMarkers, rules = DEFAULT_RULES) {
+    const conflicts = findRuleViolations(regions, size, beans, rules)
+        .filter(violation => violation.rule === 'touching' || violation.cells.length > rules.beansPerUnit)
+        .map(violation => ({ ...violation, area: getRuleArea(regions, size, violation) }));
+
+    const marked = new Set(xMarkers.map(x => x.row * size + x.col));
+    for (let region = 0; region < size; region++) {
+        const area = getRuleArea(regions, size, { rule: 'region', index: region });
+        const unmarked = area.filter(cell => !marked.has(cell.row * size + cell.col)).length;
+        if (unmarked < rules.beansPerUnit) {
+            conflicts.push({
+                rule: 'blocked',
+                index: region,
+                message: unmarked === 0
+                    ? `Region ${regionToLetter(region)} is all Xs - it has nowhere left for its bean`
+                    : `Region ${regionToLetter(region)} has only ${unmarked} cell left without an X - it needs room for ${rules.beansPerUnit} beans`,
+                cells: [],
+                area
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+// Every cell a violation covers: its whole row, column or region (or just the touching beans)
+function getRuleArea(regions, size, violation) {
+    if (violation.rule === 'touching') return violation.cells.map(({ row, col }) => ({ row, col }));
+
+    const area = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if ((violation.rule === 'row' && row === violation.index) ||
+                (violation.rule === 'column' && col === violation.index) ||
+                (violation.rule === 'region' && regions[row * size + col] === violation.index)) {
+                area.push({ row, col });
+            }
+        }
+    }
+    return area;
+}
+
+// A finished board: every bean placed and no rule broken
+export function isSolved(regions, size, beans, rules = DEFAULT_RULES) {
+    return beans.length === size * rules.beansPerUnit && findRuleViolations(regions, size, beans, rules).length === 0;
+}
+
+// List the rules a newly placed bean breaks (its row, column or region already full, or touching another bean)
+export function findPlacementConflicts(regions, size, beans, row, col, rules = DEFAULT_RULES) {
+    const region = regions[row * size + col];
+    const conflicts = [];
+    const others = beans.filter(b => b.row !== row || b.col !== col);
+    const quota = describeQuota(rules);
+    const isFull = inLine => others.filter(inLine).length >= rules.beansPerUnit;
+
+    if (isFull(b => b.row === row)) conflicts.push(`row ${row + 1} already has ${quota}`);
+    if (isFull(b => b.col === col)) conflicts.push(`column ${col + 1} already has ${quota}`);
+    if (isFull(b => regions[b.row * size + b.col] === region)) {
+        conflicts.push(`region ${regionToLetter(region)} already has ${quota}`);
+    }
+    others
+        .filter(b => areTouching(b, {row, col}, rules))
+        .forEach(b => conflicts.push(`it touches the bean at row ${b.row + 1}, column ${b.col + 1}`));
+
+    return conflicts;
+}
+
+// ===== AUTO X MARKERS =====
+// Every cell a placed bean rules out: same row, same column, all 8 surrounding cells
+// (no diagonal beans allowed), and all remaining cells in the same colored region
+// With several beans per line, a row, column or region is only ruled out once it is full, and
+// with orthogonal adjacency only the 4 cells beside a bean are
+// Cells that already hold a bean or a manual X are left out
+
+export function findAutoXMarkers(regions, size, beans, xMarkers, rules = DEFAULT_RULES) {
+    const autoXMarkers = [];
+
+    // How many beans each row, column and region already has
+    const rowCounts = Array(size).fill(0);
+    const colCounts = Array(size).fill(0);
+    const regionCounts = Array(size).fill(0);
+    beans.forEach(bean => {
+        rowCounts[bean.row]++;
+        colCounts[bean.col]++;
+        regionCounts[regions[bean.row * size + bean.col]]++;
+    });
+
+    // Check every cell on the board
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            // Skip cells that already have a bean or a manual X marker
+            if (beans.some(b => b.row === i && b.col === j)) continue;
+            if (xMarkers.some(x => x.row === i && x.col === j)) continue;
+
+            // Get the region of the current cell
+            const cellRegion = regions[i * size + j];
+
+            // Determine if the beans rule this cell out
+            const ruledOut =
+                rowCounts[i] >= rules.beansPerUnit || // Its row is full
+                colCounts[j] >= rules.beansPerUnit || // Its column is full
+                regionCounts[cellRegion] >= rules.beansPerUnit || // Its region is full
+                beans.some(bean => areTouching(bean, { row: i, col: j }, rules)); // Touching a bean
+
+            if (ruledOut) autoXMarkers.push({ row: i, col: j });
+        }
+    }
+
+    return autoXMarkers;
+}
+
+// ===== IMPORT / EXPORT FORMATS =====
+// Puzzles can be moved in and out of the game in two formats:
+//
+// TEXT - one line per row, one region letter per cell (A = region 0, B = region 1, ...)
+//        Optional "solution:" and "progress:" sections follow, each another grid where
+//        B = bean, X = manual X marker and . = empty. For example:
+//
+//            AABBB
+//            ACCBB
+//            ...
+//            solution:
+//            .B...
+//            ...
+//
+// JSON - {"size": 8, "regions": [[0, 0, 1, ...], ...], "solution": [{"row": 0, "col": 3}, ...],
+//         "beansPlaced": [...], "xMarkers": [...]} where only size and regions are required
+//
+// Puzzles with other rules than classic Beans say so with their rule code (see encodeRules):
+// a "rules: 2k" line before the text grid, or "rules": "2k" in JSON
+// Text lines starting with # are comments (the batch generator in tools/ writes its notes that way)
+
+// Convert a region number to its letter and back
+export function regionToLetter(regionIndex) {
+    return String.fromCharCode(65 + regionIndex); // 0 -> A, 1 -> B, ...
+}
+
+export function letterToRegion(letter) {
+    return letter.toUpperCase().charCodeAt(0) - 65;
+}
+
+// ===== EXPORT PUZZLE =====
+// This function turns a puzzle into text or JSON
+// `extras` can carry a code, the solution and the player's progress (beansPlaced + xMarkers);
+// each is only written when present
+
+export function exportPuzzle(puzzle, format, extras = {}) {
+    const { size, regions, rules = DEFAULT_RULES } = puzzle;
+    const { code, solution, beansPlaced, xMarkers } = extras;
+    const isClassic = isSameRules(rules, DEFAULT_RULES);
+
+    if (format === 'json') {
+        const data = {
+            size,
+            regions: Array.from({length: size}, (_, row) => regions.slice(row * size, (row + 1) * size))
+        };
+        if (!isClassic) data.rules = encodeRules(rules);
+        if (code) data.code = code; // Handy for tracing a puzzle back to its seed
+        if (solution) data.solution = solution.map(({row, col}) => ({row, col}));
+        if (beansPlaced) {
+            data.beansPlaced = beansPlaced.map(({row, col}) => ({row, col}));
+            data.xMarkers = (xMarkers || []).map(({row, col}) => ({row, col}));
+        }
+        return JSON.stringify(data, null, 2);
+    }
+
+    // Text format: the rules (unless classic), the region grid, then any optional sections
+    const lines = isClassic ? [] : [`rules: ${encodeRules(rules)}`];
+    for (let row = 0; row < size; row++) {
+        let line = '';
+        for (let col = 0; col < size; col++) {
+            line += regionToLetter(regions[row * size + col]);
+        }
+        lines.push(line);
+    }
+
+    if (solution) {
+        lines.push('solution:', ...markerGridLines(size, solution, []));
+    }
+    if (beansPlaced) {
+        lines.push('progress:', ...markerGridLines(size, beansPlaced, xMarkers || []));
+    }
+
+    return lines.join('\n');
+}
+
+// Draw a list of beans and X markers as rows of B / X / . characters
+function markerGridLines(size, beans, xs) {
+    const lines = [];
+    for (let row = 0; row < size; row++) {
+        let line = '';
+        for (let col = 0; col < size; col++) {
+            if (beans.some(b => b.row === row && b.col === col)) line += 'B';
+            else if (xs.some(x => x.row === row && x.col === col)) line += 'X';
+            else line += '.';
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+// ===== PARSE IMPORTED PUZZLE =====
+// This function reads text or JSON (detected automatically) into a plain puzzle object:
+// {size, regions (flat array), rules, solution, beansPlaced, xMarkers}
+// Anything malformed throws an Error whose message can be shown to the player
+
+export function parsePuzzle(input) {
+    const trimmed = input.trim();
+    if (!trimmed) throw new Error('Paste a puzzle to import first');
+
+    return trimmed.startsWith('{') ? parsePuzzleJson(trimmed) : parsePuzzleText(trimmed);
+}
+
+function parsePuzzleJson(input) {
+    let data;
+    try {
+        data = JSON.parse(input);
+    } catch (error) {
+        throw new Error(`That isn't valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(data.regions) || !data.regions.every(Array.isArray)) {
+        throw new Error('JSON puzzles need a "regions" array of rows');
+    }
+
+    const size = data.regions.length;
+    if (data.size !== undefined && data.size !== size) {
+        throw new Error(`"size" is ${data.size} but there are ${size} rows of regions`);
+    }
+    data.regions.forEach((row, rowIndex) => {
+        if (row.length !== size) {
+            throw new Error(`Row ${rowIndex + 1} has ${row.length} cells - every row needs ${size}`);
+        }
+    });
+
+    return {
+        size,
+        regions: data.regions.flat(),
+        rules: data.rules === undefined ? DEFAULT_RULES : parseRuleCode(data.rules),
+        solution: data.solution ? parseCellList(data.solution, size, 'solution') : null,
+        beansPlaced: parseCellList(data.beansPlaced || [], size, 'beansPlaced'),
+        xMarkers: parseCellList(data.xMarkers || [], size, 'xMarkers')
+    };
+}
+
+// Check a JSON list of {row, col} cells is on the board
+function parseCellList(list, size, name) {
+    if (!Array.isArray(list)) throw new Error(`"${name}" must be a list of {row, col} cells`);
+
+    return list.map(cell => {
+        const isOnBoard = cell && Number.isInteger(cell.row) && Number.isInteger(cell.col) &&
+            cell.row >= 0 && cell.row < size && cell.col >= 0 && cell.col < size;
+        if (!isOnBoard) throw new Error(`"${name}" has a cell that isn't on the board: ${JSON.stringify(cell)}`);
+        return {row: cell.row, col: cell.col};
+    });
+}
+
+// Read a rule code from an imported puzzle
+function parseRuleCode(code) {
+    const rules = typeof code === 'string' ? decodeRules(code) : null;
+    if (!rules) {
+        const codes = RULE_VARIANTS.map(variant => encodeRules(variant.rules)).join(', ');
+        throw new Error(`"${code}" isn't a rule code - use one of ${codes}`);
+    }
+    return rules;
+}
+
+function parsePuzzleText(input) {
+    // Split the text into the region grid and any labelled sections
+    const sections = { regions: [] };
+    let current = 'regions';
+    let rules = DEFAULT_RULES;
+    for (const rawLine of input.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const rulesLine = /^rules:\s*(.*)$/i.exec(line);
+        if (rulesLine) {
+            rules = parseRuleCode(rulesLine[1]);
+            continue;
+        }
+
+        const heading = /^(solution|progress):$/i.exec(line);
+        if (heading) {
+            current = heading[1].toLowerCase();
+            sections[current] = [];
+            continue;
+        }
+        sections[current].push(line);
+    }
+
+    const size = sections.regions.length;
+    const regionMap = [];
+    sections.regions.forEach((line, rowIndex) => {
+        if (line.length !== size) {
+            throw new Error(`Row ${rowIndex + 1} has ${line.length} letters - a ${size}-row puzzle needs ${size} per row`);
+        }
+        for (const letter of line) {
+            if (!/[a-z]/i.test(letter)) {
+                throw new Error(`Row ${rowIndex + 1} contains "${letter}" - regions must be letters`);
+            }
+            regionMap.push(letterToRegion(letter));
+        }
+    });
+
+    const puzzle = { size, regions: regionMap, rules, solution: null, beansPlaced: [], xMarkers: [] };
+
+    if (sections.solution) {
+        puzzle.solution = parseMarkerGrid(sections.solution, size, 'solution').beans;
+    }
+    if (sections.progress) {
+        const progress = parseMarkerGrid(sections.progress, size, 'progress');
+        puzzle.beansPlaced = progress.beans;
+        puzzle.xMarkers = progress.xs;
+    }
+
+    return puzzle;
+}
+
+// Read a B / X / . grid back into bean and X marker lists
+function parseMarkerGrid(lines, size, name) {
+    if (lines.length !== size) {
+        throw new Error(`The ${name} grid has ${lines.length} rows - it needs ${size}`);
+    }
+
+    const beans = [];
+    const xs = [];
+    lines.forEach((line, row) => {
+        if (line.length !== size) {
+            throw new Error(`Row ${row + 1} of the ${name} grid needs ${size} characters`);
+        }
+        [...line].forEach((char, col) => {
+            if (char === 'B' || char === 'b') beans.push({row, col});
+            else if (char === 'X' || char === 'x') xs.push({row, col});
+            else if (char !== '.') throw new Error(`The ${name} grid can only use B, X and . (found "${char}")`);
+        });
+    });
+
+    return { beans, xs };
+}
+
+// ===== VALIDATE IMPORTED PUZZLE =====
+// This function makes sure an imported puzzle is playable:
+// the right number of regions, every region in one piece, and exactly one solution
+// under its rules (classic Beans when the puzzle has none)
+// Returns the puzzle's unique solution, or throws an Error explaining the problem
+
+export function validateImportedPuzzle(puzzle) {
+    const { size, regions, rules = DEFAULT_RULES } = puzzle;
+    const variant = findRuleVariant(rules);
+    const minSize = variant ? variant.minSize : MIN_GRID_SIZE;
+    const maxSize = variant ? variant.maxSize : MAX_GRID_SIZE;
+
+    if (size < minSize || size > maxSize) {
+        throw new Error(`Puzzles must be between ${minSize}x${minSize} and ${maxSize}x${maxSize} (this one is ${size}x${size})`);
+    }
+
+    // Every region number from 0 to size - 1 must be used, and nothing else
+    for (const regionIndex of regions) {
+        if (!Number.isInteger(regionIndex) || regionIndex < 0 || regionIndex >= size) {
+            throw new Error(`A ${size}x${size} puzzle needs exactly ${size} regions (${regionToLetter(0)}-${regionToLetter(size - 1)})`);
+        }
+    }
+    for (let r = 0; r < size; r++) {
+        if (!regions.includes(r)) {
+            throw new Error(`Region ${regionToLetter(r)} is missing - a ${size}x${size} puzzle needs ${size} regions`);
+        }
+        if (!isRegionConnected(r, regions, size)) {
+            throw new Error(`Region ${regionToLetter(r)} is split into separate pieces - every region must be one connected shape`);
+        }
+    }
+
+    // The puzzle must have one and only one answer
+    const foundSolutions = [];
+    const solutionCount = countSolutions(regions, size, foundSolutions, rules);
+    if (solutionCount === 0) {
+        throw new Error('This puzzle has no solution');
+    }
+    if (solutionCount > 1) {
+        throw new Error('This puzzle has more than one solution - a Beans puzzle must have exactly one');
+    }
+
+    // If a solution came with the puzzle, it has to be the real one
+    if (puzzle.solution && !isSameSolution(puzzle.solution, foundSolutions[0])) {
+        throw new Error("The included solution doesn't match the puzzle's only solution");
+    }
+
+    // Progress can't put a bean and an X in the same cell
+    const beansPlaced = puzzle.beansPlaced || [];
+    const xMarkers = puzzle.xMarkers || [];
+    for (const bean of beansPlaced) {
+        if (xMarkers.some(x => x.row === bean.row && x.col === bean.col)) {
+            throw new Error(`Cell (${bean.row + 1}, ${bean.col + 1}) has both a bean and an X`);
+        }
+    }
+    if (beansPlaced.length > size * rules.beansPerUnit) {
+        throw new Error(`The progress has ${beansPlaced.length} beans - at most ${size * rules.beansPerUnit} fit on this board`);
+    }
+
+    return foundSolutions[0];
+}
+
+// ===== LAYOUT ANALYSIS =====
+// This function checks a region layout while it is being drawn in the puzzle editor, where
+// cells that haven't been painted yet hold -1
+// Returns {unpainted, missingRegions, splitRegions, solutionCount, solutions}:
+// - unpainted: how many cells still need a region
+// - missingRegions / splitRegions: region numbers not used yet / not in one connected piece
+// - solutionCount: 0, 1 or 2 (meaning "more than one"), or null while the layout is unfinished
+// - solutions: the solutions found - two that differ when there is more than one
+// Solutions are counted under `rules`
+
+export function analyzeLayout(regions, size, rules = DEFAULT_RULES) {
+    const unpainted = regions.filter(regionIndex => regionIndex < 0 || regionIndex >= size).length;
+    const missingRegions = [];
+    const splitRegions = [];
+
+    for (let r = 0; r < size; r++) {
+        if (!regions.includes(r)) {
+            missingRegions.push(r);
+        } else if (!isRegionConnected(r, regions, size)) {
+            splitRegions.push(r);
+        }
+    }
+
+    // Solutions only mean something once the layout is a real puzzle
+    const solutions = [];
+    let solutionCount = null;
+    if (unpainted === 0 && missingRegions.length === 0 && splitRegions.length === 0) {
+        solutionCount = countSolutions(regions, size, solutions, rules);
+    }
+
+    return { unpainted, missingRegions, splitRegions, solutionCount, solutions };
+}
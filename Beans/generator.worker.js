@@ -0,0 +1,26 @@
+// ===== PUZZLE GENERATOR WORKER =====
+// Runs generateGradedPuzzle away from the page, so a 12x12 board or a long hunt for a Hard
+// puzzle never freezes the buttons, the timer or the board underneath
+// Loaded by scripts.js as a module worker: new Worker('generator.worker.js', { type: 'module' })
+//
+// Messages in:  { id, size, seed, difficulty, rules }
+// Messages out: { id, type: 'progress', attempt, maxAttempts, label } after each puzzle is graded
+//               { id, type: 'done', puzzle }
+//               { id, type: 'error', message }
+// There is no cancel message - the page cancels by terminating the worker, which stops the
+// search immediately even in the middle of a uniqueness check
+
+import { generateGradedPuzzle } from './engine.js';
+
+self.addEventListener('message', event => {
+    const { id, size, seed, difficulty, rules } = event.data;
+
+    try {
+        const puzzle = generateGradedPuzzle(size, seed, difficulty, progress => {
+            self.postMessage({ id, type: 'progress', ...progress });
+        }, rules);
+        self.postMessage({ id, type: 'done', puzzle });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,234 @@
+// ===== BEANS PRINTING =====
+// Puzzles as standalone SVG images, and print sheets that lay several puzzles out per page with
+// their answer keys on pages of their own
+// Both come out as strings and nothing here touches the DOM, so the page (scripts.js) and the
+// command line (tools/print.js) share them. Sheets are a plain HTML document - the browser's
+// print dialog turns them into paper or, with "Save as PDF", a PDF
+
+import {
+    DEFAULT_RULES,
+    findRuleVariant,
+    isSameRules,
+    describeRules,
+    findRegionBorders,
+    regionToLetter
+} from './engine.js';
+
+// ===== SVG =====
+
+export const SVG_CELL_SIZE = 40; // Pixels per cell; printed sheets scale the image to fit
+const THIN_LINE = 1; // Grid lines between cells of the same region
+const THICK_LINE = 3; // Region borders, as on the board
+const BEAN_COLOR = '#c39ad4'; // The lilac of the beans on the board
+const BEAN_SEED_COLOR = '#b88ac7';
+
+// This function draws a board as a standalone SVG document
+// `puzzle` is {size, regions}; options:
+//   solution - beans to draw on it (the answer key), or null for a blank puzzle
+//   colors   - fill color per region number, or null for white cells (cheaper to print)
+//   letters  - write each region's letter in its cells' corners, so regions can be told apart
+//              without color
+//   title    - text for the image's <title>, which screen readers and file browsers show
+
+export function renderPuzzleSvg(puzzle, options = {}) {
+    const { size, regions } = puzzle;
+    const { solution = null, colors = null, letters = false, title = 'Beans puzzle' } = options;
+    const cell = SVG_CELL_SIZE;
+    const total = size * cell + THICK_LINE; // Half a thick line of room on every side
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${total}" height="${total}" viewBox="0 0 ${total} ${total}" role="img">`,
+        `<title>${escapeMarkup(title)}</title>`,
+        `<g transform="translate(${THICK_LINE / 2} ${THICK_LINE / 2})">`
+    ];
+
+    // Cells, each outlined with a thin grid line
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const region = regions[row * size + col];
+            const fill = colors ? colors[region % colors.length] : '#fff';
+            parts.push(`<rect x="${col * cell}" y="${row * cell}" width="${cell}" height="${cell}" fill="${fill}" stroke="#999" stroke-width="${THIN_LINE}"/>`);
+            if (letters) {
+                parts.push(`<text x="${col * cell + 4}" y="${row * cell + 12}" font-family="sans-serif" font-size="10" fill="#555">${regionToLetter(region)}</text>`);
+            }
+        }
+    }
+
+    // Thick region borders, one path for the whole board
+    const segments = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const borders = findRegionBorders(regions, size, row, col);
+            const x = col * cell;
+            const y = row * cell;
+            if (borders.top) segments.push(`M${x} ${y}h${cell}`);
+            if (borders.bottom) segments.push(`M${x} ${y + cell}h${cell}`);
+            if (borders.left) segments.push(`M${x} ${y}v${cell}`);
+            if (borders.right) segments.push(`M${x + cell} ${y}v${cell}`);
+        }
+    }
+    parts.push(`<path d="${segments.join('')}" fill="none" stroke="#000" stroke-width="${THICK_LINE}" stroke-linecap="square"/>`);
+
+    // Beans, tilted like the ones on the board
+    if (solution) {
+        for (const bean of solution) {
+            const x = bean.col * cell + cell / 2;
+            const y = bean.row * cell + cell / 2;
+            parts.push(
+                `<g transform="rotate(-20 ${x} ${y})">` +
+                `<ellipse cx="${x}" cy="${y}" rx="${cell * 0.25}" ry="${cell * 0.33}" fill="${BEAN_COLOR}" stroke="#000" stroke-width="${THIN_LINE}"/>` +
+                `<ellipse cx="${x}" cy="${y}" rx="${cell * 0.065}" ry="${cell * 0.1}" fill="${BEAN_SEED_COLOR}"/>` +
+                '</g>'
+            );
+        }
+    }
+
+    parts.push('</g>', '</svg>');
+    return parts.join('\n');
+}
+
+// ===== PRINT SHEETS =====
+// A page holds 1, 2, 4 or 6 puzzles (PRINT_LAYOUTS), each captioned with its number, code and
+// difficulty, under the rules they are played by. The answer keys follow on pages of their own,
+// so the puzzle pages can be handed out without them
+// Image widths are in millimetres so every layout fits on A4 and US Letter alike
+
+export const PRINT_LAYOUTS = {
+    1: { columns: 1, width: '170mm' },
+    2: { columns: 1, width: '110mm' },
+    4: { columns: 2, width: '85mm' },
+    6: { columns: 2, width: '70mm' }
+};
+const ANSWERS_PER_PAGE = 12;
+const ANSWER_LAYOUT = { columns: 3, width: '50mm' };
+
+const PRINT_STYLES = `
+    @page { margin: 12mm; }
+    body { margin: 0; font-family: sans-serif; color: #000; }
+    .page { break-after: page; }
+    .page:last-child { break-after: auto; }
+    .page h1 { font-size: 14pt; margin: 0 0 2mm; }
+    .page ul { font-size: 9pt; margin: 0 0 4mm; padding-left: 5mm; }
+    .page h2 { font-size: 10pt; margin: 2mm 0 1mm; }
+    .sheet { display: grid; gap: 6mm; justify-items: center; }
+    .sheet figure { margin: 0; text-align: center; break-inside: avoid; }
+    .sheet svg { display: block; height: auto; }
+    .sheet figcaption { font-size: 9pt; margin-top: 1mm; }
+`;
+
+// This function builds the print document for a list of puzzles
+// Each puzzle is {size, regions, rules, solution, code, difficulty}; code and difficulty are
+// optional. Options:
+//   perPage    - one of the PRINT_LAYOUTS sizes (default 4)
+//   answerKeys - add the answer key pages (default true)
+//   colorsFor  - function giving the region colors for a board size (see renderPuzzleSvg), or
+//                null for white cells
+//   letters    - region letters in the cells (see renderPuzzleSvg)
+//   title      - heading of every page
+
+export function buildPrintSheets(puzzles, options = {}) {
+    const { perPage = 4, answerKeys = true, colorsFor = null, letters = false, title = 'Beans' } = options;
+    const layout = PRINT_LAYOUTS[perPage];
+    if (!layout) throw new Error(`Print sheets hold ${Object.keys(PRINT_LAYOUTS).join(', ')} puzzles per page`);
+    if (puzzles.length === 0) throw new Error('There are no puzzles to print');
+
+    const figure = (puzzle, index, solution, width) => {
+        const label = describePrintedPuzzle(puzzle, index);
+        const svg = renderPuzzleSvg(puzzle, {
+            solution,
+            colors: colorsFor ? colorsFor(puzzle.size) : null,
+            letters,
+            title: solution ? `Answer to ${label}` : label
+        });
+        // The image keeps its pixel size when opened on its own, but prints at the layout's width
+        return `<figure>${svg.replace('<svg ', `<svg style="width: ${width}" `)}<figcaption>${escapeMarkup(label)}</figcaption></figure>`;
+    };
+
+    const pages = [];
+    const puzzlePages = chunk(puzzles.map((puzzle, index) => ({ puzzle, index })), perPage);
+    puzzlePages.forEach((entries, pageIndex) => {
+        pages.push(renderPage(
+            `${title} - page ${pageIndex + 1} of ${puzzlePages.length}`,
+            renderRules(entries.map(entry => entry.puzzle.rules || DEFAULT_RULES)),
+            layout,
+            entries.map(({ puzzle, index }) => figure(puzzle, index, null, layout.width))
+        ));
+    });
+
+    if (answerKeys) {
+        chunk(puzzles.map((puzzle, index) => ({ puzzle, index })), ANSWERS_PER_PAGE).forEach(entries => {
+            pages.push(renderPage(
+                `${title} - answers`,
+                '',
+                ANSWER_LAYOUT,
+                entries.map(({ puzzle, index }) => figure(puzzle, index, puzzle.solution, ANSWER_LAYOUT.width))
+            ));
+        });
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8">',
+        `<title>${escapeMarkup(title)}</title>`,
+        `<style>${PRINT_STYLES}</style>`,
+        '</head>',
+        '<body>',
+        ...pages,
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+// "#3 · 8-k3j9x2 · 8×8 · Hard", with the variant's name for puzzles that aren't classic
+// (an `index` of null leaves the number off)
+export function describePrintedPuzzle(puzzle, index) {
+    const rules = puzzle.rules || DEFAULT_RULES;
+    const parts = index === null ? [] : [`#${index + 1}`];
+    if (puzzle.code) parts.push(puzzle.code);
+    parts.push(`${puzzle.size}×${puzzle.size}`);
+    if (!isSameRules(rules, DEFAULT_RULES)) parts.push(describeVariant(rules));
+    if (puzzle.difficulty) parts.push(puzzle.difficulty);
+    return parts.join(' · ');
+}
+
+function renderPage(heading, intro, layout, figures) {
+    return [
+        '<section class="page">',
+        `<h1>${escapeMarkup(heading)}</h1>`,
+        intro,
+        `<div class="sheet" style="grid-template-columns: repeat(${layout.columns}, 1fr)">`,
+        ...figures,
+        '</div>',
+        '</section>'
+    ].join('\n');
+}
+
+// The rules of the puzzles on a page - one list, or one per variant when they're mixed
+function renderRules(ruleSets) {
+    const distinct = ruleSets.filter((rules, index) => ruleSets.findIndex(other => isSameRules(other, rules)) === index);
+    const list = rules => `<ul>${describeRules(rules).map(text => `<li>${escapeMarkup(text)}</li>`).join('')}</ul>`;
+
+    if (distinct.length === 1) return list(distinct[0]);
+    return distinct.map(rules => `<h2>${escapeMarkup(describeVariant(rules))}</h2>${list(rules)}`).join('\n');
+}
+
+// The variant's name, for rules that aren't one of the variants too
+function describeVariant(rules) {
+    const variant = findRuleVariant(rules);
+    return variant ? variant.name : `${rules.beansPerUnit} per line, ${rules.adjacency} touching`;
+}
+
+// ===== HELPERS =====
+
+function chunk(items, length) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += length) chunks.push(items.slice(i, i + length));
+    return chunks;
+}
+
+// Make text safe inside SVG and HTML
+function escapeMarkup(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
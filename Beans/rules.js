@@ -0,0 +1,89 @@
+// ===== BEANS RULE VARIANTS =====
+// The rules a puzzle is played under, as a plain object:
+//   beansPerUnit - how many beans every row, column and region needs (1 in classic Beans,
+//                  2 for "two per line" puzzles in the style of Star Battle)
+//   adjacency    - which beans count as touching: 'king' (any of the 8 surrounding cells, as in
+//                  classic Beans) or 'orthogonal' (only side by side - diagonal beans are fine)
+// A board of size N always has N regions, so it holds N * beansPerUnit beans
+// Shared by the engine and the solver; no DOM access, so Node can import it too
+
+export const DEFAULT_RULES = Object.freeze({ beansPerUnit: 1, adjacency: 'king' });
+
+// ===== RULE VARIANTS =====
+// The variants offered on the page, with the board sizes each can be generated at: two beans
+// per line don't fit on boards below 8x8 without touching, and above 10x10 proving a puzzle
+// unique takes too long to generate one while the player waits
+// (the engine takes any rules object, but puzzle codes and imports only accept these)
+
+export const RULE_VARIANTS = [
+    { id: 'classic', name: 'Classic', rules: DEFAULT_RULES, minSize: 5, maxSize: 12 },
+    { id: 'diagonals', name: 'Diagonals allowed', rules: Object.freeze({ beansPerUnit: 1, adjacency: 'orthogonal' }), minSize: 5, maxSize: 12 },
+    { id: 'two-per-line', name: 'Two per line', rules: Object.freeze({ beansPerUnit: 2, adjacency: 'king' }), minSize: 8, maxSize: 10 }
+];
+
+// The variant with exactly these rules, or null if they aren't one of the variants
+export function findRuleVariant(rules) {
+    return RULE_VARIANTS.find(variant => isSameRules(variant.rules, rules)) || null;
+}
+
+export function isSameRules(first, second) {
+    return first.beansPerUnit === second.beansPerUnit && first.adjacency === second.adjacency;
+}
+
+// ===== RULE CODES =====
+// A short form of the rules for puzzle codes and the text format: beans per unit followed by
+// k (king) or o (orthogonal), e.g. "1k" for classic and "2o" for two per line with diagonals
+
+export function encodeRules(rules) {
+    return `${rules.beansPerUnit}${rules.adjacency === 'orthogonal' ? 'o' : 'k'}`;
+}
+
+// Turn a rule code back into rules, or null if it isn't one of the variants
+export function decodeRules(code) {
+    const match = /^([12])([ko])$/.exec(code.trim().toLowerCase());
+    if (!match) return null;
+
+    const variant = findRuleVariant({
+        beansPerUnit: parseInt(match[1], 10),
+        adjacency: match[2] === 'o' ? 'orthogonal' : 'king'
+    });
+    return variant ? variant.rules : null;
+}
+
+// ===== TOUCHING =====
+
+// The [rowOffset, colOffset] steps from a cell to the cells a bean there would touch
+export function getTouchingOffsets(rules) {
+    const offsets = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+    if (rules.adjacency === 'king') offsets.push([-1, -1], [-1, 1], [1, -1], [1, 1]);
+    return offsets;
+}
+
+// Whether beans in these two (different) cells would touch
+export function areTouching(first, second, rules) {
+    const rowDiff = Math.abs(first.row - second.row);
+    const colDiff = Math.abs(first.col - second.col);
+    if (rules.adjacency === 'orthogonal') return rowDiff + colDiff === 1;
+    return rowDiff <= 1 && colDiff <= 1;
+}
+
+// ===== DESCRIBING THE RULES =====
+// The rules list shown on the page, one sentence per rule
+
+export function describeRules(rules) {
+    const count = rules.beansPerUnit === 1 ? 'exactly one bean' : `exactly ${rules.beansPerUnit} beans`;
+    return [
+        `Each row must have ${count}`,
+        `Each column must have ${count}`,
+        `Each colored region must have ${count}`,
+        rules.adjacency === 'king'
+            ? 'Beans cannot touch each other (including diagonally)'
+            : 'Beans cannot sit side by side (touching diagonally is fine)',
+        'There will only ever be 1 solution. You do not need to guess!'
+    ];
+}
+
+// "bean" or "beans", for messages about a row, column or region's quota
+export function describeQuota(rules) {
+    return rules.beansPerUnit === 1 ? 'a bean' : `${rules.beansPerUnit} beans`;
+}
@@ -1,21 +1,106 @@
+// ===== BEANS PAGE =====
+// The page's side of the game: the board, controls, timer, storage and everything else the
+// player sees. Puzzle logic (generation, uniqueness, rules, formats, solving) lives in engine.js
+
+import {
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    MAX_SEED,
+    DIFFICULTIES,
+    DEFAULT_RULES,
+    RULE_VARIANTS,
+    findRuleVariant,
+    isSameRules,
+    encodeRules,
+    decodeRules,
+    describeRules,
+    createRandomSeed,
+    decodePuzzleCode,
+    generateGradedPuzzle,
+    findRuleViolations,
+    findLiveConflicts,
+    findPlacementConflicts,
+    findAutoXMarkers,
+    regionToLetter,
+    findRegionBorders,
+    exportPuzzle,
+    parsePuzzle,
+    validateImportedPuzzle,
+    analyzeLayout,
+    rateDifficulty,
+    createSolverState,
+    findNextDeduction,
+    capitalize
+} from './engine.js';
+import { renderPuzzleSvg, buildPrintSheets, describePrintedPuzzle } from './print.js';
+
 // ===== GAME STATE VARIABLES =====
 // These variables track the current state of the puzzle game
 
 let gameBoard = []; // 2D representation of the game grid (currently unused but kept for future expansion)
-let regions = []; // Array mapping each cell index to its region number (0-7)
+let regions = []; // Array mapping each cell index to its region number (0 to gridSize - 1)
 let beansPlaced = []; // Array of {row, col} objects representing where the player has placed beans
 let xMarkers = []; // Array of {row, col} objects representing where the player has manually placed X markers
 let autoXMarkers = []; // Array of {row, col} objects representing automatically placed X markers
 let solution = []; // Array of {row, col} objects representing the unique solution to the current puzzle
-let gridSize = 8; // The grid is 8x8 (8 rows, 8 columns, 8 beans, 8 regions)
+let gridSize = 8; // The grid is N x N (N rows, N columns, N beans, N regions) - chosen with the size selector
+let rules = DEFAULT_RULES; // Rules of the current puzzle: beans per row/column/region and what counts as touching (see rules.js)
 let timerInterval = null; // Reference to the interval that updates the timer every second
 let startTime = null; // Timestamp when the current game started (used to calculate elapsed time)
 let gameActive = false; // Boolean indicating whether the game is currently in play (false when solved or showing solution)
+let undoStack = []; // Moves that can be undone, oldest first
+let redoStack = []; // Undone moves that can be redone, most recently undone last
+let messageTimeout = null; // Reference to the timeout that auto-hides the current message
+let messageClearTimeout = null; // Reference to the timeout that empties the message after it fades out
+let puzzleSeed = null; // Number that seeds the random generator for the current puzzle
+let puzzleCode = ''; // Short shareable code (size + seed) that rebuilds the current puzzle
+let puzzleRating = null; // Difficulty rating of the current puzzle (see rateDifficulty in solver.js)
+const SAVE_KEY = 'beans.savedGame'; // localStorage key for the game in progress
+let dailyDate = null; // Date (YYYY-MM-DD) of the daily puzzle being played, or null for a normal game
+let hintsUsed = 0; // How many times Hint was pressed on this puzzle
+let solutionRevealed = false; // Whether Show Solution was used on this puzzle
+const DAILY_KEY = 'beans.daily'; // localStorage key for daily puzzle results
+const DAILY_SIZE = 8; // Every daily puzzle is this size...
+const DAILY_DIFFICULTY = 'Medium'; // ...and this difficulty, so everyone gets the same board
+let checkCount = 0; // How many times Check Solution was pressed on this puzzle
+const STATS_KEY = 'beans.stats'; // localStorage key for the record of finished games
+const RECENT_GAMES_SHOWN = 10; // How many games the recent-games list shows
+let cursorRow = 0; // Row of the keyboard cursor (the one board cell that is in the tab order)
+let cursorCol = 0; // Column of the keyboard cursor
+let inputMode = 'bean'; // What a tap or left-click places: 'bean' or 'x' (for devices without right-click)
+let stroke = null; // The press or drag in progress on the board (see TOUCH AND DRAG)
+let suppressNextClick = false; // Set when a drag or long press has already handled the click that follows it
+let lastPointerType = 'mouse'; // Kind of pointer that last pressed the board
+const LONG_PRESS_MS = 500; // How long a finger has to stay down to toggle an X
+let generatorWorker = null; // Worker building the puzzle the player is waiting for (started when first needed)
+let queueWorker = null; // Worker building puzzles ahead of time so New Game can start straight away
+let workersUnavailable = typeof Worker === 'undefined'; // True when puzzles have to be built on the page itself
+let nextGenerationId = 1; // Id for the next request sent to a worker
+const puzzleQueue = new Map(); // "size|difficulty" -> puzzles built ahead of time
+const PUZZLE_QUEUE_LENGTH = 2; // How many puzzles to keep ready for the selected size and difficulty
+let queueFilling = false; // Whether fillPuzzleQueue is already running
+let progressTimeout = null; // Delays the progress panel so quick puzzles don't flash it on screen
+const PROGRESS_DELAY_MS = 250;
+const LIBRARY_KEY = 'beans.library'; // localStorage key for puzzles saved from the editor
+let editorSize = 8; // Size of the layout in the editor
+let editorRegions = []; // Region of each editor cell, or -1 where nothing is painted yet
+let editorBrush = 0; // Region the editor paints with, or -1 for the eraser
+let editorStroke = null; // Pointer id of the drag painting the editor board, or null
+let editorAnalysis = null; // Latest analyzeLayout result for the editor's layout
+let editorLibraryId = null; // Library entry being edited, so saving updates it instead of adding a copy
+let editorRules = DEFAULT_RULES; // Rules the editor's layout is checked against
+const THEME_KEY = 'beans.theme'; // localStorage key for the chosen theme and region marks
+let theme = 'pastel'; // Region colors: 'pastel', 'colorblind' or 'contrast' (see THEMES)
+let regionMarks = 'none'; // Extra per-region marks drawn on the board: 'none', 'letters' or 'patterns'
+const MAX_PRINT_PUZZLES = 24; // Most puzzles one print run will generate
+let printFrame = null; // Invisible frame holding the last print sheets
 
 // ===== DOM ELEMENT REFERENCES =====
 // These variables store references to HTML elements we'll interact with frequently
 
 const gameBoardElement = document.getElementById('gameBoard'); // The grid container
+const announcerElement = document.getElementById('announcer'); // Hidden live region read out by screen readers
+const inputModeBtn = document.getElementById('inputMode'); // Button switching taps between beans and Xs
 const beansPlacedElement = document.getElementById('beansPlaced'); // Display for number of beans placed
 const totalBeansElement = document.getElementById('totalBeans'); // Display for total beans needed
 const timerElement = document.getElementById('timer'); // Display for elapsed time
@@ -25,574 +110,1960 @@ const checkSolutionBtn = document.getElementById('checkSolution'); // Button to
 const showSolutionBtn = document.getElementById('showSolution'); // Button to reveal the answer
 const clearBoardBtn = document.getElementById('clearBoard'); // Button to clear all placed beans and Xs
 const autoFillXCheckbox = document.getElementById('autoFillX'); // Checkbox to enable/disable auto-X placement
+const liveCheckCheckbox = document.getElementById('liveCheck'); // Checkbox to highlight broken rules while playing
+const liveConflictsElement = document.getElementById('liveConflicts'); // List of the rules the board breaks right now
+const gridSizeSelect = document.getElementById('gridSizeSelect'); // Dropdown to choose the board size for the next game
+const difficultySelect = document.getElementById('difficultySelect'); // Dropdown to choose the difficulty for the next game
+const rulesSelect = document.getElementById('rulesSelect'); // Dropdown to choose the rule variant for the next game
+const rulesListElement = document.getElementById('rulesList'); // The rules of the current puzzle, above the board
+const difficultyElement = document.getElementById('difficulty'); // Display for the current puzzle's difficulty
+const puzzleCodeElement = document.getElementById('puzzleCode'); // Display for the current puzzle's share code
+const copyLinkBtn = document.getElementById('copyLink'); // Button to copy a link to the current puzzle
+const shareToggleBtn = document.getElementById('shareToggle'); // Button to open the import/export panel
+const sharePanel = document.getElementById('sharePanel'); // Panel holding the import/export controls
+const shareText = document.getElementById('shareText'); // Text box for exported or to-be-imported puzzles
+const shareFormatSelect = document.getElementById('shareFormat'); // Dropdown choosing text or JSON export
+const includeSolutionCheckbox = document.getElementById('includeSolution'); // Checkbox to export the solution too
+const includeProgressCheckbox = document.getElementById('includeProgress'); // Checkbox to export placed beans and Xs
+const exportBtn = document.getElementById('exportPuzzle'); // Button to export the current puzzle
+const importBtn = document.getElementById('importPuzzle'); // Button to import the puzzle in the text box
+const hintBtn = document.getElementById('hint'); // Button to explain the next logical step
+const undoBtn = document.getElementById('undo'); // Button to take back the last move
+const redoBtn = document.getElementById('redo'); // Button to replay an undone move
+const resumePanel = document.getElementById('resumePanel'); // Panel offering to carry on with a saved game
+const resumeText = document.getElementById('resumeText'); // Description of the saved game
+const resumeBtn = document.getElementById('resumeGame'); // Button to carry on with the saved game
+const resumeNewGameBtn = document.getElementById('resumeNewGame'); // Button to drop the saved game and start fresh
+const dailyBtn = document.getElementById('dailyPuzzle'); // Button to play today's daily puzzle
+const dailyPanel = document.getElementById('dailyPanel'); // Panel with the daily result and streaks
+const dailyStatusElement = document.getElementById('dailyStatus'); // Today's result (or that it's still to do)
+const dailyStreakElement = document.getElementById('dailyStreak'); // Current run of solved days
+const dailyBestStreakElement = document.getElementById('dailyBestStreak'); // Longest run of solved days
+const copyDailyResultBtn = document.getElementById('copyDailyResult'); // Button to copy the results summary
+const statsToggleBtn = document.getElementById('statsToggle'); // Button to open the statistics panel
+const statsPanel = document.getElementById('statsPanel'); // Panel with games played, best times and recent games
+const statsSummaryElement = document.getElementById('statsSummary'); // Games played and solve rate
+const statsBestBody = document.getElementById('statsBest'); // Best/average times per size and difficulty
+const statsRecentBody = document.getElementById('statsRecent'); // The most recent games
+const statsText = document.getElementById('statsText'); // Text box for exported or to-be-imported statistics
+const statsExportBtn = document.getElementById('exportStats'); // Button to export statistics as JSON
+const statsImportBtn = document.getElementById('importStats'); // Button to merge statistics from the text box
+const generationPanel = document.getElementById('generationPanel'); // Panel shown while a puzzle is being generated
+const generationText = document.getElementById('generationText'); // What is being generated and how far along it is
+const generationProgress = document.getElementById('generationProgress'); // Progress bar for the difficulty search
+const cancelGenerationBtn = document.getElementById('cancelGeneration'); // Button to stop generating and keep the current board
+const editorToggleBtn = document.getElementById('editorToggle'); // Button to open the puzzle editor
+const editorPanel = document.getElementById('editorPanel'); // Panel holding the editor and the library
+const editorSizeSelect = document.getElementById('editorSize'); // Dropdown choosing the size of the layout
+const editorRulesSelect = document.getElementById('editorRules'); // Dropdown choosing the rules the layout is checked against
+const printToggleBtn = document.getElementById('printToggle'); // Button to open the print panel
+const printPanel = document.getElementById('printPanel'); // Panel with the print sheet and SVG options
+const printCountInput = document.getElementById('printCount'); // How many puzzles go on the sheets
+const printPerPageSelect = document.getElementById('printPerPage'); // Dropdown choosing puzzles per page
+const printAnswersCheckbox = document.getElementById('printAnswers'); // Checkbox to add the answer key pages
+const printColorsCheckbox = document.getElementById('printColors'); // Checkbox to print in the region colors
+const printLettersCheckbox = document.getElementById('printLetters'); // Checkbox to write region letters in the cells
+const printSheetsBtn = document.getElementById('printSheets'); // Button to build and print the sheets
+const downloadSvgBtn = document.getElementById('downloadSvg'); // Button to save the board as an SVG image
+const downloadSolutionSvgBtn = document.getElementById('downloadSolutionSvg'); // Button to save the answer as an SVG image
+const editorNameInput = document.getElementById('editorName'); // Name the puzzle is saved under
+const editorCopyBoardBtn = document.getElementById('editorCopyBoard'); // Button to start from the puzzle on the board
+const editorClearBtn = document.getElementById('editorClear'); // Button to start again from a blank grid
+const editorPaletteElement = document.getElementById('editorPalette'); // Region colors to paint with
+const editorBoardElement = document.getElementById('editorBoard'); // The grid being painted
+const editorStatusElement = document.getElementById('editorStatus'); // What the layout still needs
+const editorSolutionsElement = document.getElementById('editorSolutions'); // Two solutions, when there's more than one
+const editorPlayBtn = document.getElementById('editorPlay'); // Button to play the finished puzzle
+const editorSaveBtn = document.getElementById('editorSave'); // Button to save the finished puzzle to the library
+const editorExportBtn = document.getElementById('editorExport'); // Button to export the finished puzzle as text
+const editorText = document.getElementById('editorText'); // Text box for exported puzzles
+const libraryBody = document.getElementById('libraryList'); // Table of saved puzzles
+const libraryEmptyElement = document.getElementById('libraryEmpty'); // Shown while the library is empty
+const themeSelect = document.getElementById('themeSelect'); // Dropdown choosing the region colors
+const regionMarksSelect = document.getElementById('regionMarksSelect'); // Dropdown choosing letters or patterns on the regions
 
 // ===== EVENT LISTENERS =====
 // These connect user actions (clicks, page load) to our game functions
 
 // When the page finishes loading, start a new game automatically
+// If a game was left unfinished, offer to resume it first
+// If the URL carries a puzzle code (e.g. index.html#8-k3j9x2), rebuild that exact puzzle instead
 window.addEventListener('DOMContentLoaded', () => {
-    initializeGame();
+    loadThemeSettings(); // Before the first board is drawn, so it comes up in the right colors
+    if (offerSavedGame()) return;
+    if (!loadPuzzleFromHash()) {
+        initializeGame();
+    }
+});
+
+// Save the timer when the player leaves or switches tabs, so it resumes from the right time
+window.addEventListener('pagehide', saveGame);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveGame();
+});
+
+// Someone pasted a different puzzle code into the address bar - switch to that puzzle
+window.addEventListener('hashchange', () => {
+    loadPuzzleFromHash();
 });
 
 // Connect buttons to their respective functions
-newGameBtn.addEventListener('click', initializeGame); // Start a new puzzle
+newGameBtn.addEventListener('click', () => initializeGame()); // Start a new puzzle
+dailyBtn.addEventListener('click', startDailyPuzzle); // Play today's daily puzzle
+copyDailyResultBtn.addEventListener('click', copyDailyResult); // Share how today's daily went
+gridSizeSelect.addEventListener('change', () => initializeGame()); // Start a new puzzle at the chosen size
+difficultySelect.addEventListener('change', () => initializeGame()); // Start a new puzzle at the chosen difficulty
+rulesSelect.addEventListener('change', () => { // Start a new puzzle with the chosen rules
+    selectRuleVariant(getSelectedRules());
+    initializeGame();
+});
+copyLinkBtn.addEventListener('click', copyPuzzleLink); // Share the current puzzle
+shareToggleBtn.addEventListener('click', toggleSharePanel); // Open or close the import/export panel
+statsToggleBtn.addEventListener('click', toggleStatsPanel); // Open or close the statistics panel
+statsExportBtn.addEventListener('click', handleStatsExport); // Write the statistics into the text box
+statsImportBtn.addEventListener('click', handleStatsImport); // Merge statistics from the text box
+editorToggleBtn.addEventListener('click', toggleEditorPanel); // Open or close the puzzle editor
+editorSizeSelect.addEventListener('change', () => resetEditor(Number(editorSizeSelect.value))); // Blank grid at the new size
+editorRulesSelect.addEventListener('change', () => { // Check the same layout against other rules
+    editorRules = (RULE_VARIANTS.find(variant => variant.id === editorRulesSelect.value) || RULE_VARIANTS[0]).rules;
+    analyzeEditorLayout();
+});
+editorCopyBoardBtn.addEventListener('click', copyBoardIntoEditor); // Start from the puzzle on the board
+editorClearBtn.addEventListener('click', () => resetEditor(editorSize)); // Start again from a blank grid
+editorBoardElement.addEventListener('pointerdown', handleEditorPointerDown); // Start painting
+editorBoardElement.addEventListener('pointermove', handleEditorPointerMove); // Paint while dragging
+window.addEventListener('pointerup', handleEditorPointerUp); // Stop painting and check the layout
+window.addEventListener('pointercancel', handleEditorPointerUp);
+editorPlayBtn.addEventListener('click', playEditorPuzzle); // Play the finished puzzle
+editorSaveBtn.addEventListener('click', saveEditorPuzzle); // Keep it in the library
+editorExportBtn.addEventListener('click', exportEditorPuzzle); // Write it into the text box to share
+printToggleBtn.addEventListener('click', togglePrintPanel); // Open or close the print panel
+printSheetsBtn.addEventListener('click', printPuzzleSheets); // Build the sheets and open the print dialog
+downloadSvgBtn.addEventListener('click', () => downloadBoardSvg(false)); // Save the blank puzzle
+downloadSolutionSvgBtn.addEventListener('click', () => downloadBoardSvg(true)); // Save the answer key
+exportBtn.addEventListener('click', handleExport); // Write the current puzzle into the text box
+importBtn.addEventListener('click', handleImport); // Load the puzzle from the text box
 checkSolutionBtn.addEventListener('click', checkSolution); // Validate the player's answer
+hintBtn.addEventListener('click', showHint); // Explain the next deduction
 showSolutionBtn.addEventListener('click', showSolution); // Reveal the correct answer
-clearBoardBtn.addEventListener('click', clearBoard); // Remove all beans and X markers
+clearBoardBtn.addEventListener('click', clearBoardMove); // Remove all beans and X markers (undoable)
+undoBtn.addEventListener('click', undoMove); // Take back the last move
+redoBtn.addEventListener('click', redoMove); // Replay an undone move
+document.addEventListener('keydown', handleHistoryShortcut); // Ctrl+Z / Ctrl+Y
+autoFillXCheckbox.addEventListener('change', refreshBoard); // Add or remove automatic Xs straight away
+liveCheckCheckbox.addEventListener('change', () => { // Show or hide rule highlighting straight away
+    renderLiveConflicts();
+    saveGame();
+});
+gameBoardElement.addEventListener('keydown', handleBoardKeydown); // Arrow keys, bean, X and clear
+gameBoardElement.addEventListener('pointerdown', handleBoardPointerDown); // Start of a tap, long press or drag
+gameBoardElement.addEventListener('pointermove', handleBoardPointerMove); // Drag painting
+window.addEventListener('pointerup', handleBoardPointerUp); // End of the drag (even if it left the board)
+window.addEventListener('pointercancel', cancelStroke); // The browser took over (e.g. a scroll)
+inputModeBtn.addEventListener('click', toggleInputMode); // Switch taps between beans and Xs
+cancelGenerationBtn.addEventListener('click', handleCancelGeneration); // Stop generating, keep the current board
+themeSelect.addEventListener('change', () => setTheme(themeSelect.value, regionMarks)); // Recolor the regions
+regionMarksSelect.addEventListener('change', () => setTheme(theme, regionMarksSelect.value)); // Show or hide region marks
+resumeBtn.addEventListener('click', resumeSavedGame); // Carry on with the saved game
+resumeNewGameBtn.addEventListener('click', () => { // Throw the saved game away
+    clearSavedGame();
+    if (!loadPuzzleFromHash()) initializeGame();
+});
 
 // ===== GAME INITIALIZATION =====
 // This function sets up a new puzzle from scratch
+// When a difficulty is requested, the engine generates and grades puzzles until one matches
+// (see generateGradedPuzzle) - the same starting seed always ends on the same puzzle
+// Without a seed, a puzzle built ahead of time is used if one is ready (see PUZZLE GENERATION)
+// Generation runs in a worker, so the current board stays playable until the new one is ready
+// Resolves to true once the new puzzle is on the board, or false if it was cancelled or failed
+
+async function initializeGame(seed = null, targetDifficulty = difficultySelect.value, puzzleRules = getSelectedRules()) {
+    // Read the requested board size (clamped in case the dropdown was tampered with)
+    // gridSize itself only changes once the new puzzle is ready
+    const size = getSelectedGridSize();
+    cancelGeneration(); // Only the newest request matters
+    
+    let puzzle = seed === null ? takeQueuedPuzzle(size, targetDifficulty, puzzleRules) : null;
+    if (!puzzle) {
+        if (queueWorker) stopGeneratorWorker(queueWorker, true); // Give this puzzle the whole processor
+        
+        const description = `${describeBoard(size, encodeRules(puzzleRules))} ${targetDifficulty === 'any' ? '' : `${targetDifficulty} `}puzzle`;
+        showGenerationProgress(description);
+        try {
+            puzzle = await requestPuzzle(size, seed === null ? createRandomSeed() : seed, targetDifficulty, puzzleRules,
+                progress => updateGenerationProgress(description, progress));
+        } catch (error) {
+            if (error.cancelled) return false; // A newer request or the Cancel button took over
+            hideGenerationProgress();
+            showMessage(`Couldn't generate a puzzle: ${error.message}`, 'error', 5000);
+            return false;
+        }
+        hideGenerationProgress();
+    }
+    
+    gridSize = size;
+    rules = puzzle.rules;
+    regions = puzzle.regions;
+    solution = puzzle.solution;
+    puzzleSeed = puzzle.seed;
+    puzzleCode = puzzle.code;
+    puzzleRating = puzzle.rating;
+    
+    startPuzzle();
+    
+    if (!puzzle.matched) {
+        showMessage(`No ${targetDifficulty} ${gridSize}x${gridSize} puzzle turned up this time - here's a ${puzzle.rating.label} one instead.`, 'info', 5000);
+    }
+    
+    fillPuzzleQueue(); // Get the next one ready
+    return true;
+}
+
+// ===== PUZZLE GENERATION =====
+// Puzzles are built in generator.worker.js so big boards and long difficulty hunts don't
+// freeze the page. One worker builds the puzzle the player is waiting for - cancelling
+// terminates it, and a fresh one is started for the next request. A second worker quietly
+// builds PUZZLE_QUEUE_LENGTH puzzles ahead for the selected size and difficulty, so New Game
+// usually starts instantly. Where module workers can't run (some browsers block them for pages
+// opened straight from disk) puzzles are built on the page as before
+
+// Start a generator worker, or return null if workers can't run here
+function startGeneratorWorker() {
+    if (workersUnavailable) return null;
+    
+    let worker;
+    try {
+        worker = new Worker(new URL('./generator.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Puzzle worker unavailable, generating on the page instead:', error);
+        workersUnavailable = true;
+        return null;
+    }
+    
+    worker.jobs = new Map(); // Request id -> { resolve, reject, onProgress }
+    worker.addEventListener('message', event => {
+        const { id, type } = event.data;
+        const job = worker.jobs.get(id);
+        if (!job) return;
+        
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(event.data);
+            return;
+        }
+        worker.jobs.delete(id);
+        if (type === 'done') {
+            job.resolve(event.data.puzzle);
+        } else {
+            job.reject(new Error(event.data.message));
+        }
+    });
+    
+    // The worker script failed to load or crashed - stop using workers for the rest of the visit
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        console.warn('Puzzle worker failed, generating on the page instead:', event.message);
+        workersUnavailable = true;
+        stopGeneratorWorker(worker, false);
+    });
+    
+    return worker;
+}
+
+// Terminate a worker and reject everything it was working on
+// Rejections carry `cancelled` when the stop was on purpose, or `workerFailed` when it broke
+function stopGeneratorWorker(worker, cancelled) {
+    worker.terminate();
+    for (const job of worker.jobs.values()) {
+        const error = new Error(cancelled ? 'Generation cancelled' : 'The puzzle worker stopped working');
+        error.cancelled = cancelled;
+        error.workerFailed = !cancelled;
+        job.reject(error);
+    }
+    worker.jobs.clear();
+    
+    if (worker === generatorWorker) generatorWorker = null;
+    if (worker === queueWorker) queueWorker = null;
+}
+
+// Generate a graded puzzle (see generateGradedPuzzle), in a worker when possible
+// `onProgress` is called with {attempt, maxAttempts, label} as the difficulty search goes on
+// `background` requests use the queue worker and never fall back to building on the page
+function requestPuzzle(size, seed, difficulty, puzzleRules, onProgress = null, background = false) {
+    let worker = background ? queueWorker : generatorWorker;
+    if (!worker) {
+        worker = startGeneratorWorker();
+        if (background) {
+            queueWorker = worker;
+        } else {
+            generatorWorker = worker;
+        }
+    }
+    
+    if (!worker) {
+        if (background) return Promise.reject(new Error('Puzzle workers are unavailable'));
+        // Built on the page: the progress panel can't repaint until it's finished
+        return new Promise(resolve => resolve(generateGradedPuzzle(size, seed, difficulty, onProgress, puzzleRules)));
+    }
+    
+    const id = nextGenerationId++;
+    const request = new Promise((resolve, reject) => {
+        worker.jobs.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ id, size, seed, difficulty, rules: puzzleRules });
+    });
+    
+    // If the worker broke, workersUnavailable is set now, so asking again builds it on the page
+    return request.catch(error => {
+        if (!error.workerFailed || background) throw error;
+        return requestPuzzle(size, seed, difficulty, puzzleRules, onProgress);
+    });
+}
+
+// Stop whatever the player is waiting for (the background queue carries on)
+function cancelGeneration() {
+    if (generatorWorker && generatorWorker.jobs.size > 0) {
+        stopGeneratorWorker(generatorWorker, true);
+    }
+    hideGenerationProgress();
+}
+
+// The Cancel button: keep whatever is on the board
+function handleCancelGeneration() {
+    cancelGeneration();
+    if (regions.length > 0) {
+        showMessage('Cancelled - carry on with the current puzzle.', 'info');
+    } else {
+        showMessage('Cancelled - press New Game when you\'re ready.', 'info');
+    }
+}
+
+// Take a puzzle built ahead of time for this size, difficulty and rules, or null if none is ready
+function takeQueuedPuzzle(size, difficulty, puzzleRules) {
+    const queued = puzzleQueue.get(`${size}|${difficulty}|${encodeRules(puzzleRules)}`);
+    return queued && queued.length > 0 ? queued.shift() : null;
+}
+
+// Keep PUZZLE_QUEUE_LENGTH puzzles ready for the selected size, difficulty and rules, one at a time
+// The dropdowns are read again before each puzzle, so the queue follows them as they change
+async function fillPuzzleQueue() {
+    if (queueFilling || workersUnavailable) return;
+    queueFilling = true;
+    
+    try {
+        while (!workersUnavailable) {
+            const size = getSelectedGridSize();
+            const difficulty = difficultySelect.value;
+            const puzzleRules = getSelectedRules();
+            const key = `${size}|${difficulty}|${encodeRules(puzzleRules)}`;
+            if (!puzzleQueue.has(key)) puzzleQueue.set(key, []);
+            
+            const queued = puzzleQueue.get(key);
+            if (queued.length >= PUZZLE_QUEUE_LENGTH) break;
+            queued.push(await requestPuzzle(size, createRandomSeed(), difficulty, puzzleRules, null, true));
+        }
+    } catch (error) {
+        // Stopped to make room for a puzzle the player is waiting for - it restarts afterwards
+        if (!error.cancelled) console.warn('Background puzzle generation stopped:', error.message);
+    } finally {
+        queueFilling = false;
+    }
+}
+
+// ===== GENERATION PROGRESS =====
+// The panel above the board only appears if generation takes longer than PROGRESS_DELAY_MS
+
+function showGenerationProgress(description) {
+    clearTimeout(progressTimeout);
+    generationText.textContent = `Generating a ${description}…`;
+    generationProgress.removeAttribute('value'); // Indeterminate until the first puzzle is graded
+    progressTimeout = setTimeout(() => {
+        generationPanel.hidden = false;
+    }, PROGRESS_DELAY_MS);
+}
 
-function initializeGame() {
-    console.log('Initializing game...');
+function updateGenerationProgress(description, { attempt, maxAttempts, label }) {
+    if (maxAttempts <= 1) return; // No difficulty search, nothing to count
+    generationProgress.max = maxAttempts;
+    generationProgress.value = attempt;
+    generationText.textContent =
+        `Generating a ${description}… tried ${attempt} of up to ${maxAttempts} (the last was ${label})`;
+}
+
+function hideGenerationProgress() {
+    clearTimeout(progressTimeout);
+    generationPanel.hidden = true;
+}
+
+// ===== START PUZZLE =====
+// This function shows the puzzle held in `regions` / `solution` and starts a fresh attempt at it
+// Used for generated puzzles and imported ones alike
+// `elapsedMs` lets a resumed game carry on the clock from where it was saved
+
+function startPuzzle(elapsedMs = 0) {
+    // A game left part-way through still counts as played in the statistics
+    if (gameActive && (beansPlaced.length > 0 || xMarkers.length > 0)) {
+        recordGame(false);
+    }
     
     // Reset all game state variables to start fresh
     gameActive = true; // Allow the player to interact with the board
     beansPlaced = []; // Clear any beans the player has placed
     xMarkers = []; // Clear any manual X markers
     autoXMarkers = []; // Clear any automatic X markers
-    startTime = Date.now(); // Record when this game started (for the timer)
-    
-    // Step 1: Create a valid solution (one bean per row, column, region, no touching)
-    console.log('Generating solution...');
-    generateValidSolution();
-    console.log('Solution generated:', solution);
-    
-    // Step 2: Create colored regions based on where the solution beans are located
-    console.log('Generating regions...');
-    generateRegionsFromSolution();
-    console.log('Regions generated:', regions);
-    
-    // Step 2.5: Verify the puzzle has exactly one solution
-    // Keep regenerating until we have a unique solution
-    let attempts = 0;
-    while (true) {
-        const solutionCount = countSolutions();
-        attempts++;
-        console.log(`Attempt ${attempts}: Found ${solutionCount} solution(s)`);
-        
-        if (solutionCount === 1) {
-            console.log('Puzzle has unique solution!');
-            break; // Perfect! Exactly one solution
-        } else {
-            // Multiple solutions exist, regenerate regions
-            console.log('Multiple solutions detected, regenerating...');
-            generateRegionsFromSolution();
-        }
-    }
+    startTime = Date.now() - elapsedMs; // Record when this game started (for the timer)
+    resumePanel.hidden = true; // Any saved-game offer has been answered now
+    dailyDate = null; // startDailyPuzzle marks the puzzle as the daily after starting it
+    dailyPanel.hidden = true;
+    hintsUsed = 0;
+    checkCount = 0;
+    solutionRevealed = false;
+    clearHistory(); // Moves from the last puzzle can't be undone on this one
     
-    // Step 3: Draw the game board on the screen with the colored regions
-    console.log('Creating board...');
+    // Draw the game board on the screen with the colored regions
     createBoard();
-    console.log('Board created');
+    renderRulesList(); // The rules above the board follow the puzzle
     
-    // Step 4: Start the timer that tracks how long the player takes
+    // Start the timer that tracks how long the player takes
     if (timerInterval) clearInterval(timerInterval); // Stop any existing timer
     timerInterval = setInterval(updateTimer, 1000); // Update the timer display every second
+    updateTimer(); // Show 00:00 straight away rather than the previous game's time
     
-    // Step 5: Update the UI to show 0 beans placed
+    // Update the UI to show 0 beans placed
     updateBeansCount();
     hideMessage(); // Clear any previous success/error messages
+    
+    // Show the share code and put it in the URL so a reload or shared link gives the same puzzle
+    updatePuzzleCode();
+    difficultyElement.textContent = puzzleRating ? puzzleRating.label : '-';
+    
+    saveGame(); // A reload from here on comes back to this puzzle
 }
 
-// ===== SOLUTION GENERATION =====
-// This function creates a valid bean placement that will serve as the puzzle's answer
-// CRITICAL CONSTRAINTS: One bean per row, one bean per column, no beans touching (including diagonally)
+// ===== LOAD PUZZLE FROM URL =====
+// This function rebuilds the puzzle named in the URL hash (if there is one)
+// Returns true when a puzzle was loaded
 
-function generateValidSolution() {
-    solution = []; // Start with an empty solution
-    let attempts = 0; // Track how many times we've tried to generate a solution
-    const maxAttempts = 1000; // Give up after 1000 failed attempts and use fallback
+function loadPuzzleFromHash() {
+    const code = decodeURIComponent(window.location.hash.slice(1));
+    if (!code || code === puzzleCode) return false; // Nothing new to load
     
-    // Keep trying until we have 8 beans placed (one per row) or we've tried too many times
-    while (solution.length < gridSize && attempts < maxAttempts) {
-        attempts++;
-        solution = []; // Reset solution for this attempt
-        
-        // Create an array of available columns [0, 1, 2, 3, 4, 5, 6, 7]
-        let availableCols = Array.from({length: gridSize}, (_, i) => i);
-        
-        // Shuffle the columns randomly to create variety in solutions
-        for (let i = availableCols.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [availableCols[i], availableCols[j]] = [availableCols[j], availableCols[i]];
-        }
-        
-        // Track which columns have been used (to ensure one bean per column)
-        const usedCols = new Set();
-        
-        // Try to place one bean in each row (0 through 7)
-        for (let row = 0; row < gridSize; row++) {
-            let placed = false; // Track whether we successfully placed a bean in this row
-            
-            // Try each column in our shuffled order
-            for (let colIndex = 0; colIndex < availableCols.length; colIndex++) {
-                const col = availableCols[colIndex];
-                
-                // Skip if this column is already used
-                if (usedCols.has(col)) continue;
-                
-                // Check if we can place a bean at this position without it touching existing beans
-                if (isValidPlacement(row, col, solution)) {
-                    solution.push({row, col}); // Add this bean to our solution
-                    usedCols.add(col); // Mark this column as used
-                    placed = true;
-                    break; // Move on to the next row
-                }
-            }
-            
-            // If we couldn't place a bean in this row, this attempt failed
-            if (!placed) {
-                break; // Start over with a new random column order
-            }
-        }
+    const decoded = decodePuzzleCode(code);
+    if (!decoded) {
+        showMessage(`"${code}" isn't a valid puzzle code`, 'error');
+        return false;
     }
     
-    // If we failed to generate a valid solution, use a pre-made pattern that's guaranteed to work
-    if (solution.length !== gridSize) {
-        console.error('Failed to generate valid solution');
-        solution = generateFallbackSolution();
+    selectRuleVariant(decoded.rules); // Keep the dropdowns in sync with the loaded puzzle
+    gridSizeSelect.value = String(decoded.size);
+    initializeGame(decoded.seed, 'any', decoded.rules); // The code already names the exact puzzle - no difficulty hunting
+    return true;
+}
+
+// ===== SHOW PUZZLE CODE =====
+// This function displays the current code and writes it to the URL hash
+// replaceState is used so the hashchange listener doesn't fire and regenerate the puzzle
+
+function updatePuzzleCode() {
+    // Imported puzzles weren't generated from a seed, so they have no code to share
+    if (!puzzleCode) {
+        puzzleCodeElement.textContent = 'Custom';
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return;
     }
     
-    // Verify the solution is valid (one per row, one per column, no touching)
-    validateSolution();
+    puzzleCodeElement.textContent = puzzleCode;
+    history.replaceState(null, '', `#${puzzleCode}`);
 }
 
-// ===== VALIDATE SOLUTION =====
-// This function verifies that the generated solution meets all constraints
-function validateSolution() {
-    const rowsUsed = new Set();
-    const colsUsed = new Set();
+// ===== COPY PUZZLE LINK =====
+// This function copies a link that opens the current puzzle for someone else
+
+function copyPuzzleLink() {
+    if (!puzzleCode) {
+        showMessage('Custom puzzles have no link - use Export to share them', 'info');
+        return;
+    }
     
-    // Check each bean in the solution
-    for (const bean of solution) {
-        // Check for duplicate rows
-        if (rowsUsed.has(bean.row)) {
-            console.error(`ERROR: Multiple beans in row ${bean.row}!`);
-        }
-        rowsUsed.add(bean.row);
-        
-        // Check for duplicate columns
-        if (colsUsed.has(bean.col)) {
-            console.error(`ERROR: Multiple beans in column ${bean.col}!`);
-        }
-        colsUsed.add(bean.col);
+    const link = `${window.location.origin}${window.location.pathname}#${puzzleCode}`;
+    
+    if (!navigator.clipboard) {
+        showMessage(`Share this link: ${link}`, 'info');
+        return;
     }
     
-    // Check for touching beans
-    for (let i = 0; i < solution.length; i++) {
-        for (let j = i + 1; j < solution.length; j++) {
-            const b1 = solution[i];
-            const b2 = solution[j];
-            const rowDiff = Math.abs(b1.row - b2.row);
-            const colDiff = Math.abs(b1.col - b2.col);
-            
-            if (rowDiff <= 1 && colDiff <= 1) {
-                console.error(`ERROR: Beans at (${b1.row},${b1.col}) and (${b2.row},${b2.col}) are touching!`);
-            }
-        }
+    navigator.clipboard.writeText(link)
+        .then(() => showMessage(`Link to puzzle ${puzzleCode} copied!`, 'success'))
+        .catch(() => showMessage(`Share this link: ${link}`, 'info'));
+}
+
+// ===== SAVE / RESUME =====
+// The game in progress is kept in localStorage so a reload (or closing the tab) doesn't lose it
+// It is saved after every move and whenever the page is hidden, and removed once the puzzle is
+// solved or the solution is shown. Storage can be unavailable (private browsing, full quota),
+// in which case the game simply isn't saved
+
+// Write the current game to storage
+function saveGame() {
+    if (!gameActive) return; // Finished games aren't worth resuming
+    
+    const saved = {
+        version: 1,
+        gridSize,
+        rules: encodeRules(rules),
+        regions,
+        solution,
+        puzzleSeed,
+        puzzleCode,
+        puzzleRating,
+        beansPlaced: beansPlaced.map(({row, col}) => ({row, col})),
+        xMarkers,
+        autoFillX: autoFillXCheckbox.checked,
+        liveCheck: liveCheckCheckbox.checked,
+        dailyDate,
+        hintsUsed,
+        checkCount,
+        elapsedMs: Date.now() - startTime,
+        savedAt: Date.now()
+    };
+    
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save the game:', error);
+    }
+}
+
+// Read the saved game back, or null if there isn't a usable one
+function loadSavedGame() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved) return null;
+    
+    // Throw away anything that doesn't look like a game we wrote
+    // (games saved before rule variants existed have no rules - they are classic games)
+    const size = saved.gridSize;
+    const savedRules = saved.rules === undefined ? DEFAULT_RULES : decodeRules(String(saved.rules));
+    const inBounds = cell => Number.isInteger(cell.row) && Number.isInteger(cell.col) &&
+        cell.row >= 0 && cell.row < size && cell.col >= 0 && cell.col < size;
+    const usable = saved.version === 1 && savedRules !== null &&
+        Number.isInteger(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE &&
+        Array.isArray(saved.regions) && saved.regions.length === size * size &&
+        Array.isArray(saved.solution) && saved.solution.length === size * savedRules.beansPerUnit && saved.solution.every(inBounds) &&
+        Array.isArray(saved.beansPlaced) && saved.beansPlaced.every(inBounds) &&
+        Array.isArray(saved.xMarkers) && saved.xMarkers.every(inBounds) &&
+        Number.isFinite(saved.elapsedMs);
+    if (!usable) {
+        clearSavedGame();
+        return null;
     }
+    return { ...saved, rules: savedRules };
+}
+
+// Forget the saved game
+function clearSavedGame() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (error) {
+        console.warn('Could not clear the saved game:', error);
+    }
+}
+
+// Show the Resume / New Game choice if there's a saved game to go back to
+// A link to a different puzzle wins over the saved game - the player clicked it on purpose
+// Returns true when the choice is on screen
+function offerSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved) return false;
+    
+    const hashCode = decodeURIComponent(window.location.hash.slice(1));
+    if (hashCode && hashCode !== saved.puzzleCode) return false;
+    
+    const rating = saved.puzzleRating ? `${saved.puzzleRating.label} ` : '';
+    const kind = saved.dailyDate ? `daily puzzle for ${saved.dailyDate}` : 'puzzle';
+    resumeText.textContent =
+        `You have an unfinished ${describeBoard(saved.gridSize, encodeRules(saved.rules))} ${rating}${kind} ` +
+        `(${formatTime(saved.elapsedMs)}, ${saved.beansPlaced.length} of ${saved.gridSize * saved.rules.beansPerUnit} beans placed).`;
+    resumePanel.hidden = false;
+    return true;
+}
+
+// Put the saved game back on the board and carry on the clock from where it stopped
+function resumeSavedGame() {
+    const saved = loadSavedGame();
+    if (!saved) {
+        initializeGame();
+        return;
+    }
+    
+    gridSize = saved.gridSize;
+    rules = saved.rules;
+    selectRuleVariant(rules);
+    gridSizeSelect.value = String(gridSize);
+    regions = saved.regions;
+    solution = saved.solution;
+    puzzleSeed = saved.puzzleSeed;
+    puzzleCode = saved.puzzleCode;
+    puzzleRating = saved.puzzleRating;
+    autoFillXCheckbox.checked = saved.autoFillX !== false;
+    liveCheckCheckbox.checked = saved.liveCheck === true;
     
-    console.log('✓ Solution validated: one per row, one per column, no touching');
+    startPuzzle(saved.elapsedMs);
+    hintsUsed = saved.hintsUsed || 0;
+    checkCount = saved.checkCount || 0;
+    if (saved.dailyDate) {
+        dailyDate = saved.dailyDate;
+        updateDailyPanel();
+    }
+    
+    beansPlaced = saved.beansPlaced.map(({row, col}) => ({row, col, region: regions[row * gridSize + col]}));
+    xMarkers = saved.xMarkers;
+    refreshBoard();
+    showMessage('Welcome back! Your game has been restored.', 'info');
 }
 
-// ===== PLACEMENT VALIDATION =====
-// This function checks if placing a bean at a specific position would touch any existing beans
+// ===== DAILY PUZZLE =====
+// Today's date picks the daily puzzle: the date is hashed into a seed, and the size, difficulty
+// and rules (always classic) are fixed, so everyone who plays on the same day gets the same board
+// without a server. (initializeGame's difficulty search only depends on the seed, never on timing.)
+// Results are kept in localStorage as { results: { "YYYY-MM-DD": { timeMs, hintsUsed, revealed } } }
+// and streaks are worked out from them - a day counts towards a streak if it was solved
+// without Show Solution
 
-function isValidPlacement(row, col, existingBeans) {
-    // Check every bean that's already been placed
-    for (const bean of existingBeans) {
-        // Calculate the distance between this potential position and the existing bean
-        const rowDiff = Math.abs(bean.row - row); // How many rows apart?
-        const colDiff = Math.abs(bean.col - col); // How many columns apart?
-        
-        // If both distances are <= 1, the beans would be touching (including diagonally)
-        // For example: rowDiff=1, colDiff=1 means diagonal neighbors
-        //              rowDiff=0, colDiff=1 means horizontal neighbors
-        //              rowDiff=1, colDiff=0 means vertical neighbors
-        if (rowDiff <= 1 && colDiff <= 1) {
-            return false; // This placement is invalid - beans would touch
+// Start today's daily puzzle
+async function startDailyPuzzle() {
+    const date = getTodayString();
+    
+    selectRuleVariant(DEFAULT_RULES);
+    gridSizeSelect.value = String(DAILY_SIZE);
+    difficultySelect.value = DAILY_DIFFICULTY;
+    if (!await initializeGame(getDailySeed(date), DAILY_DIFFICULTY, DEFAULT_RULES)) return; // Cancelled
+    
+    dailyDate = date;
+    saveGame(); // Save again now it's marked as the daily
+    updateDailyPanel();
+    
+    const result = loadDailyResults().results[date];
+    if (result) {
+        showMessage(`You've already played today's puzzle (${formatTime(result.timeMs)}) - replays don't change your result.`, 'info', 5000);
+    }
+}
+
+// Local date as YYYY-MM-DD (a day starts at local midnight)
+function getTodayString(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// Move a YYYY-MM-DD date forwards or backwards by a number of days
+function shiftDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return getTodayString(new Date(year, month - 1, day + days));
+}
+
+// Hash the date into a seed (FNV-1a), so each day gets its own puzzle
+function getDailySeed(date) {
+    let hash = 2166136261;
+    for (const char of `beans-daily-${date}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619) >>> 0;
+    }
+    return hash % MAX_SEED;
+}
+
+// Read the stored daily results
+function loadDailyResults() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DAILY_KEY));
+        if (stored && stored.results && typeof stored.results === 'object') return stored;
+    } catch (error) {
+        console.warn('Could not read daily results:', error);
+    }
+    return { results: {} };
+}
+
+// Store how the daily went - only the first finish of the day counts
+function recordDailyResult(timeMs) {
+    const stored = loadDailyResults();
+    if (!stored.results[dailyDate]) {
+        stored.results[dailyDate] = { timeMs, hintsUsed, revealed: solutionRevealed };
+        try {
+            localStorage.setItem(DAILY_KEY, JSON.stringify(stored));
+        } catch (error) {
+            console.warn('Could not save the daily result:', error);
+        }
+    }
+    updateDailyPanel();
+}
+
+// Work out the current streak (ending today, or yesterday if today isn't done yet) and the best one
+function getDailyStreaks(results, today = getTodayString()) {
+    const solved = date => results[date] && !results[date].revealed;
+    
+    let current = 0;
+    let day = solved(today) ? today : shiftDate(today, -1);
+    while (solved(day)) {
+        current++;
+        day = shiftDate(day, -1);
+    }
+    
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(results).sort().forEach(date => {
+        if (!solved(date)) {
+            run = 0;
+        } else {
+            run = previous && shiftDate(previous, 1) === date ? run + 1 : 1;
+            best = Math.max(best, run);
         }
+        previous = date;
+    });
+    
+    return { current, best };
+}
+
+// Build the shareable text for a day's result
+function buildDailySummary(date, result, streak) {
+    const lines = [`🫘 Beans Daily ${date}`];
+    if (result.revealed) {
+        lines.push(`👀 Solution shown after ${formatTime(result.timeMs)}`);
+    } else {
+        lines.push(`✅ Solved in ${formatTime(result.timeMs)}`);
     }
-    return true; // This placement is valid - no beans would touch
-}
-
-// ===== FALLBACK SOLUTION =====
-// This function provides a pre-tested valid solution pattern in case random generation fails
-
-function generateFallbackSolution() {
-    // This is a known valid pattern (similar to 8-queens problem solution)
-    // Each bean is in a different row, column, and no two beans touch each other
-    const validPattern = [
-        {row: 0, col: 0}, // Bean in top-left
-        {row: 1, col: 4}, // Bean in row 2, column 5
-        {row: 2, col: 7}, // Bean in row 3, column 8
-        {row: 3, col: 5}, // Bean in row 4, column 6
-        {row: 4, col: 2}, // Bean in row 5, column 3
-        {row: 5, col: 6}, // Bean in row 6, column 7
-        {row: 6, col: 1}, // Bean in row 7, column 2
-        {row: 7, col: 3}  // Bean in row 8, column 4
-    ];
-    return validPattern;
-}
-
-// ===== REGION GENERATION =====
-// This function creates 8 colored regions on the board, each containing exactly one solution bean
-// This ensures the puzzle has the constraint that each colored region must have exactly one bean
-// CRITICAL: Regions must be continuous - all cells of the same color must be connected
-
-function generateRegionsFromSolution(attemptNumber = 0) {
-    // Prevent infinite recursion if region generation keeps failing
-    const maxRegenerationAttempts = 10;
-    if (attemptNumber >= maxRegenerationAttempts) {
-        console.error('Max regeneration attempts reached. Using current regions.');
+    lines.push(result.hintsUsed ? `💡 ${result.hintsUsed} hint${result.hintsUsed === 1 ? '' : 's'}` : '💡 No hints');
+    if (streak > 0) lines.push(`🔥 Streak: ${streak}`);
+    return lines.join('\n');
+}
+
+// Fill in the daily panel for the puzzle being played
+function updateDailyPanel() {
+    const stored = loadDailyResults();
+    const result = stored.results[dailyDate];
+    const streaks = getDailyStreaks(stored.results);
+    
+    dailyStatusElement.textContent = result
+        ? buildDailySummary(dailyDate, result, streaks.current)
+        : `Daily puzzle for ${dailyDate} - not finished yet`;
+    dailyStreakElement.textContent = streaks.current;
+    dailyBestStreakElement.textContent = streaks.best;
+    copyDailyResultBtn.disabled = !result;
+    dailyPanel.hidden = false;
+}
+
+// Copy the results summary so it can be pasted into chat
+function copyDailyResult() {
+    const stored = loadDailyResults();
+    const result = stored.results[dailyDate];
+    if (!result) {
+        showMessage('Finish the daily puzzle first!', 'info');
         return;
     }
     
-    // Initialize all 64 cells (8x8 grid) as unassigned (region -1)
-    regions = Array(gridSize * gridSize).fill(-1);
+    const summary = buildDailySummary(dailyDate, result, getDailyStreaks(stored.results).current);
+    if (!navigator.clipboard) {
+        showMessage(summary, 'info', 8000);
+        return;
+    }
     
-    // Step 1: Assign each solution bean to its own region (0-7)
-    // This ensures each region will have exactly one bean from the solution
-    solution.forEach((bean, regionIndex) => {
-        const index = bean.row * gridSize + bean.col; // Convert row,col to array index
-        regions[index] = regionIndex; // Cell at solution bean gets that region number
+    navigator.clipboard.writeText(summary)
+        .then(() => showMessage('Results copied - paste them anywhere!', 'success'))
+        .catch(() => showMessage(summary, 'info', 8000));
+}
+
+// ===== STATISTICS =====
+// Every finished game is recorded in localStorage as { version: 1, games: [...] }, one entry per
+// game: { playedAt, size, difficulty, code, daily, timeMs, checks, hintsUsed, solved, revealed }
+// A game counts as played when it is solved, when the solution is shown, or when it's left for a
+// new puzzle after at least one move. Best and average times only count games solved without
+// Show Solution
+
+// Read the recorded games
+function loadStats() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STATS_KEY));
+        if (stored && Array.isArray(stored.games)) return stored;
+    } catch (error) {
+        console.warn('Could not read statistics:', error);
+    }
+    return { version: 1, games: [] };
+}
+
+// Write the recorded games back
+function saveStats(stats) {
+    try {
+        localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+    } catch (error) {
+        console.warn('Could not save statistics:', error);
+    }
+}
+
+// Record the current game with how it ended
+function recordGame(solved) {
+    const stats = loadStats();
+    stats.games.push({
+        playedAt: new Date().toISOString(),
+        size: gridSize,
+        rules: encodeRules(rules),
+        difficulty: puzzleRating ? puzzleRating.label : null,
+        code: puzzleCode || null,
+        daily: dailyDate !== null,
+        timeMs: Date.now() - startTime,
+        checks: checkCount,
+        hintsUsed,
+        solved,
+        revealed: solutionRevealed
+    });
+    saveStats(stats);
+    if (!statsPanel.hidden) renderStats();
+}
+
+// Group solved games by size, rules and difficulty and work out their best and average times
+// (games recorded before rule variants existed have no rules - they were all classic)
+function summarizeStats(games) {
+    const groups = new Map();
+    games.filter(game => game.solved && !game.revealed).forEach(game => {
+        const ruleCode = game.rules || encodeRules(DEFAULT_RULES);
+        const key = `${game.size}|${ruleCode}|${game.difficulty || 'Unrated'}`;
+        if (!groups.has(key)) {
+            groups.set(key, { size: game.size, rules: ruleCode, difficulty: game.difficulty || 'Unrated', times: [] });
+        }
+        groups.get(key).times.push(game.timeMs);
     });
     
-    // Step 2: Grow regions simultaneously using a queue-based flood fill
-    // This ensures regions grow outward and remain continuous
-    const queues = Array(gridSize).fill(null).map(() => []);
+    // Smallest boards first, then easiest to hardest
+    const difficultyOrder = difficulty => {
+        const grade = DIFFICULTIES.indexOf(difficulty);
+        return grade === -1 ? DIFFICULTIES.length : grade;
+    };
+    return [...groups.values()]
+        .map(group => ({
+            size: group.size,
+            rules: group.rules,
+            difficulty: group.difficulty,
+            solved: group.times.length,
+            bestMs: Math.min(...group.times),
+            averageMs: group.times.reduce((sum, time) => sum + time, 0) / group.times.length
+        }))
+        .sort((a, b) => a.size - b.size || a.rules.localeCompare(b.rules) ||
+            difficultyOrder(a.difficulty) - difficultyOrder(b.difficulty));
+}
+
+// Fill in the stats panel
+function renderStats() {
+    const games = loadStats().games;
+    const solvedCount = games.filter(game => game.solved && !game.revealed).length;
+    
+    statsSummaryElement.textContent = games.length === 0
+        ? 'No games recorded yet - finish a puzzle to start your stats.'
+        : `Games played: ${games.length} · Solved: ${solvedCount} · Solve rate: ${Math.round(solvedCount / games.length * 100)}%`;
+    
+    // Best times board
+    statsBestBody.innerHTML = '';
+    summarizeStats(games).forEach(group => {
+        addStatsRow(statsBestBody, [
+            describeBoard(group.size, group.rules),
+            group.difficulty,
+            group.solved,
+            formatTime(group.bestMs),
+            formatTime(group.averageMs)
+        ]);
+    });
+    
+    // Most recent games first
+    statsRecentBody.innerHTML = '';
+    games.slice(-RECENT_GAMES_SHOWN).reverse().forEach(game => {
+        let outcome = game.solved ? 'Solved' : 'Abandoned';
+        if (game.revealed) outcome = 'Revealed';
+        addStatsRow(statsRecentBody, [
+            new Date(game.playedAt).toLocaleDateString(),
+            `${describeBoard(game.size, game.rules)}${game.daily ? ' (daily)' : ''}`,
+            game.difficulty || 'Unrated',
+            formatTime(game.timeMs),
+            game.checks,
+            outcome
+        ]);
+    });
+}
+
+// Add one row of text cells to a table body
+function addStatsRow(tableBody, values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+}
+
+// Show or hide the stats panel
+function toggleStatsPanel() {
+    statsPanel.hidden = !statsPanel.hidden;
+    if (!statsPanel.hidden) renderStats();
+}
+
+// Put all recorded games in the text box as JSON
+function handleStatsExport() {
+    statsText.value = JSON.stringify(loadStats(), null, 2);
+    statsText.select();
+    showMessage('Statistics exported - copy them from the box', 'info');
+}
+
+// Merge games from the text box into the recorded ones (games already recorded are skipped)
+function handleStatsImport() {
+    try {
+        const added = importStats(statsText.value);
+        renderStats();
+        showMessage(`Imported ${added} game${added === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+// Check and merge exported statistics, returning how many new games were added
+function importStats(input) {
+    let data;
+    try {
+        data = JSON.parse(input);
+    } catch (error) {
+        throw new Error('Statistics must be the JSON produced by Export');
+    }
+    if (!data || !Array.isArray(data.games)) {
+        throw new Error('Statistics JSON needs a "games" list');
+    }
     
-    // Initialize queues with the solution bean positions
-    solution.forEach((bean, regionIndex) => {
-        queues[regionIndex].push({row: bean.row, col: bean.col});
+    data.games.forEach((game, index) => {
+        const valid = game && typeof game.playedAt === 'string' && !Number.isNaN(Date.parse(game.playedAt)) &&
+            Number.isInteger(game.size) && Number.isFinite(game.timeMs) && typeof game.solved === 'boolean';
+        if (!valid) throw new Error(`Game ${index + 1} in the statistics is missing its date, size, time or result`);
+
+        // Rules and difficulty may be missing (older exports, unrated puzzles) but must be text
+        // when present, or the stats panel can't sort and show them
+        const knownRules = game.rules === undefined || game.rules === null ||
+            (typeof game.rules === 'string' && decodeRules(game.rules) !== null);
+        const knownDifficulty = game.difficulty === undefined || game.difficulty === null || typeof game.difficulty === 'string';
+        if (!knownRules || !knownDifficulty) {
+            throw new Error(`Game ${index + 1} in the statistics has rules or a difficulty that can't be read`);
+        }
     });
     
-    // Step 3: Grow regions one cell at a time in round-robin fashion
-    // This keeps regions roughly balanced as they grow
-    let unassignedCount = gridSize * gridSize - gridSize; // 64 - 8 = 56 cells to assign
+    const stats = loadStats();
+    const gameKey = game => `${game.playedAt}|${game.code}|${game.timeMs}`;
+    const known = new Set(stats.games.map(gameKey));
+    const added = data.games.filter(game => !known.has(gameKey(game)));
+    
+    stats.games = stats.games.concat(added).sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+    saveStats(stats);
+    return added.length;
+}
+
+// ===== IMPORT PUZZLE =====
+// This function validates an imported puzzle and, if it passes, starts playing it
+// The player's saved progress (if included) is put back on the board
+
+function importPuzzle(input) {
+    const puzzle = parsePuzzle(input);
+    const uniqueSolution = validateImportedPuzzle(puzzle);
+    
+    startCustomPuzzle(puzzle.size, puzzle.regions, uniqueSolution, puzzle.rules);
+    
+    // Restore any progress that came with it
+    beansPlaced = puzzle.beansPlaced.map(({row, col}) => ({row, col, region: regions[row * gridSize + col]}));
+    xMarkers = puzzle.xMarkers;
+    refreshBoard();
+}
+
+// Start playing a puzzle that doesn't come from a seed (imported, or made in the editor)
+// `uniqueSolution` must already be checked to be the puzzle's only solution under `puzzleRules`
+function startCustomPuzzle(size, customRegions, uniqueSolution, puzzleRules) {
+    cancelGeneration(); // A puzzle still being generated would otherwise replace this one
+    
+    gridSize = size;
+    rules = puzzleRules;
+    selectRuleVariant(rules);
+    gridSizeSelect.value = String(gridSize);
+    regions = customRegions;
+    solution = uniqueSolution;
+    puzzleSeed = null;
+    puzzleCode = ''; // Custom puzzles don't come from a seed
+    puzzleRating = rateDifficulty(regions, gridSize, rules);
     
-    while (unassignedCount > 0) {
-        let addedThisRound = false;
+    startPuzzle();
+}
+
+// ===== IMPORT / EXPORT PANEL =====
+// These functions drive the panel under the controls
+
+// Show or hide the panel
+function toggleSharePanel() {
+    sharePanel.hidden = !sharePanel.hidden;
+    if (!sharePanel.hidden) shareText.focus();
+}
+
+// Fill the text box with the current puzzle in the chosen format
+// The solution and the player's progress are only included when asked for
+function handleExport() {
+    const extras = { code: puzzleCode };
+    if (includeSolutionCheckbox.checked) extras.solution = solution;
+    if (includeProgressCheckbox.checked) {
+        extras.beansPlaced = beansPlaced;
+        extras.xMarkers = xMarkers;
+    }
+    shareText.value = exportPuzzle({ size: gridSize, regions, rules }, shareFormatSelect.value, extras);
+    shareText.select();
+    showMessage('Puzzle exported - copy it from the box below', 'info');
+}
+
+// Load whatever is in the text box
+function handleImport() {
+    try {
+        importPuzzle(shareText.value);
+        showMessage('Puzzle imported! It has exactly one solution - good luck!', 'info');
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+// ===== PUZZLE EDITOR =====
+// Design a puzzle by painting regions onto an empty grid with the region palette
+// After every stroke the layout is checked (see analyzeLayout in engine.js): every cell painted,
+// every region in one connected piece, and exactly one solution. When more than one solution
+// fits, two of them are shown side by side with the cells they disagree on outlined, so it's
+// clear where the regions need reshaping. A finished puzzle can be played, saved to the library
+// or exported as a text grid that Import / Export reads back in
+
+// Show or hide the editor (it starts with a blank grid the size of the current board)
+function toggleEditorPanel() {
+    editorPanel.hidden = !editorPanel.hidden;
+    if (editorPanel.hidden) return;
+
+    if (editorRegions.length === 0) resetEditor(gridSize);
+    renderLibrary();
+}
+
+// Start again from a blank grid (under the same rules)
+function resetEditor(size) {
+    loadIntoEditor(size, new Array(size * size).fill(-1), null, '', editorRules);
+}
+
+// Start from the puzzle on the board
+function copyBoardIntoEditor() {
+    if (regions.length === 0) return;
+    loadIntoEditor(gridSize, regions, null, '', rules);
+    showMessage('The current puzzle is in the editor - reshape it as you like', 'info');
+}
+
+// Put a layout into the editor
+// `libraryId` is the library entry it came from (or null for a new puzzle)
+function loadIntoEditor(size, layout, libraryId, name, layoutRules) {
+    editorSize = size;
+    editorSizeSelect.value = String(size);
+    editorRules = layoutRules;
+    editorRulesSelect.value = (findRuleVariant(layoutRules) || RULE_VARIANTS[0]).id;
+    editorRegions = [...layout];
+    editorLibraryId = libraryId;
+    editorNameInput.value = name;
+    editorBrush = 0;
+    editorText.value = '';
+
+    renderEditorPalette();
+    createEditorBoard();
+    analyzeEditorLayout();
+}
+
+// One button per region color, plus the eraser
+function renderEditorPalette() {
+    editorPaletteElement.innerHTML = '';
+
+    for (let brush = 0; brush <= editorSize; brush++) {
+        const regionIndex = brush === editorSize ? -1 : brush; // The eraser comes last
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'palette-swatch';
+        button.dataset.brush = regionIndex;
+        if (regionIndex === -1) {
+            button.textContent = 'Erase';
+        } else {
+            button.textContent = regionToLetter(regionIndex);
+            button.style.setProperty('--region-color', getRegionColor(regionIndex, editorSize));
+            button.setAttribute('aria-label', `Paint region ${regionToLetter(regionIndex)}`);
+        }
+        button.setAttribute('aria-pressed', String(regionIndex === editorBrush));
+        button.addEventListener('click', () => {
+            editorBrush = regionIndex;
+            editorPaletteElement.querySelectorAll('.palette-swatch').forEach(swatch => {
+                swatch.setAttribute('aria-pressed', String(Number(swatch.dataset.brush) === editorBrush));
+            });
+        });
+        editorPaletteElement.appendChild(button);
+    }
+}
+
+// Build the editor grid (its cells are buttons, so the keyboard can paint them too)
+function createEditorBoard() {
+    editorBoardElement.innerHTML = '';
+    editorBoardElement.style.gridTemplateColumns = `repeat(${editorSize}, 1fr)`;
+    editorBoardElement.style.setProperty('--grid-size', editorSize);
+
+    for (let i = 0; i < editorSize; i++) {
+        for (let j = 0; j < editorSize; j++) {
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.className = 'editor-cell';
+            cell.dataset.row = i;
+            cell.dataset.col = j;
+            cell.addEventListener('click', (event) => {
+                if (event.detail !== 0) return; // Mouse and touch already painted on pointerdown
+                paintEditorCell(i, j);
+                analyzeEditorLayout();
+            });
+            editorBoardElement.appendChild(cell);
+        }
+    }
+    renderEditorBoard();
+}
+
+// Color every editor cell for its region, with the thick borders the game board uses
+// Regions in separate pieces are striped so they're easy to find
+function renderEditorBoard() {
+    const splitRegions = editorAnalysis ? editorAnalysis.splitRegions : [];
+
+    editorBoardElement.querySelectorAll('.editor-cell').forEach(cell => {
+        const row = Number(cell.dataset.row);
+        const col = Number(cell.dataset.col);
+        const regionIndex = editorRegions[row * editorSize + col];
+        const painted = regionIndex >= 0;
+
+        cell.textContent = painted ? regionToLetter(regionIndex) : '';
+        cell.style.setProperty('--region-color', painted ? getRegionColor(regionIndex, editorSize) : '#fff');
+        cell.setAttribute('aria-label',
+            `Row ${row + 1}, column ${col + 1}, ${painted ? `region ${regionToLetter(regionIndex)}` : 'not painted'}`);
+        cell.classList.toggle('split', painted && splitRegions.includes(regionIndex));
+
+        cell.style.border = ''; // Borders change as neighbours are repainted
+        applyRegionBorders(cell, row, col, editorRegions, editorSize);
+    });
+}
+
+// Paint one cell with the current brush
+function paintEditorCell(row, col) {
+    const index = row * editorSize + col;
+    if (editorRegions[index] === editorBrush) return;
+
+    editorRegions[index] = editorBrush;
+    renderEditorBoard();
+}
+
+// Press on the editor grid: paint that cell and keep painting while the pointer moves
+function handleEditorPointerDown(event) {
+    const cell = event.target.closest('.editor-cell');
+    if (!cell || event.button !== 0) return;
+
+    event.preventDefault(); // No text selection or scrolling while painting
+    editorStroke = event.pointerId;
+    paintEditorCell(Number(cell.dataset.row), Number(cell.dataset.col));
+}
+
+function handleEditorPointerMove(event) {
+    if (editorStroke === null || event.pointerId !== editorStroke) return;
+
+    // Touch pointers stay with the element they started on, so look up what's under the finger
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const cell = target && target.closest('.editor-cell');
+    if (cell) paintEditorCell(Number(cell.dataset.row), Number(cell.dataset.col));
+}
+
+// The stroke is finished - check the new layout once rather than after every cell
+function handleEditorPointerUp(event) {
+    if (editorStroke === null || event.pointerId !== editorStroke) return;
+
+    editorStroke = null;
+    analyzeEditorLayout();
+}
+
+// Check the layout and say what it still needs
+function analyzeEditorLayout() {
+    editorAnalysis = analyzeLayout(editorRegions, editorSize, editorRules);
+    const { unpainted, missingRegions, splitRegions, solutionCount, solutions } = editorAnalysis;
+    renderEditorBoard();
+
+    const letters = list => list.map(regionToLetter).join(', ');
+    const problems = [];
+    if (unpainted > 0) {
+        problems.push(`${unpainted} cell${unpainted === 1 ? '' : 's'} still to paint`);
+    }
+    if (missingRegions.length > 0) {
+        problems.push(`not used yet: ${letters(missingRegions)}`);
+    }
+    if (splitRegions.length > 0) {
+        problems.push(`in separate pieces (each region must be one shape): ${letters(splitRegions)}`);
+    }
+
+    let status;
+    if (problems.length > 0) {
+        status = `Keep painting - ${problems.join('; ')}`;
+    } else if (solutionCount === 0) {
+        status = 'No solution - the beans can\'t be placed in these regions without breaking a rule. Try reshaping them.';
+    } else if (solutionCount === 1) {
+        status = `✓ Exactly one solution (${rateDifficulty(editorRegions, editorSize, editorRules).label}) - ready to play, save or export`;
+    } else {
+        status = 'More than one solution - two of them are shown below. Reshape the regions around the outlined cells so only one fits.';
+    }
+    editorStatusElement.textContent = status;
+    editorStatusElement.classList.toggle('ready', solutionCount === 1);
+
+    const ready = solutionCount === 1;
+    editorPlayBtn.disabled = !ready;
+    editorSaveBtn.disabled = !ready;
+    editorExportBtn.disabled = !ready;
+
+    renderEditorSolutions(solutionCount > 1 ? solutions : []);
+}
+
+// Draw two different solutions side by side, outlining the cells where they disagree
+function renderEditorSolutions(shown) {
+    editorSolutionsElement.innerHTML = '';
+    editorSolutionsElement.hidden = shown.length === 0;
+
+    const beanSets = shown.map(found => new Set(found.map(bean => bean.row * editorSize + bean.col)));
+    shown.forEach((found, n) => {
+        const figure = document.createElement('figure');
+        figure.className = 'editor-solution';
+
+        const grid = document.createElement('div');
+        grid.className = 'editor-solution-grid';
+        grid.style.gridTemplateColumns = `repeat(${editorSize}, 1fr)`;
+        editorRegions.forEach((regionIndex, index) => {
+            const cell = document.createElement('div');
+            cell.style.setProperty('--region-color', getRegionColor(regionIndex, editorSize));
+            cell.classList.toggle('differs', beanSets[0].has(index) !== beanSets[1].has(index));
+            if (beanSets[n].has(index)) {
+                const bean = document.createElement('span');
+                bean.className = 'editor-bean';
+                cell.appendChild(bean);
+            }
+            grid.appendChild(cell);
+        });
+
+        const caption = document.createElement('figcaption');
+        caption.textContent = `Solution ${n + 1}`;
+        figure.append(grid, caption);
+        editorSolutionsElement.appendChild(figure);
+    });
+}
+
+// Play the finished puzzle on the main board
+function playEditorPuzzle() {
+    if (!editorAnalysis || editorAnalysis.solutionCount !== 1) return;
+
+    startCustomPuzzle(editorSize, [...editorRegions], editorAnalysis.solutions[0], editorRules);
+    editorPanel.hidden = true;
+    showMessage('Playing your puzzle - good luck!', 'info');
+}
+
+// Write the finished puzzle into the text box to share
+function exportEditorPuzzle() {
+    if (!editorAnalysis || editorAnalysis.solutionCount !== 1) return;
+
+    editorText.value = exportPuzzle({ size: editorSize, regions: editorRegions, rules: editorRules }, 'text');
+    editorText.select();
+    showMessage('Puzzle exported - send it to a friend to paste into Import / Export', 'info');
+}
+
+// ===== PUZZLE LIBRARY =====
+// Puzzles saved from the editor, kept in localStorage as
+// { version: 1, puzzles: [{ id, name, size, rules, regions, difficulty, savedAt }] }, where rules
+// is a rule code (entries saved before rule variants existed have none - they are classic)
+// Saving a puzzle opened from the library updates that entry instead of adding a copy
+
+// Read the library (an empty one if nothing is saved or it can't be read)
+function loadLibrary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+        if (stored && Array.isArray(stored.puzzles)) return stored;
+    } catch (error) {
+        console.warn('Could not read the puzzle library:', error);
+    }
+    return { version: 1, puzzles: [] };
+}
+
+// Write the library back
+function saveLibrary(library) {
+    try {
+        localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    } catch (error) {
+        console.warn('Could not save the puzzle library:', error);
+        showMessage('Couldn\'t save to the library - your browser storage may be full or switched off', 'error');
+    }
+}
+
+// Save the finished puzzle in the editor
+function saveEditorPuzzle() {
+    if (!editorAnalysis || editorAnalysis.solutionCount !== 1) return;
+
+    const library = loadLibrary();
+    const name = editorNameInput.value.trim() || `My ${editorSize}×${editorSize} puzzle ${library.puzzles.length + 1}`;
+    const entry = {
+        id: editorLibraryId || `${Date.now().toString(36)}-${library.puzzles.length}`,
+        name,
+        size: editorSize,
+        rules: encodeRules(editorRules),
+        regions: [...editorRegions],
+        difficulty: rateDifficulty(editorRegions, editorSize, editorRules).label,
+        savedAt: Date.now()
+    };
+
+    const existing = library.puzzles.findIndex(puzzle => puzzle.id === entry.id);
+    if (existing >= 0) {
+        library.puzzles[existing] = entry;
+    } else {
+        library.puzzles.push(entry);
+    }
+    saveLibrary(library);
+
+    editorLibraryId = entry.id;
+    editorNameInput.value = name;
+    renderLibrary();
+    showMessage(`Saved "${name}" to your library`, 'info');
+}
+
+// Fill the library table, newest first, with Play / Edit / Export / Delete for each puzzle
+function renderLibrary() {
+    const puzzles = loadLibrary().puzzles.slice().sort((a, b) => b.savedAt - a.savedAt);
+    libraryBody.innerHTML = '';
+    libraryEmptyElement.hidden = puzzles.length > 0;
+
+    puzzles.forEach(puzzle => {
+        addStatsRow(libraryBody, [
+            puzzle.name,
+            describeBoard(puzzle.size, puzzle.rules),
+            puzzle.difficulty,
+            new Date(puzzle.savedAt).toLocaleDateString()
+        ]);
+
+        const actions = document.createElement('td');
+        actions.className = 'library-actions';
+        [
+            ['Play', () => playLibraryPuzzle(puzzle)],
+            ['Edit', () => loadIntoEditor(puzzle.size, puzzle.regions, puzzle.id, puzzle.name, getLibraryRules(puzzle))],
+            ['Export', () => exportLibraryPuzzle(puzzle)],
+            ['Delete', () => deleteLibraryPuzzle(puzzle)]
+        ].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-link';
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} ${puzzle.name}`);
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+        libraryBody.lastElementChild.appendChild(actions);
+    });
+}
+
+// Play a saved puzzle (checked again, in case the stored copy was edited by hand)
+function playLibraryPuzzle(puzzle) {
+    try {
+        const puzzleRules = getLibraryRules(puzzle);
+        const uniqueSolution = validateImportedPuzzle({ size: puzzle.size, regions: puzzle.regions, rules: puzzleRules });
+        startCustomPuzzle(puzzle.size, [...puzzle.regions], uniqueSolution, puzzleRules);
+        editorPanel.hidden = true;
+        showMessage(`Playing "${puzzle.name}" - good luck!`, 'info');
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+// The rules a library puzzle is played under
+function getLibraryRules(puzzle) {
+    return (typeof puzzle.rules === 'string' && decodeRules(puzzle.rules)) || DEFAULT_RULES;
+}
+
+// Write a saved puzzle into the text box to share
+function exportLibraryPuzzle(puzzle) {
+    editorText.value = exportPuzzle({ size: puzzle.size, regions: puzzle.regions, rules: getLibraryRules(puzzle) }, 'text');
+    editorText.select();
+    showMessage(`"${puzzle.name}" exported - copy it from the box below`, 'info');
+}
+
+// Remove a saved puzzle
+function deleteLibraryPuzzle(puzzle) {
+    const library = loadLibrary();
+    library.puzzles = library.puzzles.filter(saved => saved.id !== puzzle.id);
+    saveLibrary(library);
+    if (editorLibraryId === puzzle.id) editorLibraryId = null; // Saving again makes a new entry
+    renderLibrary();
+    showMessage(`Deleted "${puzzle.name}"`, 'info');
+}
+
+// ===== BOARD CREATION =====
+// This function draws the game board grid on the screen with all the colored regions
+
+function createBoard() {
+    gameBoardElement.innerHTML = ''; // Clear any existing board
+    gameBoardElement.style.gridTemplateColumns = `repeat(${gridSize}, 1fr)`; // Set up one column per grid column
+    gameBoardElement.style.setProperty('--grid-size', gridSize); // Lets the CSS shrink cells on larger boards
+    gameBoardElement.setAttribute('aria-label', `Beans puzzle, ${gridSize} by ${gridSize}`);
+    cursorRow = 0; // Keyboard cursor starts in the top-left corner
+    cursorCol = 0;
+    
+    // Create every cell (gridSize rows × gridSize columns)
+    for (let i = 0; i < gridSize; i++) {
+        // Screen readers need each row wrapped in a row element (it's display: contents, so the
+        // cells still sit directly in the CSS grid)
+        const rowElement = document.createElement('div');
+        rowElement.className = 'board-row';
+        rowElement.setAttribute('role', 'row');
         
-        // Let each region grow by one cell (if possible)
-        for (let regionIndex = 0; regionIndex < gridSize; regionIndex++) {
-            if (queues[regionIndex].length === 0) continue;
+        for (let j = 0; j < gridSize; j++) {
+            // Create a div element for this cell
+            const cell = document.createElement('div');
+            cell.className = 'cell';
+            cell.dataset.row = i; // Store row number in the element for later reference
+            cell.dataset.col = j; // Store column number in the element for later reference
+            cell.setAttribute('role', 'gridcell');
+            cell.tabIndex = i === 0 && j === 0 ? 0 : -1; // Only the cursor cell is reachable with Tab
+            cell.setAttribute('aria-label', describeCellForScreenReader(i, j, ''));
+            
+            // Determine which colored region this cell belongs to
+            const regionIndex = regions[i * gridSize + j];
+            cell.classList.add(`region-${regionIndex}`); // Add CSS class identifying the region
+            cell.style.setProperty('--region-color', getRegionColor(regionIndex)); // Color the cell for its region
             
-            // Get the next cell in this region's queue
-            const current = queues[regionIndex].shift();
+            // Region marks: a letter in the corner or a pattern per region, shown by CSS when
+            // chosen (see THEMES) - attributes rather than child elements, so placing beans
+            // and Xs never wipes them
+            cell.dataset.label = regionToLetter(regionIndex);
+            cell.dataset.pattern = regionIndex % REGION_PATTERN_COUNT;
             
-            // Find unassigned neighbors of this cell
-            const neighbors = [
-                {row: current.row - 1, col: current.col}, // Up
-                {row: current.row + 1, col: current.col}, // Down
-                {row: current.row, col: current.col - 1}, // Left
-                {row: current.row, col: current.col + 1}  // Right
-            ];
+            // Add thick borders around the edges of each colored region
+            applyRegionBorders(cell, i, j);
             
-            // Shuffle neighbors to add randomness to region shapes
-            shuffleArray(neighbors);
+            // Left click (or tap) places a bean - or an X when the mode button says so
+            cell.addEventListener('click', (e) => {
+                e.preventDefault(); // Prevent default click behavior
+                if (consumeSuppressedClick()) return; // Already handled as a drag or long press
+                moveCursor(i, j, false); // Keep the keyboard cursor where the player is working
+                handleCellClick(i, j, inputMode);
+            });
             
-            for (const neighbor of neighbors) {
-                // Skip if out of bounds
-                if (neighbor.row < 0 || neighbor.row >= gridSize || 
-                    neighbor.col < 0 || neighbor.col >= gridSize) {
-                    continue;
-                }
-                
-                const neighborIndex = neighbor.row * gridSize + neighbor.col;
-                
-                // If this neighbor is unassigned, claim it for this region
-                if (regions[neighborIndex] === -1) {
-                    regions[neighborIndex] = regionIndex;
-                    queues[regionIndex].push(neighbor); // Add to queue for further growth
-                    unassignedCount--;
-                    addedThisRound = true;
-                    break; // Only add one neighbor per turn to keep growth balanced
-                }
-            }
+            // Right click places an X marker
+            cell.addEventListener('contextmenu', (e) => {
+                e.preventDefault(); // Prevent the context menu from appearing
+                if (lastPointerType === 'touch') return; // Touch long presses are handled in TOUCH AND DRAG
+                if (consumeSuppressedClick()) return; // A right-button drag just finished
+                moveCursor(i, j, false);
+                handleCellClick(i, j, 'x');
+            });
+            
+            rowElement.appendChild(cell); // Add this cell to its row
         }
         
-        // Safety check: if no cells were added this round, we're stuck
-        if (!addedThisRound) {
-            console.warn('Region growth stalled, filling remaining cells...');
-            // Fill any remaining unassigned cells with their nearest region
-            for (let i = 0; i < gridSize * gridSize; i++) {
-                if (regions[i] === -1) {
-                    regions[i] = findClosestRegion(i);
-                    unassignedCount--;
-                }
-            }
+        gameBoardElement.appendChild(rowElement); // Add this row to the board
+    }
+}
+
+// ===== KEYBOARD CONTROLS =====
+// The board is an ARIA grid with a roving cursor: only the cursor cell is in the tab order, and
+// the arrow keys move it around
+//   Arrows          move the cursor (Home/End jump to the start/end of the row,
+//                   Ctrl+Home/Ctrl+End to the first/last cell)
+//   Space / Enter   place or remove a bean
+//   X               place or remove an X marker
+//   Delete / Backspace   clear the cell (removes a bean or manual X)
+
+function handleBoardKeydown(event) {
+    if (event.target.getAttribute('role') !== 'gridcell') return;
+    
+    let row = cursorRow;
+    let col = cursorCol;
+    
+    switch (event.key) {
+        case 'ArrowUp':
+            row = Math.max(0, row - 1);
             break;
-        }
+        case 'ArrowDown':
+            row = Math.min(gridSize - 1, row + 1);
+            break;
+        case 'ArrowLeft':
+            col = Math.max(0, col - 1);
+            break;
+        case 'ArrowRight':
+            col = Math.min(gridSize - 1, col + 1);
+            break;
+        case 'Home':
+            col = 0;
+            if (event.ctrlKey) row = 0;
+            break;
+        case 'End':
+            col = gridSize - 1;
+            if (event.ctrlKey) row = gridSize - 1;
+            break;
+        case ' ':
+        case 'Enter':
+            event.preventDefault();
+            handleCellClick(row, col, 'bean');
+            return;
+        case 'x':
+        case 'X':
+            if (event.ctrlKey || event.metaKey) return; // Leave Ctrl+X alone
+            event.preventDefault();
+            handleCellClick(row, col, 'x');
+            return;
+        case 'Delete':
+        case 'Backspace':
+            event.preventDefault();
+            handleCellClick(row, col, 'clear');
+            return;
+        default:
+            return; // Not a board key
     }
     
-    // Step 4: Verify all regions are connected (no split regions)
-    // This is a final safety check to ensure continuity
-    for (let r = 0; r < gridSize; r++) {
-        if (!isRegionConnected(r)) {
-            console.error(`ERROR: Region ${r} is not fully connected! Regenerating (attempt ${attemptNumber + 1})...`);
-            // If a region is disconnected, regenerate completely (with attempt counter)
-            generateRegionsFromSolution(attemptNumber + 1);
-            return;
-        }
-    }
+    event.preventDefault(); // Stop the arrow keys scrolling the page
+    moveCursor(row, col, true);
+}
+
+// Move the roving cursor to a cell (and give it keyboard focus if asked)
+function moveCursor(row, col, focus) {
+    const previous = getCellElement(cursorRow, cursorCol);
+    if (previous) previous.tabIndex = -1;
+    
+    cursorRow = row;
+    cursorCol = col;
+    
+    const cell = getCellElement(row, col);
+    cell.tabIndex = 0;
+    if (focus) cell.focus();
+}
+
+// Find the element for a cell
+function getCellElement(row, col) {
+    return gameBoardElement.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`);
+}
+
+// What a screen reader says for a cell, e.g. "Row 3, column 5, region C, bean"
+function describeCellForScreenReader(row, col, content) {
+    const contents = {
+        bean: 'bean',
+        x: 'X',
+        'auto-x': 'X (automatic)',
+        '': 'empty'
+    };
+    return `Row ${row + 1}, column ${col + 1}, region ${regionToLetter(regions[row * gridSize + col])}, ${contents[content]}`;
+}
+
+// Read a short message out through the hidden live region
+// The text is cleared first so the same message twice in a row is still announced
+function announce(text) {
+    announcerElement.textContent = '';
+    setTimeout(() => {
+        announcerElement.textContent = text;
+    }, 50);
+}
+
+// ===== TOUCH AND DRAG =====
+// Pointer events cover mouse, touch and pen alike
+//   Long press (touch)   toggles an X - phones have no right-click
+//   Drag                 starting on an empty cell paints Xs over every cell crossed; starting
+//                        on a manual X erases them instead. The whole stroke is one undo step
+// Cells with beans or automatic Xs are skipped while painting
+
+// Start tracking a press on a cell
+function handleBoardPointerDown(event) {
+    const cell = event.target.closest('.cell');
+    if (!cell || !gameActive) return;
+    if (event.pointerType === 'mouse' && event.button !== 0 && event.button !== 2) return; // Only left or right drags
+    
+    lastPointerType = event.pointerType;
+    cancelStroke();
     
-    console.log('All regions verified as continuous!');
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    const content = cell.dataset.content || '';
+    
+    stroke = {
+        pointerId: event.pointerId,
+        row,
+        col,
+        action: content === '' ? 'add' : content === 'x' ? 'erase' : null, // Beans and automatic Xs can't start a stroke
+        painting: false,
+        visited: new Set(),
+        before: snapshotPlacements(),
+        changed: 0,
+        longPressTimer: null
+    };
+    
+    // Touch has no right-click, so holding a finger down toggles an X instead
+    if (event.pointerType === 'touch') {
+        stroke.longPressTimer = setTimeout(() => {
+            if (!stroke || stroke.painting) return;
+            stroke = null;
+            suppressNextClick = true; // The finger lifting shouldn't also count as a tap
+            if (navigator.vibrate) navigator.vibrate(20);
+            handleCellClick(row, col, inputMode === 'x' ? 'bean' : 'x');
+        }, LONG_PRESS_MS);
+    }
 }
 
-// ===== FIND CLOSEST REGION =====
-// This helper function finds the nearest region for an unassigned cell
+// Paint or erase as the pointer crosses into new cells
+function handleBoardPointerMove(event) {
+    if (!stroke || event.pointerId !== stroke.pointerId || !stroke.action) return;
+    
+    // Touch pointers stay with the element they started on, so look up what's under the finger
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const cell = target && target.closest('.cell');
+    if (!cell) return;
+    
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    if (!stroke.painting) {
+        if (row === stroke.row && col === stroke.col) return; // Still a tap or press so far
+        
+        // Left the first cell - this is a drag, so the first cell gets marked too
+        stroke.painting = true;
+        clearTimeout(stroke.longPressTimer);
+        clearHintHighlights();
+        paintCell(stroke.row, stroke.col);
+    }
+    paintCell(row, col);
+}
 
-function findClosestRegion(cellIndex) {
-    const row = Math.floor(cellIndex / gridSize); // Get cell's row
-    const col = cellIndex % gridSize; // Get cell's column
+// Mark or unmark one cell as part of the stroke
+function paintCell(row, col) {
+    const index = row * gridSize + col;
+    if (stroke.visited.has(index)) return;
+    stroke.visited.add(index);
     
-    // Spiral outward from this cell to find the nearest assigned region
-    for (let distance = 1; distance < gridSize; distance++) {
-        for (let dr = -distance; dr <= distance; dr++) {
-            for (let dc = -distance; dc <= distance; dc++) {
-                const newRow = row + dr;
-                const newCol = col + dc;
-                
-                // Check if this position is within the grid
-                if (newRow >= 0 && newRow < gridSize && newCol >= 0 && newCol < gridSize) {
-                    const index = newRow * gridSize + newCol;
-                    // If this cell has a region, use that region
-                    if (regions[index] !== -1) {
-                        return regions[index];
-                    }
-                }
-            }
-        }
+    const hasBean = beansPlaced.some(b => b.row === row && b.col === col);
+    const hasAutoX = autoXMarkers.some(x => x.row === row && x.col === col);
+    const xIndex = xMarkers.findIndex(x => x.row === row && x.col === col);
+    
+    if (stroke.action === 'add' && !hasBean && !hasAutoX && xIndex === -1) {
+        xMarkers.push({ row, col });
+    } else if (stroke.action === 'erase' && xIndex !== -1) {
+        xMarkers.splice(xIndex, 1);
+    } else {
+        return;
     }
     
-    return 0; // Fallback to region 0 if nothing found
+    stroke.changed++;
+    refreshBoard();
 }
 
-// ===== BALANCE REGIONS =====
-// This function ensures each region has approximately equal size (8 cells each)
-// CRITICAL: This function must maintain continuity - regions cannot be split into separate pieces
-
-function balanceRegions() {
-    const targetSize = gridSize; // Each region should have 8 cells (64 total / 8 regions)
-    const regionSizes = Array(gridSize).fill(0); // Track how many cells in each region
+// Finish the stroke and record it as a single move
+function handleBoardPointerUp(event) {
+    if (!stroke || event.pointerId !== stroke.pointerId) return;
     
-    // Count the current size of each region
-    regions.forEach(r => regionSizes[r]++);
+    const finished = stroke;
+    cancelStroke();
+    if (!finished.painting) return; // A plain tap - the click handler takes it from here
     
-    // Try to balance by moving cells from oversized regions to undersized ones
-    for (let attempt = 0; attempt < 100; attempt++) {
-        let changed = false; // Track if we made any changes this iteration
-        
-        for (let i = 0; i < gridSize * gridSize; i++) {
-            const currentRegion = regions[i];
-            
-            // If this region has too many cells
-            if (regionSizes[currentRegion] > targetSize) {
-                const row = Math.floor(i / gridSize);
-                const col = i % gridSize;
-                
-                // Get the regions of neighboring cells
-                const neighbors = getNeighborRegions(row, col);
-                
-                // Try to move this cell to a neighbor region that's too small
-                for (const neighborRegion of neighbors) {
-                    if (neighborRegion !== currentRegion && regionSizes[neighborRegion] < targetSize) {
-                        // Don't move cells that contain solution beans
-                        const isSolutionCell = solution.some(s => s.row === row && s.col === col);
-                        
-                        if (!isSolutionCell) {
-                            // CRITICAL CHECK: Verify that moving this cell won't disconnect the current region
-                            // Temporarily move the cell and check if the region is still continuous
-                            const originalRegion = regions[i];
-                            regions[i] = neighborRegion;
-                            
-                            // Check if the original region is still connected
-                            if (isRegionConnected(originalRegion)) {
-                                // Safe to move! Update the region sizes
-                                regionSizes[currentRegion]--;
-                                regionSizes[neighborRegion]++;
-                                changed = true;
-                                break;
-                            } else {
-                                // Moving this cell would split the region - undo it!
-                                regions[i] = originalRegion;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Stop if no changes were made (regions are balanced)
-        if (!changed) break;
+    suppressNextClick = true; // Releasing after a drag isn't a click
+    if (finished.changed > 0) {
+        const cells = `${finished.changed} cell${finished.changed === 1 ? '' : 's'}`;
+        recordMove(finished.action === 'add' ? `marked ${cells} with X` : `erased X from ${cells}`, finished.before);
+        announce(`${finished.action === 'add' ? 'Marked' : 'Erased'} ${cells}.`);
     }
 }
 
-// ===== GET NEIGHBOR REGIONS =====
-// This function returns a list of which regions are adjacent to a given cell
+// Forget the stroke in progress (any cells already painted stay painted)
+function cancelStroke() {
+    if (stroke) clearTimeout(stroke.longPressTimer);
+    stroke = null;
+}
+
+// A click that ends a drag or long press has already been handled
+// Returns true (and resets the flag) when this click should be ignored
+function consumeSuppressedClick() {
+    const suppressed = suppressNextClick;
+    suppressNextClick = false;
+    return suppressed;
+}
+
+// Switch what a plain tap or left-click places
+function toggleInputMode() {
+    inputMode = inputMode === 'bean' ? 'x' : 'bean';
+    inputModeBtn.textContent = inputMode === 'bean' ? 'Tap places: 🫘 Bean' : 'Tap places: ✖ X';
+    inputModeBtn.setAttribute('aria-pressed', String(inputMode === 'x'));
+}
+
+// ===== REGION BORDER STYLING =====
+// This function adds thick borders around the perimeter of each colored region
+// (which sides need one is worked out by findRegionBorders, so printed puzzles match the board)
+
+function applyRegionBorders(cell, row, col, cellRegions = regions, size = gridSize) {
+    const borders = findRegionBorders(cellRegions, size, row, col);
+    
+    if (borders.top) cell.style.borderTop = '3px solid #000'; // Top edge or a different region above
+    if (borders.bottom) cell.style.borderBottom = '3px solid #000'; // Bottom edge or a different region below
+    if (borders.left) cell.style.borderLeft = '3px solid #000'; // Left edge or a different region to the left
+    if (borders.right) cell.style.borderRight = '3px solid #000'; // Right edge or a different region to the right
+}
+
+// ===== REGION COLORS =====
+// This function picks the background color for a region in the current theme
+// The pastel theme spreads hues evenly around the color wheel so any number of regions stays
+// distinguishable; the other themes use the fixed palettes in THEMES
 
-function getNeighborRegions(row, col) {
-    const neighbors = new Set(); // Use Set to avoid duplicates
+function getRegionColor(regionIndex, size = gridSize) {
+    const palette = THEMES[theme].palette;
+    if (palette) return palette[regionIndex % palette.length];
     
-    // Check the region above this cell
-    if (row > 0) neighbors.add(regions[(row - 1) * gridSize + col]);
-    // Check the region below this cell
-    if (row < gridSize - 1) neighbors.add(regions[(row + 1) * gridSize + col]);
-    // Check the region to the left
-    if (col > 0) neighbors.add(regions[row * gridSize + (col - 1)]);
-    // Check the region to the right
-    if (col < gridSize - 1) neighbors.add(regions[row * gridSize + (col + 1)]);
+    // Regions are numbered by solution row, so neighbouring numbers often sit next to each other
+    // Interleave the two halves of the wheel so consecutive regions land on opposite hues
+    const half = Math.ceil(size / 2);
+    const slot = regionIndex % 2 === 0 ? regionIndex / 2 : half + (regionIndex - 1) / 2;
     
-    return Array.from(neighbors); // Convert Set back to Array
+    const hue = Math.round((slot * 360) / size + 340) % 360; // Start at rose and walk around the wheel
+    return `hsl(${hue}, 70%, 80%)`; // Soft saturation and high lightness keep the frosting-pastel look
 }
 
-// ===== CHECK REGION CONNECTIVITY =====
-// This function verifies that all cells of a given region are connected (no separated islands)
-// Uses flood-fill algorithm to ensure the region is one continuous piece
+// ===== THEMES =====
+// Region colors can be swapped for a color-blind-safe palette or a high-contrast one, and each
+// region can also carry a letter or a pattern so colors aren't the only way to tell regions
+// apart. The choice is kept in localStorage as { version: 1, theme, regionMarks }
+// With nothing saved, the high-contrast theme is picked for systems that ask for more contrast
 
-function isRegionConnected(regionNumber) {
-    // Find all cells belonging to this region
-    const regionCells = [];
-    for (let i = 0; i < gridSize * gridSize; i++) {
-        if (regions[i] === regionNumber) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-            regionCells.push({row, col, index: i});
-        }
+// The color-blind palette is Paul Tol's "light" scheme (distinct under all common kinds of
+// color blindness), topped up from his "pale" scheme for boards with more than 9 regions
+// The high-contrast palette keeps every region light and saturated, so the darkened beans and
+// Xs of that theme stand out on all of them
+const THEMES = {
+    pastel: { label: 'Pastel', palette: null },
+    colorblind: {
+        label: 'Color-blind safe',
+        palette: ['#77aadd', '#ee8866', '#eedd88', '#ffaabb', '#99ddff', '#44bb99',
+            '#bbcc33', '#dddddd', '#aaaa00', '#bbccee', '#ccddaa', '#ffcccc']
+    },
+    contrast: {
+        label: 'High contrast',
+        palette: ['#ffff00', '#00ffff', '#ff99ff', '#99ff66', '#ffffff', '#ffb347',
+            '#99ccff', '#ff9999', '#ccff00', '#cc99ff', '#66ffcc', '#ffd9b3']
+    }
+};
+const REGION_MARKS = ['none', 'letters', 'patterns'];
+const REGION_PATTERN_COUNT = 7; // Patterns defined in styles.css ([data-pattern="0"] to "6")
+
+// Read the saved theme (called once on page load)
+function loadThemeSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(THEME_KEY));
+    } catch (error) {
+        console.warn('Could not read the theme:', error);
     }
     
-    // If region has 0 or 1 cell, it's automatically connected
-    if (regionCells.length <= 1) return true;
+    if (saved && THEMES[saved.theme] && REGION_MARKS.includes(saved.regionMarks)) {
+        applyTheme(saved.theme, saved.regionMarks);
+    } else {
+        const prefersContrast = window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches;
+        applyTheme(prefersContrast ? 'contrast' : 'pastel', 'none');
+    }
+}
+
+// The dropdowns changed: switch and remember the choice
+function setTheme(newTheme, newRegionMarks) {
+    applyTheme(newTheme, newRegionMarks);
+    try {
+        localStorage.setItem(THEME_KEY, JSON.stringify({ version: 1, theme, regionMarks }));
+    } catch (error) {
+        console.warn('Could not save the theme:', error);
+    }
+}
+
+// Switch theme and region marks, recoloring whatever is on screen
+function applyTheme(newTheme, newRegionMarks) {
+    theme = THEMES[newTheme] ? newTheme : 'pastel';
+    regionMarks = REGION_MARKS.includes(newRegionMarks) ? newRegionMarks : 'none';
+    themeSelect.value = theme;
+    regionMarksSelect.value = regionMarks;
     
-    // Use flood-fill starting from the first cell to see if we can reach all cells
-    const visited = new Set();
-    const queue = [regionCells[0]]; // Start from first cell
-    visited.add(regionCells[0].index);
+    // The CSS for the theme's markers and the region marks hangs off classes on the body
+    Object.keys(THEMES).forEach(name => document.body.classList.toggle(`theme-${name}`, name === theme));
+    REGION_MARKS.forEach(marks => document.body.classList.toggle(`marks-${marks}`, marks === regionMarks));
     
-    while (queue.length > 0) {
-        const current = queue.shift();
-        
-        // Check all 4 neighbors (up, down, left, right)
-        const neighbors = [
-            {row: current.row - 1, col: current.col}, // Up
-            {row: current.row + 1, col: current.col}, // Down
-            {row: current.row, col: current.col - 1}, // Left
-            {row: current.row, col: current.col + 1}  // Right
-        ];
-        
-        for (const neighbor of neighbors) {
-            // Skip if out of bounds
-            if (neighbor.row < 0 || neighbor.row >= gridSize || 
-                neighbor.col < 0 || neighbor.col >= gridSize) {
-                continue;
-            }
-            
-            const neighborIndex = neighbor.row * gridSize + neighbor.col;
-            
-            // Skip if already visited
-            if (visited.has(neighborIndex)) continue;
-            
-            // Skip if not part of this region
-            if (regions[neighborIndex] !== regionNumber) continue;
-            
-            // Add to visited and queue
-            visited.add(neighborIndex);
-            queue.push({row: neighbor.row, col: neighbor.col, index: neighborIndex});
-        }
+    // Recolor the board in place (no need to rebuild it and lose the keyboard cursor)
+    document.querySelectorAll('.cell').forEach(cell => {
+        const regionIndex = regions[Number(cell.dataset.row) * gridSize + Number(cell.dataset.col)];
+        cell.style.setProperty('--region-color', getRegionColor(regionIndex));
+    });
+    if (editorRegions.length > 0) {
+        renderEditorPalette();
+        analyzeEditorLayout(); // Redraws the editor grid and any solutions shown under it
     }
-    
-    // If we visited all cells in the region, it's connected
-    // If we visited fewer cells, the region is split into disconnected pieces
-    return visited.size === regionCells.length;
 }
 
-// ===== SHUFFLE ARRAY =====
-// This helper function randomly shuffles an array in place (Fisher-Yates shuffle)
+// ===== PRINTING =====
+// Print sheets and SVG images come from print.js. The sheets are a separate HTML document, printed
+// from an invisible frame so the page itself stays as it is - the print dialog can also save
+// them as a PDF. Colors follow the current theme, or the cells stay white
 
-function shuffleArray(array) {
-    // Start from the end and swap each element with a random earlier element
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1)); // Random index from 0 to i
-        // Swap elements at positions i and j
-        [array[i], array[j]] = [array[j], array[i]];
-    }
+// Show or hide the panel
+function togglePrintPanel() {
+    printPanel.hidden = !printPanel.hidden;
 }
 
-// ===== BOARD CREATION =====
-// This function draws the game board grid on the screen with all the colored regions
+// The puzzle on the board, as print.js wants it
+function getBoardForPrinting() {
+    return {
+        size: gridSize,
+        regions,
+        rules,
+        solution,
+        code: puzzleCode || null,
+        difficulty: puzzleRating ? puzzleRating.label : null
+    };
+}
 
-function createBoard() {
-    gameBoardElement.innerHTML = ''; // Clear any existing board
-    gameBoardElement.style.gridTemplateColumns = `repeat(${gridSize}, 1fr)`; // Set up 8 columns
-    
-    // Create all 64 cells (8 rows × 8 columns)
-    for (let i = 0; i < gridSize; i++) {
-        for (let j = 0; j < gridSize; j++) {
-            // Create a div element for this cell
-            const cell = document.createElement('div');
-            cell.className = 'cell';
-            cell.dataset.row = i; // Store row number in the element for later reference
-            cell.dataset.col = j; // Store column number in the element for later reference
-            
-            // Determine which colored region this cell belongs to
-            const regionIndex = regions[i * gridSize + j];
-            cell.classList.add(`region-${regionIndex}`); // Add CSS class for coloring
-            
-            // Add thick borders around the edges of each colored region
-            applyRegionBorders(cell, i, j);
-            
-            // Left click places a bean
-            cell.addEventListener('click', (e) => {
-                e.preventDefault(); // Prevent default click behavior
-                handleCellClick(i, j, cell, 'bean');
-            });
-            
-            // Right click places an X marker
-            cell.addEventListener('contextmenu', (e) => {
-                e.preventDefault(); // Prevent the context menu from appearing
-                handleCellClick(i, j, cell, 'x');
-            });
-            
-            gameBoardElement.appendChild(cell); // Add this cell to the board
-        }
-    }
+// Region colors for a board of this size, or null for white cells
+function getPrintColors(size) {
+    if (!printColorsCheckbox.checked) return null;
+    return Array.from({ length: size }, (_, regionIndex) => getRegionColor(regionIndex, size));
 }
 
-// ===== REGION BORDER STYLING =====
-// This function adds thick borders around the perimeter of each colored region
+// Save the board (or its answer) as an SVG file
+function downloadBoardSvg(withSolution) {
+    if (regions.length === 0) return;
+    
+    const puzzle = getBoardForPrinting();
+    const label = `Beans ${describePrintedPuzzle(puzzle, null)}`;
+    const svg = renderPuzzleSvg(puzzle, {
+        solution: withSolution ? solution : null,
+        colors: getPrintColors(gridSize),
+        letters: printLettersCheckbox.checked,
+        title: withSolution ? `Answer to ${label}` : label
+    });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    link.download = `beans-${puzzleCode || 'puzzle'}${withSolution ? '-answer' : ''}.svg`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Give the download time to start
+}
 
-function applyRegionBorders(cell, row, col) {
-    const currentRegion = regions[row * gridSize + col]; // Get this cell's region number
+// Build sheets of the current puzzle plus new ones of the chosen size, difficulty and rules,
+// then open the print dialog
+// The new puzzles are generated like New Game's, with the same progress panel and Cancel button
+async function printPuzzleSheets() {
+    if (regions.length === 0) return;
     
-    // Check if the cell above is in a different region (or if this is the top edge)
-    if (row === 0 || regions[(row - 1) * gridSize + col] !== currentRegion) {
-        cell.style.borderTop = '3px solid #000'; // Add thick top border
-    }
+    const count = Math.min(MAX_PRINT_PUZZLES, Math.max(1, parseInt(printCountInput.value, 10) || 1));
+    printCountInput.value = String(count);
+    const size = getSelectedGridSize();
+    const difficulty = difficultySelect.value;
+    const puzzleRules = getSelectedRules();
+    const puzzles = [getBoardForPrinting()];
     
-    // Check if the cell below is in a different region (or if this is the bottom edge)
-    if (row === gridSize - 1 || regions[(row + 1) * gridSize + col] !== currentRegion) {
-        cell.style.borderBottom = '3px solid #000'; // Add thick bottom border
+    cancelGeneration(); // Only the newest request matters
+    printSheetsBtn.disabled = true;
+    try {
+        while (puzzles.length < count) {
+            let puzzle = takeQueuedPuzzle(size, difficulty, puzzleRules);
+            if (!puzzle) {
+                const description = `${describeBoard(size, encodeRules(puzzleRules))} puzzle to print (${puzzles.length + 1} of ${count})`;
+                showGenerationProgress(description);
+                puzzle = await requestPuzzle(size, createRandomSeed(), difficulty, puzzleRules,
+                    progress => updateGenerationProgress(description, progress));
+            }
+            puzzles.push({ ...puzzle, difficulty: puzzle.rating.label });
+        }
+    } catch (error) {
+        printSheetsBtn.disabled = false;
+        if (error.cancelled) return; // The Cancel button or a new game took over
+        hideGenerationProgress();
+        showMessage(`Couldn't generate puzzles to print: ${error.message}`, 'error', 5000);
+        return;
     }
+    hideGenerationProgress();
+    printSheetsBtn.disabled = false;
+    fillPuzzleQueue(); // Top up anything taken from the queue
     
-    // Check if the cell to the left is in a different region (or if this is the left edge)
-    if (col === 0 || regions[row * gridSize + (col - 1)] !== currentRegion) {
-        cell.style.borderLeft = '3px solid #000'; // Add thick left border
-    }
+    openPrintDialog(buildPrintSheets(puzzles, {
+        perPage: Number(printPerPageSelect.value),
+        answerKeys: printAnswersCheckbox.checked,
+        colorsFor: getPrintColors,
+        letters: printLettersCheckbox.checked
+    }));
+}
+
+// Load the sheets into a fresh invisible frame and print it once it has loaded
+function openPrintDialog(html) {
+    if (printFrame) printFrame.remove();
     
-    // Check if the cell to the right is in a different region (or if this is the right edge)
-    if (col === gridSize - 1 || regions[row * gridSize + (col + 1)] !== currentRegion) {
-        cell.style.borderRight = '3px solid #000'; // Add thick right border
-    }
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.title = 'Print sheets';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.addEventListener('load', () => frame.contentWindow.print(), { once: true });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+    printFrame = frame;
+}
+
+// ===== GRID SIZE SELECTION =====
+// This function reads the board size chosen in the dropdown and keeps it within the range the
+// chosen rules can be generated at
+
+function getSelectedGridSize() {
+    const variant = findRuleVariant(getSelectedRules());
+    const size = parseInt(gridSizeSelect.value, 10);
+    if (Number.isNaN(size)) return Math.max(8, variant.minSize); // Default to the classic 8x8 board
+    return Math.min(variant.maxSize, Math.max(variant.minSize, size));
+}
+
+// ===== RULE VARIANTS =====
+// The Rules dropdown picks the rules for the next game (see RULE_VARIANTS in rules.js), while
+// the rules list above the board always describes the puzzle being played
+
+// The rules chosen for the next game
+function getSelectedRules() {
+    return (RULE_VARIANTS.find(variant => variant.id === rulesSelect.value) || RULE_VARIANTS[0]).rules;
+}
+
+// Show a variant in the Rules dropdown and grey out the sizes it can't be generated at
+// (a size that no longer fits moves to the nearest one that does)
+function selectRuleVariant(variantRules) {
+    const variant = findRuleVariant(variantRules) || RULE_VARIANTS[0];
+    rulesSelect.value = variant.id;
+    [...gridSizeSelect.options].forEach(option => {
+        const size = Number(option.value);
+        option.disabled = size < variant.minSize || size > variant.maxSize;
+    });
+    gridSizeSelect.value = String(getSelectedGridSize());
+}
+
+// Fill the rules list above the board from the current puzzle's rules
+function renderRulesList() {
+    rulesListElement.innerHTML = '';
+    describeRules(rules).forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        rulesListElement.appendChild(item);
+    });
+}
+
+// "10×10" for a classic board, "10×10 two per line" for a variant
+// `ruleCode` is a rule code as stored with games and library puzzles (missing means classic)
+function describeBoard(size, ruleCode) {
+    const variant = findRuleVariant((typeof ruleCode === 'string' && decodeRules(ruleCode)) || DEFAULT_RULES);
+    const board = `${size}×${size}`;
+    return isSameRules(variant.rules, DEFAULT_RULES) ? board : `${board} ${variant.name.toLowerCase()}`;
 }
 
 // ===== CELL CLICK HANDLER =====
 // This function handles both left clicks (bean) and right clicks (X marker)
+// Every change goes through the move history so it can be undone
 
-function handleCellClick(row, col, cell, clickType) {
+function handleCellClick(row, col, clickType) {
     if (!gameActive) return; // Don't allow changes if game is over
     
+    clearHintHighlights(); // The board is changing, so any hint on screen is out of date
+    
     // Check if this cell currently has a bean
     const beanIndex = beansPlaced.findIndex(b => b.row === row && b.col === col);
     // Check if this cell currently has a manual X marker
@@ -600,30 +2071,26 @@ function handleCellClick(row, col, cell, clickType) {
     // Check if this cell currently has an automatic X marker
     const autoXIndex = autoXMarkers.findIndex(x => x.row === row && x.col === col);
     
+    const before = snapshotPlacements(); // Remember the board so this move can be undone
+    const where = `row ${row + 1}, column ${col + 1}`;
+    let label;
+    
     if (clickType === 'bean') {
         // ===== LEFT CLICK: Handle bean placement/removal =====
         
         if (beanIndex !== -1) {
             // This cell already has a bean - remove it
+            // (its automatic X markers are rebuilt from the remaining beans below)
             beansPlaced.splice(beanIndex, 1); // Remove from beansPlaced array
-            cell.innerHTML = ''; // Clear the visual bean
-            cell.classList.remove('has-bean'); // Remove the CSS class
-            
-            // Remove all automatic X markers that were placed because of this bean
-            clearAllAutoXMarkers();
-            
-            // Recalculate automatic X markers based on remaining beans
-            if (autoFillXCheckbox.checked) {
-                recalculateAutoXMarkers();
-            }
+            label = `removed bean at ${where}`;
         } else if (xIndex !== -1 || autoXIndex !== -1) {
             // Cell has an X marker - inform user to remove it first
             showMessage('Remove X marker first (right-click)', 'info');
             return;
         } else {
             // Cell is empty - place a bean
-            if (beansPlaced.length >= gridSize) {
-                showMessage('You can only place ' + gridSize + ' beans!', 'error');
+            if (beansPlaced.length >= gridSize * rules.beansPerUnit) {
+                showMessage('You can only place ' + gridSize * rules.beansPerUnit + ' beans!', 'error');
                 return;
             }
             
@@ -631,15 +2098,7 @@ function handleCellClick(row, col, cell, clickType) {
             const regionIndex = regions[row * gridSize + col];
             
             beansPlaced.push({ row, col, region: regionIndex }); // Add to beansPlaced array with region tracking
-            const bean = document.createElement('div');
-            bean.className = 'bean';
-            cell.appendChild(bean); // Add visual bean
-            cell.classList.add('has-bean'); // Add CSS class
-            
-            // Automatically place X markers in cells where beans can't go
-            if (autoFillXCheckbox.checked) {
-                autoFillXMarkers(row, col, regionIndex);
-            }
+            label = `placed bean at ${where}`;
         }
     } else if (clickType === 'x') {
         // ===== RIGHT CLICK: Handle X marker placement/removal =====
@@ -655,96 +2114,204 @@ function handleCellClick(row, col, cell, clickType) {
         } else if (xIndex !== -1) {
             // Cell has a manual X - remove it
             xMarkers.splice(xIndex, 1); // Remove from xMarkers array
-            cell.innerHTML = ''; // Clear the visual X
+            label = `removed X at ${where}`;
         } else {
             // Cell is empty - place a manual X marker
             xMarkers.push({ row, col }); // Add to xMarkers array
+            label = `placed X at ${where}`;
+        }
+    } else if (clickType === 'clear') {
+        // ===== DELETE KEY: Empty the cell =====
+        
+        if (beanIndex !== -1) {
+            beansPlaced.splice(beanIndex, 1);
+            label = `removed bean at ${where}`;
+        } else if (xIndex !== -1) {
+            xMarkers.splice(xIndex, 1);
+            label = `removed X at ${where}`;
+        } else if (autoXIndex !== -1) {
+            showMessage('This X was placed automatically. Remove the bean causing it.', 'info');
+            return;
+        } else {
+            announce(`${capitalize(where)} is already empty`);
+            return;
+        }
+    }
+    
+    recordMove(label, before);
+    refreshBoard();
+    
+    // Tell screen reader users what happened, including any rule the new bean breaks
+    const conflicts = label.startsWith('placed bean') ? findPlacementConflicts(regions, gridSize, beansPlaced, row, col, rules) : [];
+    announce(conflicts.length > 0
+        ? `${capitalize(label)}. Rule broken: ${conflicts.join('; ')}.`
+        : `${capitalize(label)}.`);
+}
+
+// ===== REFRESH BOARD =====
+// This function rebuilds the automatic X markers from the current beans and redraws the board
+// Call it after any change to beansPlaced or xMarkers
+
+function refreshBoard() {
+    recalculateAutoXMarkers();
+    renderPlacements();
+    updateBeansCount();
+    saveGame(); // Keep the saved game up to date after every move
+}
+
+// ===== RENDER PLACEMENTS =====
+// This function makes every cell on screen show what the state says it holds
+// Cells that haven't changed are left alone so their pop-in animation doesn't replay
+
+function renderPlacements() {
+    document.querySelectorAll('.cell').forEach(cell => {
+        const row = Number(cell.dataset.row);
+        const col = Number(cell.dataset.col);
+        
+        // Work out what belongs in this cell
+        let content = '';
+        if (beansPlaced.some(b => b.row === row && b.col === col)) content = 'bean';
+        else if (xMarkers.some(x => x.row === row && x.col === col)) content = 'x';
+        else if (autoXMarkers.some(x => x.row === row && x.col === col)) content = 'auto-x';
+        
+        if ((cell.dataset.content || '') === content) return; // Already showing the right thing
+        cell.dataset.content = content;
+        cell.setAttribute('aria-label', describeCellForScreenReader(row, col, content));
+        cell.innerHTML = '';
+        cell.classList.toggle('has-bean', content === 'bean');
+        
+        if (content === 'bean') {
+            const bean = document.createElement('div');
+            bean.className = 'bean';
+            cell.appendChild(bean); // Add visual bean
+        } else if (content) {
             const xMarker = document.createElement('div');
-            xMarker.className = 'x-marker';
+            xMarker.className = content === 'auto-x' ? 'x-marker auto-x' : 'x-marker'; // 'auto-x' distinguishes automatic Xs
             xMarker.textContent = '✖';
             cell.appendChild(xMarker); // Add visual X
         }
-    }
+    });
     
-    updateBeansCount(); // Update the beans placed counter
+    renderLiveConflicts(); // Every change to the board goes through here, so the highlighting never goes stale
 }
 
-// ===== CLEAR AUTO X MARKERS =====
-// This function removes all automatically-placed X markers from the board
-// Manual X markers placed by the player are preserved
+// ===== LIVE RULE CHECKING =====
+// With "Highlight rule breaks" ticked, the row, column or region at fault is striped red and
+// the beans breaking the rule are outlined, as soon as the move is made (see findLiveConflicts)
+// The same problems are listed under the board, which screen readers announce
 
-function clearAllAutoXMarkers() {
-    // Remove each automatic X marker from the visual display
-    autoXMarkers.forEach(marker => {
-        const cell = document.querySelector(`[data-row="${marker.row}"][data-col="${marker.col}"]`);
-        if (cell) {
-            // Only remove if it's not a manual X or a bean
-            const hasManualX = xMarkers.some(x => x.row === marker.row && x.col === marker.col);
-            const hasBean = beansPlaced.some(b => b.row === marker.row && b.col === marker.col);
-            
-            if (!hasManualX && !hasBean) {
-                cell.innerHTML = ''; // Clear the cell
-            }
-        }
+function renderLiveConflicts() {
+    const conflicts = liveCheckCheckbox.checked && gameActive
+        ? findLiveConflicts(regions, gridSize, beansPlaced, [...xMarkers, ...autoXMarkers], rules)
+        : [];
+    
+    const areaCells = new Set(conflicts.flatMap(conflict => conflict.area.map(cell => `${cell.row},${cell.col}`)));
+    const faultyBeans = new Set(conflicts.flatMap(conflict => conflict.cells.map(cell => `${cell.row},${cell.col}`)));
+    document.querySelectorAll('.cell').forEach(cell => {
+        const key = `${cell.dataset.row},${cell.dataset.col}`;
+        cell.classList.toggle('conflict', areaCells.has(key));
+        cell.classList.toggle('conflict-bean', faultyBeans.has(key));
     });
     
-    // Clear the automatic X markers array
-    autoXMarkers = [];
+    // Only rewrite the list when it changes, so screen readers don't repeat it after every move
+    const messages = conflicts.map(conflict => conflict.message);
+    if (liveConflictsElement.dataset.messages === messages.join('\n')) return;
+    liveConflictsElement.dataset.messages = messages.join('\n');
+    liveConflictsElement.innerHTML = '';
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        liveConflictsElement.appendChild(item);
+    });
+    liveConflictsElement.hidden = messages.length === 0;
 }
 
 // ===== RECALCULATE AUTO X MARKERS =====
 // This function recalculates all automatic X markers based on currently placed beans
+// With auto-fill switched off there are none
 
 function recalculateAutoXMarkers() {
-    // For each bean on the board, calculate which cells should have automatic Xs
-    beansPlaced.forEach(bean => {
-        autoFillXMarkers(bean.row, bean.col, bean.region);
-    });
+    // Every cell a bean rules out (same row, column or region, or touching it) gets an automatic X
+    autoXMarkers = autoFillXCheckbox.checked ? findAutoXMarkers(regions, gridSize, beansPlaced, xMarkers, rules) : [];
 }
 
-// ===== AUTO-FILL X MARKERS =====
-// When a bean is placed, this automatically marks all cells where another bean cannot go
-// This includes: same row, same column, all 8 surrounding cells (no diagonal beans allowed),
-// and all remaining cells in the same colored region
+// ===== MOVE HISTORY =====
+// Each move stores a snapshot of the player's beans and manual Xs from before and after it
+// Undo and redo swap those snapshots back in; automatic Xs are always rebuilt from the beans,
+// so they can never drift out of step with the board
 
-function autoFillXMarkers(beanRow, beanCol, regionIndex = null) {
-    // Check every cell on the board
-    for (let i = 0; i < gridSize; i++) {
-        for (let j = 0; j < gridSize; j++) {
-            // Skip cells that already have a bean
-            const hasBean = beansPlaced.some(b => b.row === i && b.col === j);
-            if (hasBean) continue;
-            
-            // Skip cells that already have a manual X marker
-            const hasManualX = xMarkers.some(x => x.row === i && x.col === j);
-            if (hasManualX) continue;
-            
-            // Skip cells that already have an automatic X marker
-            const hasAutoX = autoXMarkers.some(x => x.row === i && x.col === j);
-            if (hasAutoX) continue;
-            
-            // Get the region of the current cell
-            const cellRegion = regions[i * gridSize + j];
-            
-            // Determine if this cell should be marked with an automatic X
-            const shouldMarkX = 
-                i === beanRow || // Same row as the bean
-                j === beanCol || // Same column as the bean
-                (Math.abs(i - beanRow) <= 1 && Math.abs(j - beanCol) <= 1) || // Touching the bean (including diagonally)
-                (regionIndex !== null && cellRegion === regionIndex); // Same region as the bean
-            
-            if (shouldMarkX) {
-                // Add to automatic X markers array
-                autoXMarkers.push({ row: i, col: j });
-                
-                // Display the X marker on the board
-                const cell = document.querySelector(`[data-row="${i}"][data-col="${j}"]`);
-                const xMarker = document.createElement('div');
-                xMarker.className = 'x-marker auto-x'; // Add 'auto-x' class to distinguish from manual Xs
-                xMarker.textContent = '✖';
-                cell.appendChild(xMarker);
-            }
-        }
+// Copy the current beans and manual X markers
+function snapshotPlacements() {
+    return {
+        beansPlaced: beansPlaced.map(bean => ({ ...bean })),
+        xMarkers: xMarkers.map(marker => ({ ...marker }))
+    };
+}
+
+// Put a snapshot back on the board
+function restorePlacements(snapshot) {
+    beansPlaced = snapshot.beansPlaced.map(bean => ({ ...bean }));
+    xMarkers = snapshot.xMarkers.map(marker => ({ ...marker }));
+    refreshBoard();
+}
+
+// Add a finished move to the history (a new move wipes out anything that could be redone)
+function recordMove(label, before) {
+    undoStack.push({ label, before, after: snapshotPlacements() });
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// Step back one move
+function undoMove() {
+    if (!gameActive || undoStack.length === 0) return;
+    
+    const move = undoStack.pop();
+    redoStack.push(move);
+    clearHintHighlights();
+    restorePlacements(move.before);
+    updateHistoryButtons();
+    showMessage(`Undid: ${move.label}`, 'info');
+}
+
+// Step forward again after an undo
+function redoMove() {
+    if (!gameActive || redoStack.length === 0) return;
+    
+    const move = redoStack.pop();
+    undoStack.push(move);
+    clearHintHighlights();
+    restorePlacements(move.after);
+    updateHistoryButtons();
+    showMessage(`Redid: ${move.label}`, 'info');
+}
+
+// Forget every move (used when a new puzzle starts)
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+// Only enable Undo/Redo when there is something to undo or redo
+function updateHistoryButtons() {
+    undoBtn.disabled = !gameActive || undoStack.length === 0;
+    redoBtn.disabled = !gameActive || redoStack.length === 0;
+}
+
+// Ctrl+Z undoes, Ctrl+Y (or Ctrl+Shift+Z) redoes - Cmd works too on a Mac
+// Text boxes keep their own undo, so shortcuts typed there are left alone
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoMove();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoMove();
     }
 }
 
@@ -753,7 +2320,7 @@ function autoFillXMarkers(beanRow, beanCol, regionIndex = null) {
 
 function updateBeansCount() {
     beansPlacedElement.textContent = beansPlaced.length; // Current number of beans
-    totalBeansElement.textContent = gridSize; // Total beans needed (8)
+    totalBeansElement.textContent = gridSize * rules.beansPerUnit; // Total beans needed (one per row, or more with some rules)
 }
 
 // ===== UPDATE TIMER DISPLAY =====
@@ -762,16 +2329,19 @@ function updateBeansCount() {
 function updateTimer() {
     if (!startTime) return; // Don't update if game hasn't started
     
+    timerElement.textContent = formatTime(Date.now() - startTime);
+}
+
+// Turn a duration in milliseconds into MM:SS format (e.g., "03:45")
+function formatTime(milliseconds) {
     // Calculate elapsed time in seconds
-    const elapsed = Math.floor((Date.now() - startTime) / 1000);
+    const elapsed = Math.floor(milliseconds / 1000);
     
     // Convert to minutes and seconds
     const minutes = Math.floor(elapsed / 60);
     const seconds = elapsed % 60;
     
-    // Display as MM:SS format (e.g., "03:45")
-    timerElement.textContent = 
-        `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
 // ===== CHECK SOLUTION =====
@@ -780,9 +2350,13 @@ function updateTimer() {
 function checkSolution() {
     if (!gameActive) return; // Don't check if game is already over
     
-    // Player must place all 8 beans before checking
-    if (beansPlaced.length !== gridSize) {
-        showMessage(`Place all ${gridSize} beans first!`, 'error');
+    checkCount++; // Recorded in the statistics
+    saveGame();
+    
+    // Player must place every bean before checking
+    const totalBeans = gridSize * rules.beansPerUnit;
+    if (beansPlaced.length !== totalBeans) {
+        showMessage(`Place all ${totalBeans} beans first!`, 'error');
         return;
     }
     
@@ -791,62 +2365,22 @@ function checkSolution() {
         cell.classList.remove('error', 'success');
     });
     
-    let errors = []; // Array to collect all rule violations
+    // Check every rule (one bean per row, column and region, no touching - or the puzzle's variant)
+    const errors = findRuleViolations(regions, gridSize, beansPlaced, rules);
     
-    // RULE 1: Check rows - each row must have exactly one bean
-    for (let i = 0; i < gridSize; i++) {
-        const beansInRow = beansPlaced.filter(b => b.row === i);
-        if (beansInRow.length !== 1) {
-            errors.push(`Row ${i + 1} should have exactly 1 bean`);
-        }
-    }
-    
-    // RULE 2: Check columns - each column must have exactly one bean
-    for (let j = 0; j < gridSize; j++) {
-        const beansInCol = beansPlaced.filter(b => b.col === j);
-        if (beansInCol.length !== 1) {
-            errors.push(`Column ${j + 1} should have exactly 1 bean`);
-        }
-    }
-    
-    // RULE 3: Check regions - each colored region must have exactly one bean
-    for (let r = 0; r < gridSize; r++) {
-        const beansInRegion = beansPlaced.filter(b => {
-            const index = b.row * gridSize + b.col;
-            return regions[index] === r;
-        });
-        if (beansInRegion.length !== 1) {
-            errors.push(`Region ${r + 1} should have exactly 1 bean`);
-        }
-    }
-    
-    // RULE 4: Check touching - no two beans can touch each other (including diagonally)
-    for (let i = 0; i < beansPlaced.length; i++) {
-        for (let j = i + 1; j < beansPlaced.length; j++) {
-            const b1 = beansPlaced[i];
-            const b2 = beansPlaced[j];
-            
-            const rowDiff = Math.abs(b1.row - b2.row);
-            const colDiff = Math.abs(b1.col - b2.col);
-            
-            // If both differences are <= 1, the beans are touching
-            if (rowDiff <= 1 && colDiff <= 1) {
-                errors.push(`Beans at (${b1.row + 1}, ${b1.col + 1}) and (${b2.row + 1}, ${b2.col + 1}) are touching`);
-                
-                // Highlight the error cells in red
-                const cell1 = document.querySelector(`[data-row="${b1.row}"][data-col="${b1.col}"]`);
-                const cell2 = document.querySelector(`[data-row="${b2.row}"][data-col="${b2.col}"]`);
-                cell1.classList.add('error');
-                cell2.classList.add('error');
-            }
-        }
-    }
+    // Highlight the beans breaking a rule in red
+    errors.forEach(error => {
+        error.cells.forEach(bean => getCellElement(bean.row, bean.col).classList.add('error'));
+    });
     
     // Check if the solution is correct
     if (errors.length === 0) {
         // SUCCESS! The player solved the puzzle correctly!
         gameActive = false; // Stop the game
         clearInterval(timerInterval); // Stop the timer
+        clearSavedGame(); // Nothing left to resume
+        if (dailyDate) recordDailyResult(Date.now() - startTime);
+        recordGame(true);
         
         // Highlight all beans in green to show success
         document.querySelectorAll('.cell.has-bean').forEach(cell => {
@@ -855,12 +2389,23 @@ function checkSolution() {
         
         showMessage('🎉 Congratulations! You solved the puzzle! 🎉', 'success');
     } else {
-        // The solution has errors
-        showMessage(`Found ${errors.length} error(s). Keep trying!`, 'error');
-        console.log('Errors:', errors); // Log errors for debugging
+        // The solution has errors - list them rule by rule
+        showMessage(`Found ${errors.length} error(s). Keep trying!\n${describeViolationsByRule(errors)}`, 'error', 8000);
     }
 }
 
+// Group rule violations into one line per rule, e.g. "Rows: Row 2 has 2 beans, Row 5 has no bean"
+function describeViolationsByRule(violations) {
+    const ruleNames = { row: 'Rows', column: 'Columns', region: 'Regions', touching: 'Touching' };
+    return Object.keys(ruleNames)
+        .map(rule => {
+            const messages = violations.filter(violation => violation.rule === rule).map(violation => violation.message);
+            return messages.length > 0 ? `${ruleNames[rule]}: ${messages.join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
 // ===== CLEAR BOARD =====
 // This function removes all beans and X markers from the board
 
@@ -872,14 +2417,32 @@ function clearBoard() {
     
     // Remove all visual markers from the board
     document.querySelectorAll('.cell').forEach(cell => {
-        cell.innerHTML = ''; // Clear the cell contents
-        cell.classList.remove('has-bean', 'error', 'success'); // Remove all state classes
+        cell.classList.remove('error', 'success'); // Remove check highlighting
     });
+    renderPlacements();
     
     updateBeansCount(); // Update the counter to show 0 beans
     hideMessage(); // Clear any messages
 }
 
+// ===== CLEAR BOARD (UNDOABLE) =====
+// The Clear Board button - same as clearBoard, but recorded as a move so it can be undone
+
+function clearBoardMove() {
+    if (!gameActive) return;
+    if (beansPlaced.length === 0 && xMarkers.length === 0) {
+        showMessage('The board is already empty', 'info');
+        return;
+    }
+    
+    clearHintHighlights();
+    const before = snapshotPlacements();
+    clearBoard();
+    recordMove('cleared the board', before);
+    saveGame();
+    showMessage('Board cleared - press Undo (Ctrl+Z) to bring it back', 'info');
+}
+
 // ===== SHOW SOLUTION =====
 // This function reveals the correct answer to the current puzzle
 
@@ -892,121 +2455,121 @@ function showSolution() {
     
     // Clear the board first (removes all beans and Xs)
     clearBoard();
+    clearHintHighlights();
     
-    // Place all solution beans on the board
-    solution.forEach(bean => {
-        // Get the region index for this cell
-        const regionIndex = regions[bean.row * gridSize + bean.col];
-        
-        // Add to beansPlaced array with region tracking
-        beansPlaced.push({row: bean.row, col: bean.col, region: regionIndex});
-        
-        // Find the cell and add the visual bean
-        const cell = document.querySelector(`[data-row="${bean.row}"][data-col="${bean.col}"]`);
-        const beanElement = document.createElement('div');
-        beanElement.className = 'bean';
-        cell.appendChild(beanElement);
-        
-        // Highlight in green to show this is the solution
-        cell.classList.add('has-bean', 'success');
+    // Place all solution beans on the board (with region tracking)
+    beansPlaced = solution.map(bean => ({row: bean.row, col: bean.col, region: regions[bean.row * gridSize + bean.col]}));
+    renderPlacements();
+    
+    // Highlight in green to show this is the solution
+    document.querySelectorAll('.cell.has-bean').forEach(cell => {
+        cell.classList.add('success');
     });
     
     updateBeansCount(); // Update the counter
     gameActive = false; // Stop the game (solution is revealed)
     clearInterval(timerInterval); // Stop the timer
+    clearSavedGame(); // Nothing left to resume
+    updateHistoryButtons(); // Nothing left to undo once the answer is out
+    solutionRevealed = true;
+    if (dailyDate) recordDailyResult(Date.now() - startTime);
+    recordGame(false);
     
     showMessage('✨ Solution revealed! Click "New Game" to try another puzzle.', 'info');
 }
 
-// ===== COUNT SOLUTIONS =====
-// This function counts how many valid solutions exist for the current puzzle
-// A puzzle should have exactly 1 solution to be a good puzzle
+// ===== HINTS =====
+// This function explains the next logical step without giving the whole answer away
+// Mistakes on the board are pointed out first, because deductions built on a wrong bean
+// (or an X over a bean's cell) would only lead the player further astray
 
-function countSolutions() {
-    let solutionCount = 0; // Track how many valid solutions we find
-    const maxSolutions = 2; // Stop searching after finding 2 (we only need to know if it's unique)
+function showHint() {
+    if (!gameActive) return; // Nothing to hint once the puzzle is over
     
-    // Helper function to recursively try placing beans
-    function solve(row, placedBeans, usedCols, usedRegions) {
-        // Base case: we've successfully placed all 8 beans
-        if (row === gridSize) {
-            solutionCount++;
-            return solutionCount >= maxSolutions; // Return true to stop searching
-        }
-        
-        // Try placing a bean in each column of this row
-        for (let col = 0; col < gridSize; col++) {
-            // Skip if this column already has a bean
-            if (usedCols.has(col)) continue;
-            
-            // Check which region this cell belongs to
-            const regionIndex = regions[row * gridSize + col];
-            
-            // Skip if this region already has a bean
-            if (usedRegions.has(regionIndex)) continue;
-            
-            // Check if placing a bean here would touch any existing beans
-            let touchesExisting = false;
-            for (const bean of placedBeans) {
-                const rowDiff = Math.abs(bean.row - row);
-                const colDiff = Math.abs(bean.col - col);
-                if (rowDiff <= 1 && colDiff <= 1) {
-                    touchesExisting = true;
-                    break;
-                }
-            }
-            
-            // Skip if this placement would touch an existing bean
-            if (touchesExisting) continue;
-            
-            // This is a valid placement! Try placing the bean here
-            placedBeans.push({row, col});
-            usedCols.add(col);
-            usedRegions.add(regionIndex);
-            
-            // Recursively try to place beans in the remaining rows
-            const shouldStop = solve(row + 1, placedBeans, usedCols, usedRegions);
-            
-            // Backtrack: remove this bean and try other positions
-            placedBeans.pop();
-            usedCols.delete(col);
-            usedRegions.delete(regionIndex);
-            
-            // Stop early if we've found multiple solutions
-            if (shouldStop) return true;
-        }
-        
-        return false;
+    clearHintHighlights();
+    hintsUsed++; // Counted in the daily results summary
+    saveGame();
+    
+    // Mistake check 1: a bean that isn't part of the solution
+    const wrongBean = beansPlaced.find(bean => !solution.some(s => s.row === bean.row && s.col === bean.col));
+    if (wrongBean) {
+        highlightHintCells([wrongBean.row * gridSize + wrongBean.col], 'hint-eliminate');
+        showMessage(`💡 Mistake: the bean at row ${wrongBean.row + 1}, column ${wrongBean.col + 1} can't be part of the solution. Remove it and try again.`, 'info', 8000);
+        return;
+    }
+    
+    // Mistake check 2: an X covering a cell that needs a bean
+    const wrongX = xMarkers.find(x => solution.some(s => s.row === x.row && s.col === x.col));
+    if (wrongX) {
+        highlightHintCells([wrongX.row * gridSize + wrongX.col], 'hint-place');
+        showMessage(`💡 Mistake: the X at row ${wrongX.row + 1}, column ${wrongX.col + 1} covers a cell that needs a bean.`, 'info', 8000);
+        return;
+    }
+    
+    if (beansPlaced.length === gridSize * rules.beansPerUnit) {
+        showMessage('💡 Every bean is in place - press Check Solution!', 'info');
+        return;
     }
     
-    // Start the recursive search from row 0
-    solve(0, [], new Set(), new Set());
+    // Ask the logical solver for the simplest deduction from what's on the board
+    const state = createSolverState(regions, gridSize, beansPlaced, [...xMarkers, ...autoXMarkers], rules);
+    const step = findNextDeduction(state);
+    if (!step) {
+        showMessage("💡 No step found with the known techniques - look for a cell whose bean would leave a row, column or region empty.", 'info', 8000);
+        return;
+    }
     
-    return solutionCount;
+    highlightHintCells(step.focus, 'hint-focus');
+    highlightHintCells(step.eliminate, 'hint-eliminate');
+    highlightHintCells(step.place, 'hint-place');
+    showMessage(`💡 ${step.rule}: ${step.explanation}`, 'info', 10000);
+}
+
+// Add a highlight class to a list of cell indexes
+function highlightHintCells(cells, className) {
+    cells.forEach(index => {
+        const row = Math.floor(index / gridSize);
+        const col = index % gridSize;
+        const cell = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (cell) cell.classList.add(className);
+    });
+}
+
+// Remove every hint highlight from the board
+function clearHintHighlights() {
+    document.querySelectorAll('.hint-focus, .hint-eliminate, .hint-place').forEach(cell => {
+        cell.classList.remove('hint-focus', 'hint-eliminate', 'hint-place');
+    });
 }
 
 // ===== MESSAGE DISPLAY FUNCTIONS =====
 // These functions show and hide messages to the player
 
 // Show a message with a specific type (success, error, or info)
-function showMessage(text, type) {
+// Longer messages (like hint explanations) can ask to stay up for longer than 3 seconds
+function showMessage(text, type, duration = 3000) {
+    // Cancel timers from an earlier message so they don't hide this one early
+    clearTimeout(messageTimeout);
+    clearTimeout(messageClearTimeout);
+    
     messageElement.textContent = text; // Set the message text
     messageElement.className = 'message show ' + type; // Add classes for styling and animation
     
-    // Auto-hide the message after 3 seconds (except for success messages)
-    setTimeout(() => {
+    // Auto-hide the message after a few seconds (except for success messages)
+    messageTimeout = setTimeout(() => {
         if (type !== 'success') {
             hideMessage();
         }
-    }, 3000);
+    }, duration);
 }
 
 // Hide the currently displayed message
 function hideMessage() {
+    clearTimeout(messageTimeout);
     messageElement.classList.remove('show'); // Trigger fade-out animation
     
     // After animation completes, clear the message
-    setTimeout(() => {
+    messageClearTimeout = setTimeout(() => {
         messageElement.textContent = '';
         messageElement.className = 'message';
     }, 300);
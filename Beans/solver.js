@@ -0,0 +1,468 @@
+// ===== BEANS LOGICAL SOLVER =====
+// A human-style solver: instead of trying every combination (like countSolutions does),
+// it looks for one named deduction at a time and explains it in plain English
+// Used by the Hint button to teach the next step of the puzzle
+// Follows the puzzle's rules (see rules.js): every deduction counts the beans a row, column or
+// region is still missing, so "two per line" puzzles are solved with the same rules
+// An ES module with no DOM access, so the engine (and Node) can import it too
+
+import { DEFAULT_RULES, getTouchingOffsets, areTouching } from './rules.js';
+
+// ===== DEDUCTION LEVELS =====
+// Each rule has a level; simpler rules are always tried first
+
+export const DEDUCTION_LEVELS = {
+    BASIC: 1, // A bean rules out its surroundings / last open cell in a line
+    INTERMEDIATE: 2, // A line or region confined to one place / a cell that would empty a line
+    ADVANCED: 3, // Several regions or lines locked together
+    TRIAL: 4 // Assume a bean and follow the basic rules to a contradiction
+};
+
+// ===== SOLVER STATE =====
+// The solver's picture of the board:
+//   open[i]  - cell i could still hold a bean
+//   beans[i] - cell i definitely holds a bean
+// Every row, column and region is a "unit" that needs exactly one bean (rules.beansPerUnit beans)
+
+export function createSolverState(regionMap, size, beans = [], crossedOut = [], rules = DEFAULT_RULES) {
+    const state = {
+        size,
+        rules,
+        regions: regionMap,
+        units: buildUnits(regionMap, size),
+        open: Array(size * size).fill(true),
+        beans: Array(size * size).fill(false)
+    };
+
+    crossedOut.forEach(({row, col}) => {
+        state.open[row * size + col] = false;
+    });
+    beans.forEach(({row, col}) => {
+        state.beans[row * size + col] = true;
+        state.open[row * size + col] = false;
+    });
+
+    return state;
+}
+
+// Make an independent copy so a deduction can be tried without changing the original
+export function cloneSolverState(state) {
+    return { ...state, open: state.open.slice(), beans: state.beans.slice() };
+}
+
+// List every row, column and region with the cells it contains
+function buildUnits(regionMap, size) {
+    const units = [];
+    for (let i = 0; i < size; i++) {
+        units.push({ kind: 'row', index: i, cells: Array.from({length: size}, (_, j) => i * size + j) });
+    }
+    for (let i = 0; i < size; i++) {
+        units.push({ kind: 'column', index: i, cells: Array.from({length: size}, (_, j) => j * size + i) });
+    }
+    for (let i = 0; i < size; i++) {
+        units.push({ kind: 'region', index: i, cells: [] });
+    }
+    regionMap.forEach((regionIndex, cell) => units[2 * size + regionIndex].cells.push(cell));
+    return units;
+}
+
+// Find which unit of a given kind a cell belongs to
+function unitOfCell(state, kind, cell) {
+    const { size } = state;
+    if (kind === 'row') return state.units[Math.floor(cell / size)];
+    if (kind === 'column') return state.units[size + (cell % size)];
+    return state.units[2 * size + state.regions[cell]];
+}
+
+// How many more beans a unit needs
+function missingBeans(state, unit) {
+    return state.rules.beansPerUnit - unit.cells.filter(cell => state.beans[cell]).length;
+}
+
+// Units that still need their bean
+function activeUnits(state, kind) {
+    return state.units.filter(unit => unit.kind === kind && missingBeans(state, unit) > 0);
+}
+
+function openCellsOf(state, unit) {
+    return unit.cells.filter(cell => state.open[cell]);
+}
+
+// Every cell a bean at `cell` rules out: the cells it would touch, and the rest of its row,
+// column and region once the bean fills them (with one bean per unit, it always does)
+function cellsRuledOutBy(state, cell) {
+    const { size } = state;
+    const row = Math.floor(cell / size);
+    const col = cell % size;
+    const ruledOut = new Set();
+
+    for (const kind of ['row', 'column', 'region']) {
+        const unit = unitOfCell(state, kind, cell);
+        const missingWithBean = missingBeans(state, unit) - (state.beans[cell] ? 0 : 1);
+        if (missingWithBean <= 0) unit.cells.forEach(other => ruledOut.add(other));
+    }
+
+    for (const [dr, dc] of getTouchingOffsets(state.rules)) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < size && c >= 0 && c < size) ruledOut.add(r * size + c);
+    }
+
+    ruledOut.delete(cell);
+    return ruledOut;
+}
+
+// Turn a cell index into {row, col}
+function toRowCol(state, cell) {
+    return { row: Math.floor(cell / state.size), col: cell % state.size };
+}
+
+// ===== DESCRIBING CELLS AND UNITS =====
+// Explanations use 1-based rows and columns, the way players count
+
+function describeCell(state, cell) {
+    return `row ${Math.floor(cell / state.size) + 1}, column ${(cell % state.size) + 1}`;
+}
+
+function describeUnit(unit) {
+    return unit.kind === 'region' ? 'the highlighted region' : `${unit.kind} ${unit.index + 1}`;
+}
+
+// "bean" or "beans", for what a unit needs
+function describeBeans(state) {
+    return state.rules.beansPerUnit === 1 ? 'bean' : 'beans';
+}
+
+// "rows 2, 3 and 5" / "these 2 regions"
+function describeUnits(units) {
+    const kind = units[0].kind;
+    if (units.length === 1) return describeUnit(units[0]);
+    if (kind === 'region') return `these ${units.length} regions`;
+
+    const numbers = units.map(unit => unit.index + 1);
+    const last = numbers.pop();
+    return `${kind}s ${numbers.join(', ')} and ${last}`;
+}
+
+// ===== RULE: BEAN NEIGHBOURHOOD =====
+// A bean rules out the rest of its row, column and region (once they are full), plus every
+// cell touching it
+
+function findBeanNeighborhood(state) {
+    for (let cell = 0; cell < state.beans.length; cell++) {
+        if (!state.beans[cell]) continue;
+
+        const eliminate = [...cellsRuledOutBy(state, cell)].filter(other => state.open[other]);
+        if (eliminate.length > 0) {
+            const touching = state.rules.adjacency === 'king' ? "beans can't touch" : "beans can't sit side by side";
+            return {
+                rule: 'Bean neighbourhood',
+                level: DEDUCTION_LEVELS.BASIC,
+                explanation: state.rules.beansPerUnit === 1
+                    ? `The bean at ${describeCell(state, cell)} already fills its row, column and region, ` +
+                      `and ${touching}, so the highlighted cells can all be crossed out.`
+                    : `Around the bean at ${describeCell(state, cell)}, ${touching}, and any row, column or region ` +
+                      `that already has its ${state.rules.beansPerUnit} beans is full, so the highlighted cells can all be crossed out.`,
+                focus: [cell],
+                eliminate,
+                place: []
+            };
+        }
+    }
+    return null;
+}
+
+// ===== RULE: LAST OPEN CELL =====
+// A row, column or region with only one open cell left must have its bean there
+// (with several beans per unit: as many open cells left as beans missing - they all get one)
+
+function findLastOpenCell(state) {
+    for (const unit of state.units) {
+        const missing = missingBeans(state, unit);
+        if (missing <= 0) continue;
+
+        const openCells = openCellsOf(state, unit);
+        if (openCells.length === missing) {
+            const unitName = describeUnit(unit);
+            const cellsTouch = openCells.some((cell, i) => openCells.slice(i + 1).some(other =>
+                areTouching(toRowCol(state, cell), toRowCol(state, other), state.rules)));
+            if (cellsTouch) continue; // That would be a contradiction, not a placement
+
+            return {
+                rule: 'Last open cell',
+                level: DEDUCTION_LEVELS.BASIC,
+                explanation: missing === 1
+                    ? `${capitalize(unitName)} has only one cell left that can hold a bean, ` +
+                      `so its bean goes at ${describeCell(state, openCells[0])}.`
+                    : `${capitalize(unitName)} still needs ${missing} beans and has exactly ${missing} cells left ` +
+                      `that can hold one, so they all get beans.`,
+                focus: unit.cells,
+                eliminate: [],
+                place: openCells
+            };
+        }
+    }
+    return null;
+}
+
+// ===== RULE: CONFINED AND LOCKED GROUPS =====
+// If k units of one kind (say regions) only have open cells inside k units of another kind
+// (say rows), those rows must hold exactly those regions' beans - so every other open cell in
+// those rows is ruled out. With k = 1 this is "a region confined to one row"; with k >= 2 it is
+// "N regions locked into N rows". Works for any pairing of rows, columns and regions.
+// With several beans per unit, it only holds when the regions are missing as many beans as the
+// rows have room for (a row that already has a bean takes fewer)
+
+const LOCKED_GROUP_PAIRS = [
+    ['region', 'row'], ['region', 'column'],
+    ['row', 'region'], ['column', 'region'],
+    ['row', 'column'], ['column', 'row']
+];
+
+function findLockedGroup(state, minGroupSize, maxGroupSize) {
+    for (const [groupKind, lineKind] of LOCKED_GROUP_PAIRS) {
+        const groups = activeUnits(state, groupKind)
+            .map(unit => ({
+                unit,
+                lines: new Set(openCellsOf(state, unit).map(cell => unitOfCell(state, lineKind, cell)))
+            }))
+            .filter(group => group.lines.size > 0);
+
+        // If k groups are locked, so are the other (total - k), so only half the sizes need searching
+        const largest = Math.min(maxGroupSize, Math.floor(groups.length / 2) || 1);
+
+        for (let groupSize = minGroupSize; groupSize <= largest; groupSize++) {
+            const step = searchLockedGroups(state, groups, groupSize, lineKind);
+            if (step) return step;
+        }
+    }
+    return null;
+}
+
+// Try every combination of `groupSize` groups (depth-first, abandoning a combination as soon as
+// it already spans too many lines)
+function searchLockedGroups(state, groups, groupSize, lineKind) {
+    const chosen = [];
+
+    function search(start, lines) {
+        if (lines.size > groupSize) return null; // Spans too many lines to ever lock
+
+        if (chosen.length === groupSize) {
+            if (lines.size !== groupSize) return null;
+            return buildLockedGroupStep(state, chosen.map(group => group.unit), [...lines]);
+        }
+
+        for (let i = start; i < groups.length; i++) {
+            chosen.push(groups[i]);
+            const step = search(i + 1, new Set([...lines, ...groups[i].lines]));
+            chosen.pop();
+            if (step) return step;
+        }
+        return null;
+    }
+
+    return search(0, new Set());
+}
+
+// Turn a locked group into a deduction, if it rules anything out
+function buildLockedGroupStep(state, groupUnits, lineUnits) {
+    const need = groupUnits.reduce((sum, unit) => sum + missingBeans(state, unit), 0);
+    const room = lineUnits.reduce((sum, unit) => sum + missingBeans(state, unit), 0);
+    if (need !== room) return null;
+
+    const groupCells = new Set(groupUnits.flatMap(unit => unit.cells));
+    const eliminate = lineUnits
+        .flatMap(unit => openCellsOf(state, unit))
+        .filter(cell => !groupCells.has(cell));
+    if (eliminate.length === 0) return null;
+
+    lineUnits.sort((a, b) => a.index - b.index);
+    const groupName = describeUnits(groupUnits);
+    const lineName = describeUnits(lineUnits);
+    const isSingle = groupUnits.length === 1;
+
+    return {
+        rule: isSingle ? `${capitalize(groupUnits[0].kind)} confined to one ${lineUnits[0].kind}` : 'Locked group',
+        level: isSingle ? DEDUCTION_LEVELS.INTERMEDIATE : DEDUCTION_LEVELS.ADVANCED,
+        explanation: isSingle
+            ? `${capitalize(groupName)} can only hold its ${describeBeans(state)} in ${lineName}, so nothing else can use ` +
+              `${lineName} - the rest of it can be crossed out.`
+            : `${capitalize(groupName)} only have open cells in ${lineName}. Those ${lineUnits[0].kind}s must ` +
+              `hold these ${groupUnits[0].kind}s' beans, so every other cell in them can be crossed out.`,
+        focus: [...groupCells].filter(cell => state.open[cell]),
+        eliminate,
+        place: []
+    };
+}
+
+// ===== RULE: WOULD EMPTY A LINE =====
+// A cell can't hold a bean if that bean would rule out every remaining cell of some row,
+// column or region - that unit would have nowhere left for its own bean (or, with several
+// beans per unit, too few cells left for the beans it is missing)
+
+function findWouldEmptyUnit(state) {
+    for (let cell = 0; cell < state.open.length; cell++) {
+        if (!state.open[cell]) continue;
+
+        const ruledOut = cellsRuledOutBy(state, cell);
+        for (const unit of state.units) {
+            const missing = missingBeans(state, unit);
+            if (unit.cells.includes(cell) || missing <= 0) continue;
+
+            const openCells = openCellsOf(state, unit);
+            const left = openCells.filter(other => !ruledOut.has(other)).length;
+            if (openCells.length >= missing && left < missing) {
+                return {
+                    rule: `Would empty a ${unit.kind}`,
+                    level: DEDUCTION_LEVELS.INTERMEDIATE,
+                    explanation: `A bean at ${describeCell(state, cell)} would rule out ` +
+                        `${missing === 1 ? 'every open cell' : 'too many open cells'} of ${describeUnit(unit)}, ` +
+                        `leaving it ${missing === 1 ? 'nowhere for its own bean' : `without room for its ${missing} beans`}. ` +
+                        `So ${describeCell(state, cell)} can be crossed out.`,
+                    focus: openCells,
+                    eliminate: [cell],
+                    place: []
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// ===== RULE: TRIAL AND CONTRADICTION =====
+// Assume a bean in a cell, then follow only the basic rules; if some unit runs out of open
+// cells, the assumption was wrong and the cell can be crossed out
+
+function findContradiction(state) {
+    for (let cell = 0; cell < state.open.length; cell++) {
+        if (!state.open[cell]) continue;
+
+        const trial = cloneSolverState(state);
+        applyDeduction(trial, { eliminate: [], place: [cell] });
+
+        const emptied = followBasicRules(trial);
+        if (emptied) {
+            return {
+                rule: 'Trial and contradiction',
+                level: DEDUCTION_LEVELS.TRIAL,
+                explanation: `Suppose a bean went at ${describeCell(state, cell)}. Following the basic rules from there ` +
+                    `leaves ${describeUnit(emptied)} without room for its ${describeBeans(state)}, so ${describeCell(state, cell)} can be crossed out.`,
+                focus: emptied.cells,
+                eliminate: [cell],
+                place: []
+            };
+        }
+    }
+    return null;
+}
+
+// Apply basic deductions until nothing changes; returns the unit left without options, if any
+function followBasicRules(state) {
+    while (true) {
+        const emptied = findEmptiedUnit(state);
+        if (emptied) return emptied;
+
+        const step = findBeanNeighborhood(state) || findLastOpenCell(state);
+        if (!step) return null;
+        applyDeduction(state, step);
+    }
+}
+
+// A unit with fewer beans and open cells than it needs means the board has gone wrong
+function findEmptiedUnit(state) {
+    return state.units.find(unit =>
+        unit.cells.filter(cell => state.beans[cell] || state.open[cell]).length < state.rules.beansPerUnit
+    ) || null;
+}
+
+// ===== FIND NEXT DEDUCTION =====
+// This function returns the simplest deduction available on the board, or null if none is found
+// A deduction looks like:
+//   { rule, level, explanation, focus: [cells involved], eliminate: [cells to cross out], place: [cells for beans] }
+// Cells are indexes (row * size + col)
+
+export function findNextDeduction(state, maxLevel = DEDUCTION_LEVELS.TRIAL) {
+    const rules = [
+        [DEDUCTION_LEVELS.BASIC, findBeanNeighborhood],
+        [DEDUCTION_LEVELS.BASIC, findLastOpenCell],
+        [DEDUCTION_LEVELS.INTERMEDIATE, s => findLockedGroup(s, 1, 1)],
+        [DEDUCTION_LEVELS.INTERMEDIATE, findWouldEmptyUnit],
+        [DEDUCTION_LEVELS.ADVANCED, s => findLockedGroup(s, 2, s.size)],
+        [DEDUCTION_LEVELS.TRIAL, findContradiction]
+    ];
+
+    for (const [level, rule] of rules) {
+        if (level > maxLevel) break;
+        const step = rule(state);
+        if (step) return step;
+    }
+    return null;
+}
+
+// Carry out a deduction on the solver state
+export function applyDeduction(state, step) {
+    step.eliminate.forEach(cell => {
+        state.open[cell] = false;
+    });
+    step.place.forEach(cell => {
+        state.beans[cell] = true;
+        state.open[cell] = false;
+    });
+}
+
+// ===== SOLVE LOGICALLY =====
+// This function solves a puzzle from an empty board using only the deduction rules above,
+// never guessing. It reports how far it got, how many steps it took and the hardest rule needed
+
+export function solveLogically(regionMap, size, rules = DEFAULT_RULES) {
+    const state = createSolverState(regionMap, size, [], [], rules);
+    let steps = 0; // Every deduction in the chain
+    let advancedSteps = 0; // Deductions beyond the basic rules
+    let hardestLevel = 0;
+    const rulesUsed = new Set();
+
+    while (true) {
+        const step = findNextDeduction(state);
+        if (!step) break;
+
+        applyDeduction(state, step);
+        steps++;
+        if (step.level > DEDUCTION_LEVELS.BASIC) advancedSteps++;
+        hardestLevel = Math.max(hardestLevel, step.level);
+        rulesUsed.add(step.rule);
+    }
+
+    return {
+        solved: state.beans.filter(Boolean).length === size * rules.beansPerUnit,
+        steps,
+        advancedSteps,
+        hardestLevel,
+        rulesUsed: [...rulesUsed]
+    };
+}
+
+// ===== DIFFICULTY RATING =====
+// A puzzle's grade comes from the hardest rule needed to solve it without guessing:
+//   Easy   - basic rules only
+//   Medium - needs a confined line or region, or a cell that would empty a line
+//   Hard   - needs a locked group of several lines or regions
+//   Expert - needs trial and contradiction (or more than these rules can manage)
+// A long chain of non-basic deductions (more than 1.5 per row) bumps the grade up one
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+export function rateDifficulty(regionMap, size, rules = DEFAULT_RULES) {
+    const result = solveLogically(regionMap, size, rules);
+
+    let grade = result.solved ? Math.max(result.hardestLevel, DEDUCTION_LEVELS.BASIC) - 1 : DIFFICULTIES.length - 1;
+    if (result.advancedSteps > size * 1.5) grade++; // A long chain takes stamina, not just insight
+    grade = Math.min(grade, DIFFICULTIES.length - 1);
+
+    return { ...result, grade, label: DIFFICULTIES[grade] };
+}
+
+// ===== HELPERS =====
+
+export function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,465 @@
+// ===== ENGINE TESTS =====
+// Run with `npm test` (or `node --test`) from the Beans folder
+// Every generated puzzle is checked with code written here rather than the engine's own
+// checks, so a bug in the engine can't hide itself
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    MAX_REGION_LAYOUTS,
+    MAX_SOLUTION_ATTEMPTS,
+    MAX_DIFFICULTY_ATTEMPTS,
+    createSeededRandom,
+    encodePuzzleCode,
+    decodePuzzleCode,
+    generatePuzzle,
+    generateValidSolution,
+    generateRegionsFromSolution,
+    DEFAULT_REGION_STYLE,
+    generateGradedPuzzle,
+    isRegionConnected,
+    countSolutions,
+    isSameSolution,
+    findRuleViolations,
+    findLiveConflicts,
+    isSolved,
+    findPlacementConflicts,
+    findAutoXMarkers,
+    exportPuzzle,
+    parsePuzzle,
+    validateImportedPuzzle,
+    analyzeLayout,
+    solveLogically,
+    DIFFICULTIES,
+    DEFAULT_RULES,
+    RULE_VARIANTS,
+    decodeRules
+} from '../engine.js';
+
+// ===== HELPERS =====
+
+// A spread of seeds per board size (fewer on the big boards, which take longer to generate)
+function seedsFor(size) {
+    const random = createSeededRandom(size * 1000);
+    const count = size <= 9 ? 12 : 5;
+    return Array.from({ length: count }, () => Math.floor(random() * 1e9));
+}
+
+// Independent rule check: k beans per row, column and region, and no two beans touching
+// (k is 1 and diagonal neighbours touch, unless the rules say otherwise)
+function assertValidSolution(puzzle, beans, rules = DEFAULT_RULES) {
+    const { size, regions } = puzzle;
+    const k = rules.beansPerUnit;
+    assert.equal(beans.length, size * k, 'k beans per row');
+
+    const counts = keyOf => {
+        const tally = new Map();
+        beans.forEach(b => tally.set(keyOf(b), (tally.get(keyOf(b)) || 0) + 1));
+        return [...tally.values()];
+    };
+    for (const [name, keyOf] of [['row', b => b.row], ['column', b => b.col], ['region', b => regions[b.row * size + b.col]]]) {
+        const perUnit = counts(keyOf);
+        assert.equal(perUnit.length, size, `every ${name} has beans`);
+        assert.ok(perUnit.every(count => count === k), `every ${name} has exactly ${k}`);
+    }
+
+    for (let i = 0; i < beans.length; i++) {
+        for (let j = i + 1; j < beans.length; j++) {
+            const rowDiff = Math.abs(beans[i].row - beans[j].row);
+            const colDiff = Math.abs(beans[i].col - beans[j].col);
+            const touching = rules.adjacency === 'orthogonal' ? rowDiff + colDiff === 1 : rowDiff <= 1 && colDiff <= 1;
+            assert.ok(!touching, `beans ${JSON.stringify(beans[i])} and ${JSON.stringify(beans[j])} touch`);
+        }
+    }
+}
+
+// Independent connectivity check: flood fill each region from its first cell
+function assertRegionsContiguous(puzzle) {
+    const { size, regions } = puzzle;
+    for (let region = 0; region < size; region++) {
+        const cells = regions.flatMap((r, index) => (r === region ? [index] : []));
+        assert.ok(cells.length > 0, `region ${region} has cells`);
+
+        const seen = new Set([cells[0]]);
+        const queue = [cells[0]];
+        while (queue.length > 0) {
+            const index = queue.pop();
+            const row = Math.floor(index / size);
+            const col = index % size;
+            const neighbors = [];
+            if (row > 0) neighbors.push(index - size);
+            if (row < size - 1) neighbors.push(index + size);
+            if (col > 0) neighbors.push(index - 1);
+            if (col < size - 1) neighbors.push(index + 1);
+            for (const next of neighbors) {
+                if (regions[next] === region && !seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        assert.equal(seen.size, cells.length, `region ${region} is one connected piece`);
+    }
+}
+
+// A small hand-made 5x5 layout for the rule checks (it has more than one solution, which they don't mind)
+const SMALL_PUZZLE_TEXT = [
+    'AABBB',
+    'AACBB',
+    'DDCCE',
+    'DDCEE',
+    'DDDEE'
+].join('\n');
+
+// ===== GENERATED PUZZLES =====
+
+for (let size = MIN_GRID_SIZE; size <= MAX_GRID_SIZE; size++) {
+    test(`${size}x${size} puzzles are unique, contiguous and correctly solved`, () => {
+        for (const seed of seedsFor(size)) {
+            const puzzle = generatePuzzle(size, seed);
+
+            assert.equal(puzzle.regions.length, size * size);
+            assert.ok(puzzle.regions.every(r => Number.isInteger(r) && r >= 0 && r < size));
+            assertRegionsContiguous(puzzle);
+            assertValidSolution(puzzle, puzzle.solution);
+
+            // Exactly one solution, and it's the one the generator intended
+            const found = [];
+            assert.equal(countSolutions(puzzle.regions, size, found), 1, `seed ${seed} is unique`);
+            assert.ok(isSameSolution(found[0], puzzle.solution));
+
+            // The engine's own checks agree
+            for (let region = 0; region < size; region++) {
+                assert.ok(isRegionConnected(region, puzzle.regions, size));
+            }
+            assert.deepEqual(findRuleViolations(puzzle.regions, size, puzzle.solution), []);
+            assert.ok(isSolved(puzzle.regions, size, puzzle.solution));
+        }
+    });
+}
+
+test('the same size and seed always rebuild the same puzzle', () => {
+    for (const size of [5, 8, 12]) {
+        const first = generatePuzzle(size, 123456);
+        const second = generatePuzzle(size, 123456);
+        assert.deepEqual(second.regions, first.regions);
+        assert.deepEqual(second.solution, first.solution);
+    }
+});
+
+test('graded puzzles are repeatable and report their rating', () => {
+    const first = generateGradedPuzzle(7, 4242, 'Medium');
+    const second = generateGradedPuzzle(7, 4242, 'Medium');
+    assert.deepEqual(second.regions, first.regions);
+    assert.equal(second.code, first.code);
+    assert.ok(DIFFICULTIES.includes(first.rating.label));
+    assert.equal(first.matched, first.rating.label === 'Medium');
+
+    // The code names the exact puzzle chosen, so it rebuilds without any difficulty search
+    const { size, seed } = decodePuzzleCode(first.code);
+    assert.deepEqual(generatePuzzle(size, seed).regions, first.regions);
+});
+
+test('generation reports the work it did and stays within its budget', () => {
+    for (const seed of seedsFor(12)) {
+        const { stats } = generatePuzzle(12, seed);
+        assert.ok(stats.solutions >= 1 && stats.solutions <= MAX_SOLUTION_ATTEMPTS);
+        assert.ok(stats.regionLayouts >= stats.solutions);
+        assert.ok(stats.regionLayouts <= MAX_REGION_LAYOUTS * MAX_SOLUTION_ATTEMPTS);
+        assert.ok(stats.uniquenessChecks >= stats.regionLayouts);
+    }
+
+    const progress = [];
+    const puzzle = generateGradedPuzzle(6, 31337, 'Hard', update => progress.push(update));
+    assert.equal(progress.length, puzzle.gradedAttempts);
+    assert.deepEqual(progress.map(update => update.attempt), progress.map((update, index) => index + 1));
+    assert.ok(progress.every(update => update.maxAttempts === MAX_DIFFICULTY_ATTEMPTS && DIFFICULTIES.includes(update.label)));
+});
+
+// ===== REGION STYLES =====
+
+// Average number of same-region neighbours per cell: about 2 for thin snakes, more for blobs
+function averageSameRegionNeighbors(regions, size) {
+    let total = 0;
+    regions.forEach((region, index) => {
+        const row = Math.floor(index / size);
+        const col = index % size;
+        if (row > 0 && regions[index - size] === region) total++;
+        if (row < size - 1 && regions[index + size] === region) total++;
+        if (col > 0 && regions[index - 1] === region) total++;
+        if (col < size - 1 && regions[index + 1] === region) total++;
+    });
+    return total / regions.length;
+}
+
+test('region styles control size spread and shape', () => {
+    const styles = {
+        even: { sizeSpread: 0, shapes: { blob: 1 }, maxSingleFraction: 0 },
+        snakes: { sizeSpread: 0.3, shapes: { snake: 1 }, maxSingleFraction: 0 },
+        singles: { sizeSpread: 0.6, shapes: { blob: 1, single: 1 }, maxSingleFraction: 0.2 },
+        standard: DEFAULT_REGION_STYLE
+    };
+    const thickness = { even: 0, snakes: 0 };
+
+    for (const [name, style] of Object.entries(styles)) {
+        for (const seed of seedsFor(10)) {
+            const random = createSeededRandom(seed);
+            const solution = generateValidSolution(10, random);
+            const regions = generateRegionsFromSolution(10, solution, random, style);
+            const puzzle = { size: 10, regions };
+
+            // Every region is one piece and holds exactly one bean of the solution
+            assertRegionsContiguous(puzzle);
+            assertValidSolution(puzzle, solution);
+
+            const sizes = Array(10).fill(0);
+            regions.forEach(r => sizes[r]++);
+            if (name === 'even') assert.ok(Math.max(...sizes) <= 2 * Math.min(...sizes), `even sizes ${sizes}`);
+            if (name === 'singles') assert.ok(sizes.filter(s => s === 1).length <= 2, `at most 2 single cells in ${sizes}`);
+            if (name in thickness) thickness[name] += averageSameRegionNeighbors(regions, 10);
+        }
+    }
+
+    assert.ok(thickness.snakes < thickness.even, 'snakes are thinner than blobs');
+});
+
+test('the logical solver finishes generated puzzles with the right answer', () => {
+    for (const size of [5, 8, 10]) {
+        const puzzle = generatePuzzle(size, 777);
+        const result = solveLogically(puzzle.regions, size);
+        assert.ok(result.solved, `${size}x${size} solved logically`);
+    }
+});
+
+// ===== PUZZLE CODES =====
+
+test('puzzle codes round-trip and reject bad input', () => {
+    const code = encodePuzzleCode(9, 1234567);
+    assert.deepEqual(decodePuzzleCode(code), { size: 9, seed: 1234567, rules: DEFAULT_RULES });
+    assert.deepEqual(decodePuzzleCode(` ${code.toUpperCase()} `), { size: 9, seed: 1234567, rules: DEFAULT_RULES });
+
+    assert.equal(decodePuzzleCode('4-abc'), null); // Too small
+    assert.equal(decodePuzzleCode('13-abc'), null); // Too big
+    assert.equal(decodePuzzleCode('8-abcdefg'), null); // Seed too long
+    assert.equal(decodePuzzleCode('eight-abc'), null);
+});
+
+// ===== RULE VARIANTS =====
+
+test('rule variants appear in puzzle codes only when they are not classic', () => {
+    const twoPerLine = decodeRules('2k');
+    assert.equal(encodePuzzleCode(9, 1234567), encodePuzzleCode(9, 1234567, DEFAULT_RULES));
+
+    const code = encodePuzzleCode(10, 1234567, twoPerLine);
+    assert.match(code, /-2k$/);
+    assert.deepEqual(decodePuzzleCode(code), { size: 10, seed: 1234567, rules: twoPerLine });
+    assert.deepEqual(decodePuzzleCode('8-abc-1o').rules, decodeRules('1o'));
+
+    assert.equal(decodePuzzleCode('7-abc-2k'), null); // Two per line doesn't fit on 7x7
+    assert.equal(decodePuzzleCode('12-abc-2k'), null); // Or get generated above 10x10
+    assert.equal(decodePuzzleCode('8-abc-3k'), null); // Not a variant
+    assert.equal(decodeRules('2o'), null);
+});
+
+for (const variant of RULE_VARIANTS.filter(v => v.rules !== DEFAULT_RULES)) {
+    test(`${variant.name} puzzles follow their rules and have one solution`, () => {
+        for (const size of [variant.minSize, variant.maxSize]) {
+            for (const seed of seedsFor(size).slice(0, 3)) {
+                const puzzle = generatePuzzle(size, seed, DEFAULT_REGION_STYLE, variant.rules);
+                assert.equal(puzzle.rules, variant.rules);
+                assertRegionsContiguous(puzzle);
+                assertValidSolution(puzzle, puzzle.solution, variant.rules);
+
+                const found = [];
+                assert.equal(countSolutions(puzzle.regions, size, found, variant.rules), 1, `seed ${seed} is unique`);
+                assert.ok(isSameSolution(found[0], puzzle.solution));
+                assert.ok(isSolved(puzzle.regions, size, puzzle.solution, variant.rules));
+            }
+        }
+    });
+}
+
+test('rule checks and automatic X markers follow the variant', () => {
+    const regions = parsePuzzle(SMALL_PUZZLE_TEXT).regions;
+    const diagonals = decodeRules('1o');
+
+    // Diagonal beans are fine without king adjacency, side by side ones still touch
+    const diagonal = [{ row: 0, col: 0 }, { row: 1, col: 1 }];
+    assert.ok(findRuleViolations(regions, 5, diagonal).some(v => v.rule === 'touching'));
+    assert.ok(!findRuleViolations(regions, 5, diagonal, diagonals).some(v => v.rule === 'touching'));
+    assert.ok(findRuleViolations(regions, 5, [{ row: 0, col: 0 }, { row: 1, col: 0 }], diagonals).some(v => v.rule === 'touching'));
+
+    const autoX = findAutoXMarkers(regions, 5, [{ row: 2, col: 2 }], [], diagonals);
+    const marked = new Set(autoX.map(x => `${x.row},${x.col}`));
+    assert.ok(marked.has('2,1') && marked.has('3,2')); // Row, column
+    assert.ok(!marked.has('3,1')); // Diagonal neighbour in another region
+
+    // With two beans per line, a row only fills up at its second bean
+    const twoPerLine = decodeRules('2k');
+    const puzzle = generatePuzzle(8, 77, DEFAULT_REGION_STYLE, twoPerLine);
+    const first = puzzle.solution[0];
+    const oneBean = new Set(findAutoXMarkers(puzzle.regions, 8, [first], [], twoPerLine).map(x => `${x.row},${x.col}`));
+    assert.ok(!oneBean.has(`${first.row},${(first.col + 4) % 8}`));
+    const rowBeans = puzzle.solution.filter(b => b.row === first.row);
+    const full = new Set(findAutoXMarkers(puzzle.regions, 8, rowBeans, [], twoPerLine).map(x => `${x.row},${x.col}`));
+    for (let col = 0; col < 8; col++) {
+        if (!rowBeans.some(b => b.col === col)) assert.ok(full.has(`${first.row},${col}`));
+    }
+    assert.ok(findRuleViolations(puzzle.regions, 8, rowBeans, twoPerLine).some(v => v.rule === 'column'));
+});
+
+// ===== RULE CHECKING =====
+
+test('rule checking reports each broken rule', () => {
+    const puzzle = generatePuzzle(6, 99);
+    const { size, regions, solution } = puzzle;
+
+    // Missing a bean: its row, column and region each come up short
+    const missing = findRuleViolations(regions, size, solution.slice(1));
+    assert.deepEqual(missing.map(v => v.rule).sort(), ['column', 'region', 'row']);
+    assert.ok(!isSolved(regions, size, solution.slice(1)));
+
+    // Two touching beans in one row
+    const touching = findRuleViolations(regions, size, [{ row: 0, col: 0 }, { row: 0, col: 1 }]);
+    const touchingRule = touching.find(v => v.rule === 'touching');
+    assert.ok(touchingRule);
+    assert.equal(touchingRule.cells.length, 2);
+    assert.ok(touching.some(v => v.rule === 'row' && v.cells.length === 2));
+});
+
+test('live conflicts flag crowded lines, touching beans and regions with no room left', () => {
+    const regions = parsePuzzle(SMALL_PUZZLE_TEXT).regions;
+
+    // One bean, or beans that don't share anything, break nothing yet
+    assert.deepEqual(findLiveConflicts(regions, 5, [{ row: 0, col: 0 }], []), []);
+    assert.deepEqual(findLiveConflicts(regions, 5, [{ row: 0, col: 0 }, { row: 2, col: 2 }], []), []);
+
+    // Two beans in row 1 (regions A and B, far enough apart not to touch)
+    const crowded = findLiveConflicts(regions, 5, [{ row: 0, col: 0 }, { row: 0, col: 3 }], []);
+    assert.deepEqual(crowded.map(c => c.rule), ['row']);
+    assert.equal(crowded[0].index, 0);
+    assert.equal(crowded[0].cells.length, 2);
+    assert.equal(crowded[0].area.length, 5);
+
+    // Touching beans in different rows, columns and regions
+    const touching = findLiveConflicts(regions, 5, [{ row: 1, col: 1 }, { row: 2, col: 2 }], []);
+    assert.deepEqual(touching.map(c => c.rule), ['touching']);
+    assert.equal(touching[0].area.length, 2);
+
+    // Every cell of region C marked X
+    const xs = [{ row: 1, col: 2 }, { row: 2, col: 2 }, { row: 2, col: 3 }, { row: 3, col: 2 }];
+    const blocked = findLiveConflicts(regions, 5, [], xs);
+    assert.deepEqual(blocked.map(c => c.rule), ['blocked']);
+    assert.equal(blocked[0].index, 2);
+    assert.match(blocked[0].message, /Region C/);
+    assert.deepEqual(findLiveConflicts(regions, 5, [], xs.slice(1)), []);
+});
+
+test('placement conflicts name the rule a new bean breaks', () => {
+    const regions = parsePuzzle(SMALL_PUZZLE_TEXT).regions;
+    const beans = [{ row: 0, col: 0 }, { row: 1, col: 1 }];
+    const conflicts = findPlacementConflicts(regions, 5, beans, 1, 1);
+    assert.ok(conflicts.some(c => c.includes('region A')));
+    assert.ok(conflicts.some(c => c.includes('touches')));
+    assert.deepEqual(findPlacementConflicts(regions, 5, [{ row: 0, col: 0 }], 0, 0), []);
+});
+
+test('automatic X markers cover everything a bean rules out', () => {
+    const regions = parsePuzzle(SMALL_PUZZLE_TEXT).regions;
+    const autoX = findAutoXMarkers(regions, 5, [{ row: 2, col: 2 }], [{ row: 4, col: 4 }]);
+    const marked = new Set(autoX.map(x => `${x.row},${x.col}`));
+
+    assert.ok(marked.has('2,0') && marked.has('0,2') && marked.has('1,1') && marked.has('3,3')); // Row, column, touching
+    assert.ok(marked.has('1,2')); // Same region (C)
+    assert.ok(!marked.has('2,2')); // The bean itself
+    assert.ok(!marked.has('4,4')); // Already a manual X
+    assert.ok(!marked.has('0,0')); // Nothing rules this one out
+});
+
+// ===== IMPORT / EXPORT =====
+
+test('text and JSON exports import back to the same puzzle', () => {
+    const puzzle = generatePuzzle(8, 2024);
+    const extras = {
+        solution: puzzle.solution,
+        beansPlaced: puzzle.solution.slice(0, 3),
+        xMarkers: [{ row: 7, col: 7 }].filter(x => !puzzle.solution.some(s => s.row === 7 && s.col === 7))
+    };
+
+    for (const format of ['text', 'json']) {
+        const parsed = parsePuzzle(exportPuzzle(puzzle, format, extras));
+        assert.equal(parsed.size, 8);
+        assert.deepEqual(parsed.regions, puzzle.regions);
+        assert.ok(isSameSolution(parsed.solution, puzzle.solution));
+        assert.ok(isSameSolution(parsed.beansPlaced, extras.beansPlaced));
+        assert.deepEqual(parsed.xMarkers, extras.xMarkers);
+        assert.ok(isSameSolution(validateImportedPuzzle(parsed), puzzle.solution));
+    }
+});
+
+test('exports keep the rules of variant puzzles', () => {
+    const twoPerLine = decodeRules('2k');
+    const puzzle = generatePuzzle(8, 31, DEFAULT_REGION_STYLE, twoPerLine);
+
+    for (const format of ['text', 'json']) {
+        const parsed = parsePuzzle(exportPuzzle(puzzle, format));
+        assert.equal(parsed.rules, twoPerLine);
+        assert.ok(isSameSolution(validateImportedPuzzle(parsed), puzzle.solution));
+    }
+
+    // Classic exports look the same as before variants existed
+    assert.doesNotMatch(exportPuzzle(generatePuzzle(6, 5), 'text'), /rules/);
+    assert.throws(() => parsePuzzle(`rules: 3k\n${SMALL_PUZZLE_TEXT}`), /1k, 1o, 2k/);
+
+    // Two per line is only played up to 10x10, so bigger imports stop before the slow solution search
+    const stripes = Array.from({ length: 11 }, (_, row) => 'ABCDEFGHIJK'[row].repeat(11)).join('\n');
+    assert.throws(() => validateImportedPuzzle(parsePuzzle(`rules: 2k\n${stripes}`)), /between 8x8 and 10x10 \(this one is 11x11\)/);
+});
+
+test('importing rejects puzzles that are not playable', () => {
+    // Region A split in two
+    assert.throws(() => validateImportedPuzzle(parsePuzzle('ABBBB\nBBCCC\nADDCC\nDDEEC\nDDEEE')), /separate pieces/);
+
+    // Stripes have many solutions
+    assert.throws(() => validateImportedPuzzle(parsePuzzle('AAAAA\nBBBBB\nCCCCC\nDDDDD\nEEEEE')), /more than one solution/);
+
+    // Too few regions for the size
+    assert.throws(() => validateImportedPuzzle(parsePuzzle('AAAAA\nAAAAA\nAAAAA\nAAAAA\nAAAAA')), /missing/);
+
+    // Malformed input
+    assert.throws(() => parsePuzzle(''), /Paste a puzzle/);
+    assert.throws(() => parsePuzzle('{"regions": 3}'), /"regions" array/);
+    assert.throws(() => parsePuzzle('AAB\nAB'), /Row 1 has 3 letters/);
+});
+
+// ===== PUZZLE EDITOR =====
+
+test('layout analysis reports unfinished, split and ambiguous layouts', () => {
+    const small = parsePuzzle(SMALL_PUZZLE_TEXT).regions;
+
+    // Half painted: nothing to solve yet
+    const partial = small.map((r, index) => (index < 10 ? r : -1));
+    const partialResult = analyzeLayout(partial, 5);
+    assert.equal(partialResult.unpainted, 15);
+    assert.deepEqual(partialResult.missingRegions, [3, 4]); // D and E only start on row 3
+    assert.equal(partialResult.solutionCount, null);
+
+    // Region A split in two
+    const split = analyzeLayout(parsePuzzle('ABBBB\nBBCCC\nADDCC\nDDEEC\nDDEEE').regions, 5);
+    assert.deepEqual(split.splitRegions, [0]);
+    assert.equal(split.solutionCount, null);
+
+    // Stripes: two different solutions are shown
+    const stripes = analyzeLayout(parsePuzzle('AAAAA\nBBBBB\nCCCCC\nDDDDD\nEEEEE').regions, 5);
+    assert.equal(stripes.solutionCount, 2);
+    assert.ok(!isSameSolution(stripes.solutions[0], stripes.solutions[1]));
+
+    // A generated puzzle is ready to play
+    const puzzle = generatePuzzle(6, 515);
+    const ready = analyzeLayout(puzzle.regions, 6);
+    assert.equal(ready.solutionCount, 1);
+    assert.ok(isSameSolution(ready.solutions[0], puzzle.solution));
+});
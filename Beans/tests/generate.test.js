@@ -0,0 +1,62 @@
+// ===== BATCH GENERATOR TESTS =====
+// The pack tool in tools/generate.js: repeatable packs whose entries import back into the game
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { generatePack, formatEntry } from '../tools/generate.js';
+import { DEFAULT_RULES, decodeRules, parsePuzzle, validateImportedPuzzle, isSameSolution } from '../engine.js';
+
+const OPTIONS = { count: 3, size: 6, difficulty: 'any', rules: DEFAULT_RULES, seed: 1234 };
+
+test('the same options always build the same pack', () => {
+    const first = generatePack(OPTIONS);
+    const second = generatePack(OPTIONS);
+
+    assert.equal(first.length, 3);
+    assert.deepEqual(first.map(entry => entry.puzzle.seed), [1234, 1235, 1236]);
+    assert.deepEqual(first.map(entry => entry.puzzle.regions), second.map(entry => entry.puzzle.regions));
+});
+
+test('JSON lines carry the solution and metadata and import on their own', () => {
+    const options = { ...OPTIONS, size: 8, difficulty: 'Medium', rules: decodeRules('2k') };
+    const pack = generatePack(options);
+
+    pack.forEach((entry, index) => {
+        const line = formatEntry(entry, 'jsonl', index);
+        assert.ok(!line.includes('\n'), 'one puzzle per line');
+
+        const data = JSON.parse(line);
+        assert.equal(data.code, entry.puzzle.code);
+        assert.equal(data.seed, entry.puzzle.seed);
+        assert.equal(data.rules, '2k');
+        assert.equal(data.difficulty, entry.puzzle.rating.label);
+        assert.equal(data.generation.gradedAttempts, entry.puzzle.gradedAttempts);
+        assert.ok(data.generation.uniquenessChecks >= 1);
+        assert.equal(typeof data.solve.steps, 'number');
+
+        const parsed = parsePuzzle(line);
+        assert.ok(isSameSolution(validateImportedPuzzle(parsed), entry.puzzle.solution));
+    });
+});
+
+test('text entries keep their metadata in comments the game skips', () => {
+    const [entry] = generatePack({ ...OPTIONS, count: 1 });
+    const text = formatEntry(entry, 'text', 0);
+
+    assert.match(text, /^# Puzzle 1: 6-ya /);
+    const parsed = parsePuzzle(text);
+    assert.deepEqual(parsed.regions, entry.puzzle.regions);
+    assert.ok(isSameSolution(parsed.solution, entry.puzzle.solution));
+});
+
+test('the command line reports failures in one line instead of crashing', () => {
+    const tool = fileURLToPath(new URL('../tools/generate.js', import.meta.url));
+    const run = spawnSync(process.execPath, [tool, '-n', '1', '-s', '5', '-o', '/nonexistent/dir/pack.jsonl'], { encoding: 'utf8' });
+
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /no such file or directory/);
+    assert.doesNotMatch(run.stderr, /^\s+at /m, 'no stack trace');
+});
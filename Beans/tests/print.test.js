@@ -0,0 +1,86 @@
+// ===== PRINTING TESTS =====
+// SVG images and print sheets from print.js, and reading packs in tools/print.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generatePuzzle, findRegionBorders, parsePuzzle, decodeRules, DEFAULT_REGION_STYLE } from '../engine.js';
+import { renderPuzzleSvg, buildPrintSheets } from '../print.js';
+import { generatePack, formatEntry } from '../tools/generate.js';
+import { readPack } from '../tools/print.js';
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+test('region borders run along the board edge and between regions', () => {
+    const regions = parsePuzzle('AAB\nACB\nCCB').regions;
+    assert.deepEqual(findRegionBorders(regions, 3, 0, 0), { top: true, bottom: false, left: true, right: false });
+    assert.deepEqual(findRegionBorders(regions, 3, 1, 1), { top: true, bottom: false, left: true, right: true });
+    assert.deepEqual(findRegionBorders(regions, 3, 2, 2), { top: false, bottom: true, left: true, right: true });
+});
+
+test('SVG images draw every cell, the region borders and the solution when asked', () => {
+    const puzzle = generatePuzzle(7, 321);
+    const blank = renderPuzzleSvg(puzzle, { title: 'Puzzle <7>' });
+
+    assert.match(blank, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(blank, /<title>Puzzle &lt;7&gt;<\/title>/);
+    assert.equal(count(blank, /<rect /g), 49);
+    assert.equal(count(blank, /<ellipse /g), 0);
+    assert.equal(count(blank, /<text /g), 0);
+
+    // One thick segment per bordered cell side
+    let sides = 0;
+    for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < 7; col++) {
+            sides += Object.values(findRegionBorders(puzzle.regions, 7, row, col)).filter(Boolean).length;
+        }
+    }
+    const path = /<path d="([^"]+)"/.exec(blank)[1];
+    assert.equal(count(path, /M/g), sides);
+
+    const answer = renderPuzzleSvg(puzzle, { solution: puzzle.solution, colors: ['#abcdef'], letters: true });
+    assert.equal(count(answer, /fill="#c39ad4"/g), 7);
+    assert.equal(count(answer, /fill="#abcdef"/g), 49);
+    assert.equal(count(answer, /<text /g), 49);
+});
+
+test('print sheets put the answer keys on pages of their own', () => {
+    const puzzles = [5, 6, 7, 8, 9].map(size => ({ ...generatePuzzle(size, size), difficulty: 'Easy' }));
+    const twoPerLine = decodeRules('2k');
+    puzzles.push(generatePuzzle(8, 8, DEFAULT_REGION_STYLE, twoPerLine));
+
+    const sheets = buildPrintSheets(puzzles, { perPage: 4 });
+    assert.equal(count(sheets, /class="page"/g), 3); // Two pages of puzzles, one of answers
+    assert.equal(count(sheets, /<svg /g), 12);
+    assert.match(sheets, /#1 · 5-5 · 5×5 · Easy/);
+    assert.match(sheets, /#6 · 8-8-2k · 8×8 · Two per line/);
+    assert.match(sheets, /<h2>Two per line<\/h2>/); // Mixed rules on the second page are listed apart
+
+    const answerPage = sheets.slice(sheets.lastIndexOf('class="page"'));
+    assert.equal(count(answerPage, /fill="#c39ad4"/g), 5 + 6 + 7 + 8 + 9 + 16);
+
+    const noAnswers = buildPrintSheets(puzzles, { perPage: 6, answerKeys: false });
+    assert.equal(count(noAnswers, /class="page"/g), 1);
+    assert.equal(count(noAnswers, /fill="#c39ad4"/g), 0);
+
+    assert.throws(() => buildPrintSheets(puzzles, { perPage: 3 }), /1, 2, 4, 6 puzzles per page/);
+    assert.throws(() => buildPrintSheets([]), /no puzzles/);
+});
+
+test('packs from the batch generator read back in either format', () => {
+    const pack = generatePack({ count: 2, size: 6, difficulty: 'any', rules: decodeRules('1k'), seed: 99 });
+
+    for (const format of ['jsonl', 'text']) {
+        const text = pack.map((entry, index) => formatEntry(entry, format, index)).join(format === 'text' ? '\n\n' : '\n');
+        const puzzles = readPack(text);
+        assert.equal(puzzles.length, 2);
+        puzzles.forEach((puzzle, index) => {
+            assert.equal(puzzle.code, pack[index].puzzle.code);
+            assert.equal(puzzle.difficulty, pack[index].puzzle.rating.label);
+            assert.deepEqual(puzzle.regions, pack[index].puzzle.regions);
+            assert.equal(puzzle.solution.length, 6);
+        });
+    }
+
+    assert.throws(() => readPack('AAAAA\nBBBBB\nCCCCC\nDDDDD\nEEEEE'), /Puzzle 1: .*more than one solution/);
+});
@@ -0,0 +1,225 @@
+// ===== BEANS BATCH GENERATOR =====
+// Builds a pack of puzzles from the command line with the same engine the game uses, for
+// printed puzzle packs and for timing the generator without a browser
+//
+//   node tools/generate.js --count 20 --size 10 --difficulty hard --seed k3j9x2 --out pack.jsonl
+//   npm run generate -- --count 5 --format text
+//
+// Options:
+//   -n, --count       how many puzzles (default 10)
+//   -s, --size        board size (default 8)
+//   -d, --difficulty  any, easy, medium, hard or expert (default any)
+//   -r, --rules       rule code - 1k classic, 1o diagonals allowed, 2k two per line (default 1k)
+//       --seed        starting seed in base 36, as in puzzle codes (default random)
+//   -f, --format      jsonl (one JSON puzzle per line) or text (default jsonl)
+//   -o, --out         file to write (default stdout)
+//
+// Puzzle i is generated from the starting seed + i, so the same options always rebuild the
+// same pack. Every puzzle comes with its solution, its code and how it was made: the graded
+// attempts and generation work (see generatePuzzle) and the logical solve behind its rating
+// Progress and a timing summary go to stderr, so stdout can be piped
+
+import { writeFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    MAX_SEED,
+    DIFFICULTIES,
+    DEFAULT_RULES,
+    RULE_VARIANTS,
+    findRuleVariant,
+    encodeRules,
+    decodeRules,
+    createRandomSeed,
+    generateGradedPuzzle,
+    exportPuzzle,
+    capitalize
+} from '../engine.js';
+
+const OPTIONS = {
+    count: { type: 'string', short: 'n', default: '10' },
+    size: { type: 'string', short: 's', default: '8' },
+    difficulty: { type: 'string', short: 'd', default: 'any' },
+    rules: { type: 'string', short: 'r', default: encodeRules(DEFAULT_RULES) },
+    seed: { type: 'string' },
+    format: { type: 'string', short: 'f', default: 'jsonl' },
+    out: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// ===== OPTIONS =====
+// Turn the command line into {count, size, difficulty, rules, seed, format, out}
+// Anything out of range throws an Error whose message is shown as is
+
+function readOptions(args) {
+    const { values } = parseArgs({ args, options: OPTIONS });
+    if (values.help) return null;
+
+    const count = Number(values.count);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`--count must be a whole number of puzzles, not "${values.count}"`);
+    }
+
+    const rules = decodeRules(values.rules);
+    if (!rules) {
+        const codes = RULE_VARIANTS.map(variant => `${encodeRules(variant.rules)} (${variant.name})`).join(', ');
+        throw new Error(`--rules must be one of ${codes}`);
+    }
+
+    const variant = findRuleVariant(rules);
+    const size = Number(values.size);
+    if (!Number.isInteger(size) || size < variant.minSize || size > variant.maxSize) {
+        throw new Error(`--size must be ${variant.minSize} to ${variant.maxSize} for ${variant.name} puzzles`);
+    }
+
+    const difficulty = values.difficulty.toLowerCase() === 'any' ? 'any' : capitalize(values.difficulty.toLowerCase());
+    if (difficulty !== 'any' && !DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`--difficulty must be any, ${DIFFICULTIES.join(', ').toLowerCase()}`);
+    }
+
+    let seed = createRandomSeed();
+    if (values.seed !== undefined) {
+        seed = /^[0-9a-z]{1,6}$/i.test(values.seed) ? parseInt(values.seed, 36) : NaN;
+        if (Number.isNaN(seed)) throw new Error("--seed must be up to 6 base-36 characters, like a puzzle code's");
+    }
+
+    if (values.format !== 'jsonl' && values.format !== 'text') {
+        throw new Error(`--format must be jsonl or text, not "${values.format}"`);
+    }
+
+    return { count, size, difficulty, rules, seed, format: values.format, out: values.out };
+}
+
+// ===== GENERATION =====
+// Generate the pack one puzzle at a time, reporting each to `onPuzzle(entry, index)`
+// Returns the entries: {puzzle, timeMs} where puzzle is generateGradedPuzzle's result
+
+export function generatePack({ count, size, difficulty, rules, seed }, onPuzzle = null) {
+    const entries = [];
+    const codes = new Set(); // Graded searches that start from different seeds can end on the same puzzle
+
+    for (let offset = 0; entries.length < count; offset++) {
+        if (offset >= count * 2) {
+            throw new Error(`Only found ${entries.length} different puzzles in ${offset} tries`);
+        }
+
+        const started = performance.now();
+        const puzzle = generateGradedPuzzle(size, (seed + offset) % MAX_SEED, difficulty, null, rules);
+        const timeMs = performance.now() - started;
+        if (codes.has(puzzle.code)) continue;
+
+        codes.add(puzzle.code);
+        entries.push({ puzzle, timeMs });
+        if (onPuzzle) onPuzzle(entries[entries.length - 1], entries.length - 1);
+    }
+    return entries;
+}
+
+// ===== OUTPUT FORMATS =====
+// JSONL: one line per puzzle - the game's JSON format (so each line imports on its own) plus
+// "seed", "difficulty", "generation" and "solve" fields
+// Text: the game's text format per puzzle, with the metadata as # comment lines above it and a
+// blank line between puzzles
+
+export function formatEntry({ puzzle, timeMs }, format, index) {
+    const { rating, stats } = puzzle;
+
+    if (format === 'jsonl') {
+        const data = JSON.parse(exportPuzzle(puzzle, 'json', { code: puzzle.code, solution: puzzle.solution }));
+        data.seed = puzzle.seed;
+        data.difficulty = rating.label;
+        if (puzzle.matched === false) data.matchedDifficulty = false; // No puzzle of the requested grade turned up
+        data.generation = { gradedAttempts: puzzle.gradedAttempts, ...stats, timeMs: Math.round(timeMs) };
+        data.solve = {
+            solved: rating.solved,
+            steps: rating.steps,
+            advancedSteps: rating.advancedSteps,
+            hardestLevel: rating.hardestLevel,
+            rulesUsed: rating.rulesUsed
+        };
+        return JSON.stringify(data);
+    }
+
+    return [
+        `# Puzzle ${index + 1}: ${puzzle.code} (${rating.label}${puzzle.matched === false ? ', closest to the requested difficulty' : ''})`,
+        `# Seed ${puzzle.seed}, ${puzzle.gradedAttempts} graded attempt(s), ${stats.solutions} solution(s), ` +
+            `${stats.regionLayouts} region layout(s), ${stats.repairs} repair(s), ${stats.uniquenessChecks} uniqueness check(s), ` +
+            `${Math.round(timeMs)} ms`,
+        `# Solved logically in ${rating.steps} steps (${rating.advancedSteps} advanced) using ${rating.rulesUsed.join(', ') || 'nothing'}`,
+        exportPuzzle(puzzle, 'text', { solution: puzzle.solution })
+    ].join('\n');
+}
+
+// A short report of the run for stderr: totals, timings and how the difficulties came out
+function summarize(entries, options) {
+    const times = entries.map(entry => entry.timeMs);
+    const totalMs = times.reduce((sum, time) => sum + time, 0);
+    const grades = DIFFICULTIES
+        .map(label => [label, entries.filter(entry => entry.puzzle.rating.label === label).length])
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `${label} ${count}`);
+
+    const lines = [
+        `Generated ${entries.length} ${options.size}x${options.size} ${findRuleVariant(options.rules).name} puzzle(s) ` +
+            `in ${(totalMs / 1000).toFixed(2)} s - ${Math.round(totalMs / entries.length)} ms each on average, ` +
+            `${Math.round(Math.min(...times))} ms fastest, ${Math.round(Math.max(...times))} ms slowest`,
+        `Difficulties: ${grades.join(', ')}`
+    ];
+    if (options.difficulty !== 'any') {
+        const matched = entries.filter(entry => entry.puzzle.matched).length;
+        lines.push(`${matched} of ${entries.length} matched ${options.difficulty}`);
+    }
+    return lines.join('\n');
+}
+
+// ===== COMMAND LINE =====
+
+function printUsage() {
+    console.log([
+        'Usage: node tools/generate.js [options]',
+        '  -n, --count <n>          how many puzzles (default 10)',
+        '  -s, --size <n>           board size (default 8)',
+        `  -d, --difficulty <name>  any, ${DIFFICULTIES.join(', ').toLowerCase()} (default any)`,
+        `  -r, --rules <code>       ${RULE_VARIANTS.map(variant => `${encodeRules(variant.rules)} ${variant.name.toLowerCase()}`).join(', ')} (default 1k)`,
+        '      --seed <base36>      starting seed, as in puzzle codes (default random)',
+        '  -f, --format <name>      jsonl or text (default jsonl)',
+        '  -o, --out <file>         file to write (default stdout)'
+    ].join('\n'));
+}
+
+function main(args) {
+    let options;
+    try {
+        options = readOptions(args);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    if (!options) {
+        printUsage();
+        return;
+    }
+
+    try {
+        const separator = options.format === 'text' ? '\n\n' : '\n';
+        const entries = generatePack(options, (entry, index) => {
+            console.error(`${index + 1}/${options.count} ${entry.puzzle.code} ${entry.puzzle.rating.label} (${Math.round(entry.timeMs)} ms)`);
+        });
+        const output = entries.map((entry, index) => formatEntry(entry, options.format, index)).join(separator) + '\n';
+
+        if (options.out) writeFileSync(options.out, output);
+        else process.stdout.write(output);
+        console.error(summarize(entries, options));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Only run when started from the command line, so tests can import the pieces above
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,135 @@
+// ===== BEANS PRINT SHEETS =====
+// Turns a puzzle pack from tools/generate.js (JSON lines or text) into a print sheet, or into one
+// SVG image per puzzle
+//
+//   node tools/print.js pack.jsonl --per-page 6 --out sheets.html
+//   node tools/print.js pack.txt --svg-dir images --solutions
+//   npm run print -- pack.jsonl -p 2 -o sheets.html
+//
+// Options:
+//   -p, --per-page    puzzles per page: 1, 2, 4 or 6 (default 4)
+//       --no-answers  leave out the answer key pages
+//   -l, --letters     write region letters in the cells (handy on black and white printers)
+//   -o, --out         file to write the sheet to (default stdout)
+//       --svg-dir     write <code>.svg images to this folder instead of a sheet
+//       --solutions   with --svg-dir, also write <code>-solution.svg answer images
+//
+// Open the sheet in a browser and print it (or "Save as PDF"). Every puzzle is checked to have
+// exactly one solution before it is printed
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { parsePuzzle, validateImportedPuzzle } from '../engine.js';
+import { PRINT_LAYOUTS, buildPrintSheets, describePrintedPuzzle, renderPuzzleSvg } from '../print.js';
+
+const OPTIONS = {
+    'per-page': { type: 'string', short: 'p', default: '4' },
+    'no-answers': { type: 'boolean', default: false },
+    letters: { type: 'boolean', short: 'l', default: false },
+    out: { type: 'string', short: 'o' },
+    'svg-dir': { type: 'string' },
+    solutions: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// ===== READING PACKS =====
+// A pack is either JSON lines (one puzzle per line) or text puzzles separated by blank lines,
+// as tools/generate.js writes them. Codes and difficulties come from the JSON fields or the
+// "# Puzzle 1: <code> (<difficulty>...)" comment above a text puzzle
+// Returns [{size, regions, rules, solution, code, difficulty}]; a puzzle that can't be played
+// throws an Error naming it
+
+export function readPack(input) {
+    const trimmed = input.trim();
+    const blocks = trimmed.startsWith('{') ? trimmed.split(/\r?\n/) : trimmed.split(/\r?\n\s*\r?\n/);
+
+    return blocks.filter(block => block.trim()).map((block, index) => {
+        let code = null;
+        let difficulty = null;
+        if (block.trim().startsWith('{')) {
+            const data = JSON.parse(block);
+            code = data.code || null;
+            difficulty = data.difficulty || null;
+        } else {
+            const heading = /^#\s*Puzzle \d+:\s*(\S+)\s*\((\w+)/m.exec(block);
+            if (heading) [, code, difficulty] = heading;
+        }
+
+        try {
+            const puzzle = parsePuzzle(block);
+            const solution = validateImportedPuzzle(puzzle);
+            return { size: puzzle.size, regions: puzzle.regions, rules: puzzle.rules, solution, code, difficulty };
+        } catch (error) {
+            throw new Error(`Puzzle ${index + 1}${code ? ` (${code})` : ''}: ${error.message}`);
+        }
+    });
+}
+
+// ===== COMMAND LINE =====
+
+function printUsage() {
+    console.log([
+        'Usage: node tools/print.js <pack file> [options]',
+        `  -p, --per-page <n>   puzzles per page: ${Object.keys(PRINT_LAYOUTS).join(', ')} (default 4)`,
+        '      --no-answers     leave out the answer key pages',
+        '  -l, --letters        write region letters in the cells',
+        '  -o, --out <file>     file to write the sheet to (default stdout)',
+        '      --svg-dir <dir>  write one SVG per puzzle to this folder instead',
+        '      --solutions      with --svg-dir, also write answer images'
+    ].join('\n'));
+}
+
+function main(args) {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    if (values.help || positionals.length !== 1) {
+        printUsage();
+        if (!values.help) process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const puzzles = readPack(readFileSync(positionals[0], 'utf8'));
+
+        if (values['svg-dir']) {
+            mkdirSync(values['svg-dir'], { recursive: true });
+            puzzles.forEach((puzzle, index) => {
+                const name = puzzle.code || `puzzle-${index + 1}`;
+                const title = describePrintedPuzzle(puzzle, index);
+                const write = (file, solution) => writeFileSync(join(values['svg-dir'], file),
+                    renderPuzzleSvg(puzzle, { solution, letters: values.letters, title }) + '\n');
+
+                write(`${name}.svg`, null);
+                if (values.solutions) write(`${name}-solution.svg`, puzzle.solution);
+            });
+            console.error(`Wrote ${puzzles.length} puzzle image(s) to ${values['svg-dir']}`);
+            return;
+        }
+
+        const sheets = buildPrintSheets(puzzles, {
+            perPage: Number(values['per-page']),
+            answerKeys: !values['no-answers'],
+            letters: values.letters
+        });
+        if (values.out) writeFileSync(values.out, sheets + '\n');
+        else process.stdout.write(sheets + '\n');
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Only run when started from the command line, so tests can import the pieces above
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,269 @@
+// ===== DRUM KIT AUDIO ENGINE =====
+// Plays the drum samples through Web Audio. Each sample is fetched and decoded once into an
+// AudioBuffer, and every hit starts its own AudioBufferSourceNode, so hits start straight away
+// and fast rolls overlap instead of dropping or cutting each other off
+//
+// Signal path for each hit:
+//   AudioBufferSourceNode -> channel gain (volume, mute, solo) -> channel pan -> master gain -> speakers
+//
+// Browsers without Web Audio (or pages opened from file://, where samples can't be fetched) fall
+// back to an <audio> element per hit, which follows the volume settings but can't pan
+
+// ===== AUDIO STATE =====
+
+let audioContext = null; // Shared AudioContext, or null when Web Audio isn't available
+let masterGain = null; // Gain node every channel feeds into
+let masterVolume = 0.8; // Master volume from 0 to 1
+const channels = new Map(); // Drum id -> { drum, buffer, failed, ready, gainNode, panNode, settings }
+
+const DEFAULT_CHANNEL_SETTINGS = { volume: 0.8, pan: 0, mute: false, solo: false };
+const GAIN_SMOOTHING = 0.01; // Seconds for volume and pan changes to settle (avoids clicks)
+
+// ===== SET UP =====
+// This function creates the audio graph for a kit and starts loading its samples
+// `drums` is a list of { id, sound } where sound is the sample's URL
+// Called again when the kit changes: drums that keep their id and sample keep their channel,
+// drums with a new sample keep their mixer settings, and drums no longer in the kit are dropped
+// Resolves once every sample has loaded (or failed and fallen back to <audio>)
+
+function setUpAudio(drums) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass && !audioContext) {
+        audioContext = new AudioContextClass({ latencyHint: "interactive" });
+        masterGain = audioContext.createGain();
+        masterGain.gain.value = masterVolume;
+        masterGain.connect(audioContext.destination);
+    }
+
+    const previous = new Map(channels);
+    channels.clear();
+
+    const loads = drums.map(function (drum) {
+        const existing = previous.get(drum.id);
+        previous.delete(drum.id);
+        if (existing && existing.drum.sound === drum.sound) {
+            existing.drum = drum;
+            channels.set(drum.id, existing);
+            return existing.ready || Promise.resolve();
+        }
+        if (existing) disconnectChannel(existing);
+
+        const channel = {
+            drum: drum,
+            buffer: null,
+            failed: !audioContext,
+            ready: null,
+            gainNode: null,
+            panNode: null,
+            settings: Object.assign({}, existing ? existing.settings : DEFAULT_CHANNEL_SETTINGS)
+        };
+        channels.set(drum.id, channel);
+        if (!audioContext) return Promise.resolve();
+
+        channel.gainNode = audioContext.createGain();
+        channel.panNode = audioContext.createStereoPanner();
+        channel.gainNode.connect(channel.panNode);
+        channel.panNode.connect(masterGain);
+
+        channel.ready = loadSample(drum.sound)
+            .then(function (buffer) {
+                channel.buffer = buffer;
+            })
+            .catch(function (error) {
+                console.warn("Couldn't load " + drum.sound + ", playing it with <audio> instead:", error);
+                channel.failed = true;
+            });
+        return channel.ready;
+    });
+
+    previous.forEach(disconnectChannel);
+    applyMixer();
+    return Promise.all(loads);
+}
+
+// Take a channel that's no longer used out of the graph
+function disconnectChannel(channel) {
+    if (channel.panNode) channel.panNode.disconnect();
+}
+
+// Fetch a sample and decode it into an AudioBuffer
+function loadSample(url) {
+    return fetch(url)
+        .then(function (response) {
+            if (!response.ok) throw new Error("HTTP " + response.status);
+            return response.arrayBuffer();
+        })
+        .then(function (data) {
+            // The promise form of decodeAudioData isn't in older Safari, so use the callbacks
+            return new Promise(function (resolve, reject) {
+                audioContext.decodeAudioData(data, resolve, reject);
+            });
+        });
+}
+
+// ===== PLAYBACK =====
+// This function plays one hit of a drum, now or at `time` on the audio clock (see getAudioTime)
+// Scheduled hits start on the exact sample, which keeps the sequencer in time
+// A hit that arrives while its sample is still loading plays as soon as it has loaded
+
+function playDrum(id, time) {
+    const channel = channels.get(id);
+    if (!channel) return;
+
+    resumeAudio();
+    if (channel.buffer) {
+        const source = audioContext.createBufferSource();
+        source.buffer = channel.buffer;
+        source.connect(channel.gainNode);
+        source.start(time === undefined ? 0 : Math.max(time, audioContext.currentTime));
+        source.addEventListener("ended", function () {
+            source.disconnect(); // Let the finished hit be garbage collected
+        });
+    } else if (channel.failed) {
+        // <audio> can't be scheduled, so wait for the moment on a timer instead
+        const delay = time === undefined ? 0 : (time - getAudioTime()) * 1000;
+        if (delay > 0) {
+            setTimeout(function () {
+                playFallback(channel);
+            }, delay);
+        } else {
+            playFallback(channel);
+        }
+    } else {
+        channel.ready.then(function () {
+            playDrum(id, time);
+        });
+    }
+}
+
+// Play a hit with a fresh <audio> element (no panning)
+function playFallback(channel) {
+    const audio = new Audio(channel.drum.sound);
+    audio.volume = Math.min(1, getChannelGain(channel) * masterVolume);
+    audio.play();
+}
+
+// Browsers keep the context suspended until the page is interacted with - every hit and the
+// Play button are such interactions, and anything started meanwhile plays once it resumes
+function resumeAudio() {
+    if (audioContext && audioContext.state === "suspended") audioContext.resume();
+}
+
+// The clock hits are scheduled on, in seconds
+// (the page's clock when there's no AudioContext, so scheduling still works with <audio>)
+function getAudioTime() {
+    return audioContext ? audioContext.currentTime : performance.now() / 1000;
+}
+
+// When an event happened on the audio clock, from its timeStamp (the performance.now() clock)
+// Returns { time, heard }. With getOutputTimestamp the time is what was coming out of the
+// speakers at that moment (`heard` is true); otherwise it's currentTime, which runs ahead of the
+// speakers by the output latency (see getOutputLatency)
+function getAudioTimeOf(timeStamp) {
+    const now = performance.now();
+    // Older browsers stamp events with the time since 1970 - time those as they arrive
+    if (typeof timeStamp !== "number" || timeStamp > now) timeStamp = now;
+
+    if (audioContext && audioContext.getOutputTimestamp) {
+        // Both clocks read at the same moment, which is more exact than reading them one by one
+        const stamp = audioContext.getOutputTimestamp();
+        if (stamp.contextTime !== undefined && stamp.performanceTime) {
+            return { time: stamp.contextTime + (timeStamp - stamp.performanceTime) / 1000, heard: true };
+        }
+    }
+    return { time: getAudioTime() - (now - timeStamp) / 1000, heard: false };
+}
+
+// Seconds between a sound being scheduled and it coming out of the speakers
+function getOutputLatency() {
+    if (!audioContext) return 0;
+    return audioContext.outputLatency || audioContext.baseLatency || 0;
+}
+
+// ===== METRONOME =====
+// A short synthesised click at `time` on the audio clock, higher and louder on the first beat of
+// a bar. It goes through the master volume but no channel. Without Web Audio there's no click
+
+const CLICK_LENGTH = 0.05; // Seconds
+
+function playClick(time, accent) {
+    if (!audioContext) return;
+
+    resumeAudio();
+    const oscillator = audioContext.createOscillator();
+    const envelope = audioContext.createGain();
+    oscillator.frequency.value = accent ? 1500 : 1000;
+    envelope.gain.setValueAtTime(accent ? 0.6 : 0.35, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+    oscillator.connect(envelope);
+    envelope.connect(masterGain);
+    oscillator.start(time);
+    oscillator.stop(time + CLICK_LENGTH);
+    oscillator.addEventListener("ended", function () {
+        envelope.disconnect();
+    });
+}
+
+// ===== MIXER =====
+// Each channel has a volume (0 to 1), a pan (-1 left to 1 right), mute and solo. While any
+// channel is soloed only soloed channels are heard; a muted channel is never heard
+
+// The current settings: { master, channels: { id: { volume, pan, mute, solo } } }
+function getMixerSettings() {
+    const settings = { master: masterVolume, channels: {} };
+    channels.forEach(function (channel, id) {
+        settings.channels[id] = Object.assign({}, channel.settings);
+    });
+    return settings;
+}
+
+// Change one channel's volume, pan, mute or solo
+function setChannelSetting(id, name, value) {
+    const channel = channels.get(id);
+    if (!channel || !(name in DEFAULT_CHANNEL_SETTINGS)) return;
+
+    channel.settings[name] = value;
+    applyMixer();
+}
+
+function setMasterVolume(volume) {
+    masterVolume = volume;
+    applyMixer();
+}
+
+// Put a whole set of settings back (missing channels keep the defaults)
+function setMixerSettings(settings) {
+    masterVolume = settings.master;
+    channels.forEach(function (channel, id) {
+        channel.settings = Object.assign({}, DEFAULT_CHANNEL_SETTINGS, settings.channels[id]);
+    });
+    applyMixer();
+}
+
+// Back to the defaults
+function resetMixer() {
+    setMixerSettings({ master: 0.8, channels: {} });
+}
+
+// The gain a channel plays at once mute and solo are taken into account
+function getChannelGain(channel) {
+    let anySolo = false;
+    channels.forEach(function (other) {
+        if (other.settings.solo) anySolo = true;
+    });
+
+    const audible = !channel.settings.mute && (!anySolo || channel.settings.solo);
+    return audible ? channel.settings.volume : 0;
+}
+
+// Push the settings into the audio graph
+function applyMixer() {
+    if (!audioContext) return;
+
+    const now = audioContext.currentTime;
+    masterGain.gain.setTargetAtTime(masterVolume, now, GAIN_SMOOTHING);
+    channels.forEach(function (channel) {
+        channel.gainNode.gain.setTargetAtTime(getChannelGain(channel), now, GAIN_SMOOTHING);
+        channel.panNode.pan.setTargetAtTime(channel.settings.pan, now, GAIN_SMOOTHING);
+    });
+}
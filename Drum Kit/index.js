@@ -1,53 +1,973 @@
 // ===== DRUM KIT SOUND PLAYER =====
 // This app allows users to play drum sounds by clicking buttons or pressing keyboard keys
+// The kits are defined in kits.js, sounds go through the Web Audio engine in audio.js, patterns
+// loop in sequencer.js, takes are recorded in recorder.js and practice sessions are scored in
+// trainer.js; this file handles the page
+
+// ===== KIT =====
+// The kit being played, with the player's own key bindings applied (see kits.js for the format)
+
+let kit = null;
+
+const MIXER_KEY = "drumKit.mixer"; // localStorage key for the mixer settings
+const PATTERN_KEY = "drumKit.pattern"; // localStorage key for the sequencer pattern
+const KIT_KEY = "drumKit.kit"; // localStorage key for the id of the kit being played
+const BINDINGS_KEY = "drumKit.bindings"; // localStorage key for key bindings: { kitId: { padId: key } }
+const CUSTOM_KITS_KEY = "drumKit.customKits"; // localStorage key for imported kits: [kit, ...]
+const BEST_SCORES_KEY = "drumKit.bestScores"; // localStorage key for trainer best scores: { patternKey: score }
 
 // ===== SOUND PLAYBACK FUNCTION =====
-// Maps each key to its corresponding drum sound file
-
-function playSound(key) {
-    switch (key) {
-        case "w":
-            new Audio("../Assets/sounds/tom-1.mp3").play();
-            break;
-        case "a":
-            new Audio("../Assets/sounds/tom-2.mp3").play();
-            break;
-        case "s":
-            new Audio("../Assets/sounds/tom-3.mp3").play();
-            break;
-        case "d":
-            new Audio("../Assets/sounds/tom-4.mp3").play();
-            break;
-        case "j":
-            new Audio("../Assets/sounds/snare.mp3").play();
-            break;
-        case "k":
-            new Audio("../Assets/sounds/crash.mp3").play();
-            break;
-        case "l":
-            new Audio("../Assets/sounds/kick-bass.mp3").play();
-            break;
-        default:
-            // No sound for unrecognized keys
-            break;
+// Plays the pad bound to a key (keys without a pad do nothing)
+
+function playSound(key, timeStamp) {
+    const pad = kit.pads.find(function (candidate) {
+        return candidate.key === key;
+    });
+    if (pad) playPad(pad, timeStamp);
+}
+
+// Play a pad, record the hit if the recorder is armed and score it if a practice session is on
+// `timeStamp` is when the hit happened - the click or keydown event's timeStamp
+function playPad(pad, timeStamp) {
+    playDrum(pad.id);
+    recordHit(pad.id, timeStamp);
+    if (isRecording()) updateRecorderControls();
+
+    const scored = scoreHit(pad.id, timeStamp);
+    if (scored) showHitFeedback(pad, scored);
+}
+
+// ===== PADS =====
+// One button per pad of the kit, showing its key on its colour (and picture, if it has one)
+
+const padsElement = document.getElementById("pads");
+
+function renderPads() {
+    padsElement.innerHTML = "";
+    kit.pads.forEach(function (pad) {
+        const button = document.createElement("button");
+        button.className = "drum";
+        button.dataset.pad = pad.id;
+        button.textContent = pad.key.toUpperCase();
+        button.title = pad.label;
+        button.setAttribute("aria-label", pad.label + " (" + pad.key.toUpperCase() + ")");
+        button.style.backgroundColor = pad.color;
+        if (pad.image) button.style.backgroundImage = "url(\"" + pad.image + "\")";
+
+        // Mouse click event - play the pad's sound when its button is clicked
+        button.addEventListener("click", function (event) {
+            playPad(pad, event.timeStamp);
+        });
+        padsElement.appendChild(button);
+    });
+}
+
+// ===== MIXER PANEL =====
+// One strip per drum (volume, pan, mute, solo) plus the master volume
+// Settings are kept in localStorage as
+// { version: 1, master, channels: { "tom-1": { volume, pan, mute, solo }, ... } }
+// with the channels of every kit played, so switching kits and back keeps each pad's settings
+
+const mixerToggleButton = document.getElementById("mixerToggle");
+const mixerPanel = document.getElementById("mixer");
+const mixerChannelsElement = document.getElementById("mixerChannels");
+const masterVolumeInput = document.getElementById("masterVolume");
+const mixerResetButton = document.getElementById("mixerReset");
+
+// Build a strip for every drum
+function renderMixer() {
+    mixerChannelsElement.innerHTML = "";
+    kit.pads.forEach(function (drum) {
+        const strip = document.createElement("div");
+        strip.className = "channel";
+        strip.dataset.drum = drum.id;
+
+        const name = document.createElement("span");
+        name.className = "channel-name";
+        name.textContent = drum.label;
+        strip.appendChild(name);
+
+        strip.appendChild(createSlider(drum, "volume", "Vol", 0, 1, 0.01));
+        strip.appendChild(createSlider(drum, "pan", "Pan", -1, 1, 0.05));
+
+        const buttons = document.createElement("div");
+        buttons.className = "channel-buttons";
+        buttons.appendChild(createToggle(drum, "mute", "M", "Mute"));
+        buttons.appendChild(createToggle(drum, "solo", "S", "Solo"));
+        strip.appendChild(buttons);
+
+        mixerChannelsElement.appendChild(strip);
+    });
+    updateMixerControls();
+}
+
+function createSlider(drum, setting, label, min, max, step) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "channel-slider";
+    wrapper.textContent = label;
+
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.dataset.setting = setting;
+    input.setAttribute("aria-label", drum.label + " " + setting);
+    input.addEventListener("input", function () {
+        setChannelSetting(drum.id, setting, Number(input.value));
+        saveMixer();
+    });
+    wrapper.appendChild(input);
+    return wrapper;
+}
+
+function createToggle(drum, setting, text, title) {
+    const button = document.createElement("button");
+    button.className = "mixer-button";
+    button.textContent = text;
+    button.title = title + " " + drum.label;
+    button.dataset.setting = setting;
+    button.addEventListener("click", function () {
+        const settings = getMixerSettings().channels[drum.id];
+        setChannelSetting(drum.id, setting, !settings[setting]);
+        updateMixerControls();
+        saveMixer();
+    });
+    return button;
+}
+
+// Show the current settings on every control
+function updateMixerControls() {
+    const settings = getMixerSettings();
+    masterVolumeInput.value = settings.master;
+
+    mixerChannelsElement.querySelectorAll(".channel").forEach(function (strip) {
+        const channel = settings.channels[strip.dataset.drum];
+        strip.querySelectorAll("input").forEach(function (input) {
+            input.value = channel[input.dataset.setting];
+        });
+        strip.querySelectorAll("button").forEach(function (button) {
+            button.setAttribute("aria-pressed", String(channel[button.dataset.setting]));
+        });
+    });
+}
+
+function saveMixer() {
+    try {
+        const settings = getMixerSettings();
+        const saved = readSavedMixer();
+        const channels = Object.assign({}, saved ? saved.channels : {}, settings.channels);
+        localStorage.setItem(MIXER_KEY, JSON.stringify({ version: 1, master: settings.master, channels: channels }));
+    } catch (error) {
+        // Storage can be full or blocked - the mixer still works for this visit
+        console.warn("Couldn't save the mixer settings:", error);
     }
 }
 
-// ===== EVENT LISTENERS =====
-// Set up both mouse click and keyboard press handlers
+// Put the saved settings of the kit's pads back, ignoring anything that doesn't look like settings we wrote
+function loadMixer() {
+    const saved = readSavedMixer();
+    if (!saved) return;
+
+    const channels = {};
+    kit.pads.forEach(function (drum) {
+        const channel = saved.channels[drum.id];
+        if (!channel) return;
+        channels[drum.id] = {};
+        if (isLevel(channel.volume)) channels[drum.id].volume = channel.volume;
+        if (typeof channel.pan === "number" && channel.pan >= -1 && channel.pan <= 1) channels[drum.id].pan = channel.pan;
+        if (typeof channel.mute === "boolean") channels[drum.id].mute = channel.mute;
+        if (typeof channel.solo === "boolean") channels[drum.id].solo = channel.solo;
+    });
+    setMixerSettings({ master: saved.master, channels: channels });
+}
+
+// The stored settings, or null if there are none we can use
+function readSavedMixer() {
+    const saved = readJson(MIXER_KEY);
+    if (!saved || saved.version !== 1 || !isLevel(saved.master) || !saved.channels || typeof saved.channels !== "object") return null;
+    return saved;
+}
+
+// A volume from 0 to 1
+function isLevel(value) {
+    return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+// ===== SEQUENCER PANEL =====
+// A row of 16 step buttons for each drum button on the page (in the same order), with
+// play/stop, tempo and swing. The pattern is saved after every change and can be copied out or
+// pasted in as JSON (see exportPattern in sequencer.js)
+
+const sequencerGridElement = document.getElementById("sequencerGrid");
+const sequencerPlayButton = document.getElementById("sequencerPlay");
+const sequencerBpmInput = document.getElementById("sequencerBpm");
+const sequencerSwingInput = document.getElementById("sequencerSwing");
+const sequencerSwingValue = document.getElementById("sequencerSwingValue");
+const sequencerClearButton = document.getElementById("sequencerClear");
+const patternTextArea = document.getElementById("patternText");
+const patternExportButton = document.getElementById("patternExport");
+const patternImportButton = document.getElementById("patternImport");
+const patternStatusElement = document.getElementById("patternStatus");
+
+let stepQueue = []; // Steps scheduled but not heard yet: [{ step, time }]
+
+// The pads of the .drum buttons, in page order
+function getSequencerDrums() {
+    const drums = [];
+    document.querySelectorAll(".drum").forEach(function (button) {
+        const drum = kit.pads.find(function (candidate) {
+            return candidate.id === button.dataset.pad;
+        });
+        if (drum) drums.push(drum);
+    });
+    return drums;
+}
+
+function getSequencerDrumIds() {
+    return getSequencerDrums().map(function (drum) {
+        return drum.id;
+    });
+}
+
+// Build the grid for the current pattern
+function renderSequencer() {
+    sequencerGridElement.innerHTML = "";
+    getSequencerDrums().forEach(function (drum) {
+        const row = document.createElement("div");
+        row.className = "sequencer-row";
+        row.dataset.drum = drum.id;
+
+        const name = document.createElement("span");
+        name.className = "sequencer-name";
+        name.textContent = drum.label + " (" + drum.key.toUpperCase() + ")";
+        row.appendChild(name);
+
+        for (let step = 0; step < STEP_COUNT; step++) {
+            const button = document.createElement("button");
+            button.className = step % 4 === 0 ? "step beat" : "step";
+            button.dataset.step = step;
+            button.setAttribute("aria-label", drum.label + " step " + (step + 1));
+            button.addEventListener("click", function () {
+                button.setAttribute("aria-pressed", String(toggleStep(drum.id, step)));
+                savePattern();
+            });
+            row.appendChild(button);
+        }
+
+        sequencerGridElement.appendChild(row);
+    });
+    updateSequencerControls();
+}
+
+// Show the current pattern on the grid, tempo and swing controls
+function updateSequencerControls() {
+    const current = getPattern();
+    sequencerBpmInput.value = current.bpm;
+    sequencerSwingInput.value = current.swing;
+    sequencerSwingValue.textContent = Math.round(current.swing * 100) + "%";
+
+    sequencerGridElement.querySelectorAll(".sequencer-row").forEach(function (row) {
+        const track = current.tracks[row.dataset.drum];
+        row.querySelectorAll(".step").forEach(function (button) {
+            button.setAttribute("aria-pressed", String(track[button.dataset.step]));
+        });
+    });
+}
+
+function playSequencer() {
+    stepQueue = [];
+    startSequencer(function (step, time) {
+        stepQueue.push({ step: step, time: time });
+    });
+    sequencerPlayButton.textContent = "Stop";
+    sequencerPlayButton.setAttribute("aria-pressed", "true");
+    requestAnimationFrame(showPlayingStep);
+}
+
+function stopPlayingSequencer() {
+    stopSequencer();
+    stepQueue = [];
+    highlightStep(null);
+    sequencerPlayButton.textContent = "Play";
+    sequencerPlayButton.setAttribute("aria-pressed", "false");
+}
+
+// Move the playhead to the step being heard right now (steps are scheduled a little early, so
+// each one waits in the queue until its time comes round on the audio clock)
+function showPlayingStep() {
+    if (!isSequencerPlaying()) return;
+
+    const now = getAudioTime();
+    let step = null;
+    while (stepQueue.length > 0 && stepQueue[0].time <= now) {
+        step = stepQueue.shift().step;
+    }
+    if (step !== null) highlightStep(step);
+    requestAnimationFrame(showPlayingStep);
+}
+
+// Mark one column of the grid as playing (null clears it)
+function highlightStep(step) {
+    sequencerGridElement.querySelectorAll(".step").forEach(function (button) {
+        button.classList.toggle("playing", Number(button.dataset.step) === step);
+    });
+}
+
+function savePattern() {
+    try {
+        localStorage.setItem(PATTERN_KEY, exportPattern(getPattern()));
+    } catch (error) {
+        // Storage can be full or blocked - the pattern still plays for this visit
+        console.warn("Couldn't save the pattern:", error);
+    }
+    if (!isTraining()) renderTrainer(); // The trainer may be showing this pattern as its target
+}
+
+// Put the saved pattern back, or start with an empty one
+function loadPattern() {
+    const drumIds = getSequencerDrumIds();
+    try {
+        setPattern(parsePattern(localStorage.getItem(PATTERN_KEY), drumIds));
+    } catch (error) {
+        setPattern(createPattern(drumIds));
+    }
+}
+
+function importPattern() {
+    try {
+        setPattern(parsePattern(patternTextArea.value, getSequencerDrumIds()));
+    } catch (error) {
+        patternStatusElement.textContent = error.message;
+        return;
+    }
+    updateSequencerControls();
+    savePattern();
+    patternStatusElement.textContent = "Pattern imported";
+}
+
+// ===== RECORDER PANEL =====
+// Arm the recorder, play a take back or download it as a MIDI file
+
+const recordButton = document.getElementById("recordButton");
+const takePlayButton = document.getElementById("takePlay");
+const takeExportButton = document.getElementById("takeExport");
+const takeStatusElement = document.getElementById("takeStatus");
+
+function toggleRecording() {
+    if (isRecording()) {
+        stopRecording();
+    } else {
+        if (isTakePlaying()) stopTake();
+        armRecording();
+    }
+    updateRecorderControls();
+}
+
+function toggleTakePlayback() {
+    if (isTraining()) return; // The take would play over the metronome
+    if (isTakePlaying()) stopTake();
+    else playTake(updateRecorderControls);
+    updateRecorderControls();
+}
+
+// Download the take as drum-take.mid, at the sequencer's tempo so it lines up with the DAW's grid
+// (pads without a MIDI note are left out)
+function downloadTake() {
+    const notes = {};
+    kit.pads.forEach(function (pad) {
+        if (pad.note !== undefined) notes[pad.id] = pad.note;
+    });
 
-// Get the count of drum buttons for iteration
-var buttonCount = document.querySelectorAll(".drum").length;
+    const blob = new Blob([exportMidi(getTake(), notes, getPattern().bpm)], { type: "audio/midi" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "drum-take.mid";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+function updateRecorderControls() {
+    const current = getTake();
+    const recording = isRecording();
+    const hasTake = !recording && current.hits.length > 0;
+
+    recordButton.textContent = recording ? "Stop recording" : "Record";
+    recordButton.setAttribute("aria-pressed", String(recording));
+    takePlayButton.textContent = isTakePlaying() ? "Stop" : "Play take";
+    takePlayButton.disabled = !hasTake || isTraining();
+    takeExportButton.disabled = !hasTake;
+
+    if (recording) {
+        takeStatusElement.textContent = "Recording - " + current.hits.length + " hit" + (current.hits.length === 1 ? "" : "s");
+    } else if (hasTake) {
+        takeStatusElement.textContent = current.hits.length + " hit" + (current.hits.length === 1 ? "" : "s") + ", " +
+            (current.duration / 1000).toFixed(1) + " s";
+    } else {
+        takeStatusElement.textContent = "No take yet";
+    }
+}
+
+// ===== KIT PANEL =====
+// Pick a kit, move its pads to other keys, and copy kits out or paste new ones in as JSON
+// Key bindings are saved per kit, as the pads whose keys differ from the kit's definition
+
+const kitToggleButton = document.getElementById("kitToggle");
+const kitPanel = document.getElementById("kitPanel");
+const kitSelect = document.getElementById("kitSelect");
+const bindingsElement = document.getElementById("bindings");
+const bindingsResetButton = document.getElementById("bindingsReset");
+const kitTextArea = document.getElementById("kitText");
+const kitExportButton = document.getElementById("kitExport");
+const kitImportButton = document.getElementById("kitImport");
+const kitStatusElement = document.getElementById("kitStatus");
+
+let bindingPadId = null; // The pad waiting for its new key, or null
+
+// The built-in kits followed by the imported ones
+function getKits() {
+    return BUILT_IN_KITS.concat(loadCustomKits());
+}
+
+function findKit(id) {
+    return getKits().find(function (candidate) {
+        return candidate.id === id;
+    }) || null;
+}
+
+// Play a kit: load its samples and rebuild everything that lists the pads
+// Its pads get their saved mixer settings back, and the pattern keeps the rows of pads the kits share
+function selectKit(id) {
+    const definition = findKit(id) || BUILT_IN_KITS[0];
+    kit = applyBindings(definition, loadBindings()[definition.id]);
+    bindingPadId = null;
+
+    setUpAudio(kit.pads);
+    loadMixer();
+    renderPads();
+    renderMixer();
+    renderKitPanel();
+
+    const drumIds = getSequencerDrumIds();
+    setPattern(parsePattern(exportPattern(getPattern()), drumIds));
+    renderSequencer();
+    if (!isTraining()) renderTrainer();
 
-// Mouse click event - play sound when button is clicked
-for (var i = 0; i < buttonCount; i++) {
-    document.querySelectorAll(".drum")[i].addEventListener("click", function () {
-        // Get the button's text content (W, A, S, D, J, K, or L) and convert to lowercase
-        playSound(this.innerHTML.toLowerCase());
+    storeJson(KIT_KEY, definition.id);
+}
+
+function renderKitPanel() {
+    kitSelect.innerHTML = "";
+    getKits().forEach(function (candidate) {
+        const option = document.createElement("option");
+        option.value = candidate.id;
+        option.textContent = candidate.name;
+        kitSelect.appendChild(option);
+    });
+    kitSelect.value = kit.id;
+    renderBindings();
+}
+
+// One row per pad: its label and a button showing its key, which waits for a new key when clicked
+function renderBindings() {
+    bindingsElement.innerHTML = "";
+    kit.pads.forEach(function (pad) {
+        const row = document.createElement("div");
+        row.className = "binding";
+
+        const name = document.createElement("span");
+        name.className = "binding-name";
+        name.textContent = pad.label;
+        row.appendChild(name);
+
+        const button = document.createElement("button");
+        button.className = "mixer-button binding-key";
+        const waiting = bindingPadId === pad.id;
+        button.textContent = waiting ? "Press a key..." : pad.key.toUpperCase();
+        button.setAttribute("aria-pressed", String(waiting));
+        button.setAttribute("aria-label", "Key for " + pad.label);
+        button.addEventListener("click", function () {
+            bindingPadId = waiting ? null : pad.id;
+            renderBindings();
+        });
+        row.appendChild(button);
+
+        bindingsElement.appendChild(row);
     });
 }
 
+// Move the waiting pad to a key (Escape gives up); a pad already on that key takes the old one
+function finishBinding(key) {
+    const padId = bindingPadId;
+    bindingPadId = null;
+    if (key !== "Escape" && bindKey(kit, padId, key)) {
+        saveBindings();
+        renderPads();
+        renderSequencer();
+        kitStatusElement.textContent = "";
+    } else if (key !== "Escape" && !isKey(key)) {
+        kitStatusElement.textContent = "Pads can only use keys that type a character";
+    }
+    renderBindings();
+}
+
+function resetBindings() {
+    const bindings = loadBindings();
+    delete bindings[kit.id];
+    storeJson(BINDINGS_KEY, bindings);
+    selectKit(kit.id);
+}
+
+function saveBindings() {
+    const bindings = loadBindings();
+    bindings[kit.id] = getBindings(findKit(kit.id), kit);
+    storeJson(BINDINGS_KEY, bindings);
+}
+
+function loadBindings() {
+    const bindings = readJson(BINDINGS_KEY);
+    return bindings && typeof bindings === "object" && !Array.isArray(bindings) ? bindings : {};
+}
+
+// Imported kits, skipping any that no longer read as a kit
+function loadCustomKits() {
+    const saved = readJson(CUSTOM_KITS_KEY);
+    if (!Array.isArray(saved)) return [];
+
+    const kits = [];
+    saved.forEach(function (data) {
+        try {
+            const custom = validateKit(data);
+            if (!findBuiltInKit(custom.id)) kits.push(custom);
+        } catch (error) {
+            console.warn("Skipping a saved kit that can't be read:", error);
+        }
+    });
+    return kits;
+}
+
+// Add the kit in the text box (replacing an imported kit with the same id) and play it
+function importKit() {
+    if (isTraining()) return; // The session's notes are for the kit's pads
+
+    let imported;
+    try {
+        imported = parseKit(kitTextArea.value);
+        if (findBuiltInKit(imported.id)) throw new Error("Give the kit an id of its own - " + imported.id + " is a built-in kit");
+    } catch (error) {
+        kitStatusElement.textContent = error.message;
+        return;
+    }
+
+    const kits = loadCustomKits().filter(function (custom) {
+        return custom.id !== imported.id;
+    });
+    kits.push(imported);
+    storeJson(CUSTOM_KITS_KEY, kits);
+
+    // The kit's own keys are the ones it was imported with
+    const bindings = loadBindings();
+    delete bindings[imported.id];
+    storeJson(BINDINGS_KEY, bindings);
+
+    selectKit(imported.id);
+    kitStatusElement.textContent = "Kit imported";
+}
+
+function readJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeJson(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // Storage can be full or blocked - the change still holds for this visit
+        console.warn("Couldn't save " + key + ":", error);
+    }
+}
+
+// ===== TRAINER PANEL =====
+// Play a target pattern along with a metronome. Each hit shows how early or late it was, and the
+// end of a session shows the stats and a chart of every drum's timing
+// The target is the sequencer's pattern or one of the practice patterns in trainer.js; the best
+// score of each target is saved (see getPatternKey in trainer.js)
+
+const trainerToggleButton = document.getElementById("trainerToggle");
+const trainerPanel = document.getElementById("trainer");
+const trainerPatternSelect = document.getElementById("trainerPattern");
+const trainerBarsSelect = document.getElementById("trainerBars");
+const trainerStartButton = document.getElementById("trainerStart");
+const trainerBestElement = document.getElementById("trainerBest");
+const trainerGridElement = document.getElementById("trainerGrid");
+const trainerStatusElement = document.getElementById("trainerStatus");
+const trainerFeedbackElement = document.getElementById("trainerFeedback");
+const trainerResultsElement = document.getElementById("trainerResults");
+const trainerSummaryElement = document.getElementById("trainerSummary");
+const trainerChartElement = document.getElementById("trainerChart");
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+let trainerStepQueue = []; // Steps scheduled but not reached yet: [{ bar, step, time }]
+let trainingTargetKey = null; // getPatternKey of the session's target
+
+function renderTrainerPatterns() {
+    PRACTICE_PATTERNS.forEach(function (practice) {
+        const option = document.createElement("option");
+        option.value = practice.id;
+        option.textContent = practice.name + " (" + practice.pattern.bpm + " BPM)";
+        trainerPatternSelect.appendChild(option);
+    });
+}
+
+// The chosen target, with rows for the kit's drums only
+function getTrainerTarget() {
+    const practice = findPracticePattern(trainerPatternSelect.value);
+    if (practice) return validatePattern(practice.pattern, getSequencerDrumIds());
+    return parsePattern(exportPattern(getPattern()), getSequencerDrumIds());
+}
+
+// Show the target (its notes on a grid like the sequencer's) and its best score
+function renderTrainer() {
+    const target = getTrainerTarget();
+    trainerGridElement.innerHTML = "";
+    getSequencerDrums().forEach(function (drum) {
+        const row = document.createElement("div");
+        row.className = "sequencer-row";
+
+        const name = document.createElement("span");
+        name.className = "sequencer-name";
+        name.textContent = drum.label + " (" + drum.key.toUpperCase() + ")";
+        row.appendChild(name);
+
+        target.tracks[drum.id].forEach(function (on, step) {
+            const cell = document.createElement("span");
+            cell.className = "step" + (step % 4 === 0 ? " beat" : "") + (on ? " on" : "");
+            cell.dataset.step = step;
+            row.appendChild(cell);
+        });
+        trainerGridElement.appendChild(row);
+    });
+
+    const best = loadBestScores()[getPatternKey(target)];
+    trainerBestElement.textContent = best === undefined ? "No best score yet" : "Best score: " + best;
+}
+
+function startTrainingSession() {
+    if (isSequencerPlaying()) stopPlayingSequencer();
+    if (isTakePlaying()) {
+        stopTake();
+        updateRecorderControls();
+    }
+
+    const target = getTrainerTarget();
+    trainerStepQueue = [];
+    try {
+        startTraining(target, Number(trainerBarsSelect.value), function (bar, step, time) {
+            trainerStepQueue.push({ bar: bar, step: step, time: time });
+        }, showTrainingResults);
+    } catch (error) {
+        trainerStatusElement.textContent = error.message;
+        return;
+    }
+
+    trainingTargetKey = getPatternKey(target);
+    renderTrainer();
+    trainerResultsElement.hidden = true;
+    trainerFeedbackElement.textContent = "";
+    trainerFeedbackElement.className = "trainer-feedback";
+    updateTrainerControls();
+    requestAnimationFrame(showTrainingStep);
+}
+
+function stopTrainingSession() {
+    stopTraining();
+    trainerStepQueue = [];
+    trainerStatusElement.textContent = "Stopped";
+    highlightTrainerStep(null);
+    updateTrainerControls();
+}
+
+function updateTrainerControls() {
+    const training = isTraining();
+    trainerStartButton.textContent = training ? "Stop" : "Start";
+    trainerStartButton.setAttribute("aria-pressed", String(training));
+    trainerPatternSelect.disabled = training;
+    trainerBarsSelect.disabled = training;
+    sequencerPlayButton.disabled = training; // The loop would play over the metronome
+    kitSelect.disabled = training; // The session's notes are for this kit's pads
+    kitImportButton.disabled = training;
+    updateRecorderControls(); // Play take waits for the session to end too
+}
+
+// Move the playhead and count the bars as the audio clock reaches each step
+function showTrainingStep() {
+    if (!isTraining()) return;
+
+    const now = getAudioTime();
+    let current = null;
+    while (trainerStepQueue.length > 0 && trainerStepQueue[0].time <= now) {
+        current = trainerStepQueue.shift();
+    }
+    if (current) {
+        highlightTrainerStep(current.step);
+        trainerStatusElement.textContent = current.bar < 0 ?
+            "Count-in: " + (Math.floor(current.step / 4) + 1) :
+            "Bar " + (current.bar + 1) + " of " + trainerBarsSelect.value;
+    }
+    requestAnimationFrame(showTrainingStep);
+}
+
+function highlightTrainerStep(step) {
+    trainerGridElement.querySelectorAll(".step").forEach(function (cell) {
+        cell.classList.toggle("playing", Number(cell.dataset.step) === step);
+    });
+}
+
+// "Snare: early -42 ms", coloured by how it went
+function showHitFeedback(pad, scored) {
+    trainerFeedbackElement.className = "trainer-feedback " + scored.grade.replace(" ", "-");
+    trainerFeedbackElement.textContent = scored.grade === "extra" ?
+        pad.label + ": extra hit" :
+        pad.label + ": " + scored.grade + " " + formatDeviation(scored.deviation);
+}
+
+function formatDeviation(deviation) {
+    const rounded = Math.round(deviation);
+    return (rounded > 0 ? "+" : "") + rounded + " ms";
+}
+
+function showTrainingResults(results) {
+    highlightTrainerStep(null);
+    updateTrainerControls();
+    trainerStatusElement.textContent = "Session over";
+
+    const bestScores = loadBestScores();
+    const previousBest = bestScores[trainingTargetKey];
+    const isBest = previousBest === undefined || results.score > previousBest;
+    if (isBest) {
+        bestScores[trainingTargetKey] = results.score;
+        storeJson(BEST_SCORES_KEY, bestScores);
+    }
+
+    const lines = [
+        "Score " + results.score + (isBest ? " - new best!" : " (best " + previousBest + ")"),
+        "On time " + results.onTime + " · Early " + results.early + " · Late " + results.late +
+            " · Missed " + results.missed + " · Extra hits " + results.extra
+    ];
+    if (results.average !== null) {
+        lines.push("Average " + formatDeviation(results.average) + " (" + describeTendency(results.average) + "), " +
+            "spread ±" + Math.round(results.spread) + " ms");
+    }
+
+    trainerSummaryElement.innerHTML = "";
+    lines.forEach(function (line) {
+        const paragraph = document.createElement("p");
+        paragraph.textContent = line;
+        trainerSummaryElement.appendChild(paragraph);
+    });
+    renderTimingChart(results);
+    renderTrainer();
+    trainerResultsElement.hidden = false;
+}
+
+function describeTendency(average) {
+    if (Math.abs(average) <= ON_TIME_MS / 2) return "right in time";
+    return average < 0 ? "rushing" : "dragging";
+}
+
+// One row per drum of the target: every hit as a dot on a line from HIT_WINDOW_MS early to
+// HIT_WINDOW_MS late, over a band marking on time, with a tick at the drum's average and how many
+// of its notes were hit
+function renderTimingChart(results) {
+    const labelWidth = 100;
+    const axisWidth = 300;
+    const rowHeight = 30;
+    const width = labelWidth + axisWidth + 60;
+    const height = results.drums.length * rowHeight + 24;
+    const toX = function (deviation) {
+        return labelWidth + (deviation + HIT_WINDOW_MS) / (2 * HIT_WINDOW_MS) * axisWidth;
+    };
+
+    const svg = createSvgElement("svg", { class: "timing-chart", width: width, height: height, viewBox: "0 0 " + width + " " + height, role: "img" });
+    const title = createSvgElement("title", {});
+    title.textContent = "Timing of each drum, early to the left and late to the right";
+    svg.appendChild(title);
+
+    results.drums.forEach(function (drum, index) {
+        const y = index * rowHeight + rowHeight / 2;
+        const pad = kit.pads.find(function (candidate) {
+            return candidate.id === drum.id;
+        });
+
+        const label = createSvgElement("text", { x: labelWidth - 10, y: y + 5, "text-anchor": "end" });
+        label.textContent = pad ? pad.label : drum.id;
+        svg.appendChild(label);
+
+        svg.appendChild(createSvgElement("rect", { class: "on-time-band", x: toX(-ON_TIME_MS), y: y - 10, width: toX(ON_TIME_MS) - toX(-ON_TIME_MS), height: 20 }));
+        svg.appendChild(createSvgElement("line", { class: "axis", x1: toX(-HIT_WINDOW_MS), y1: y, x2: toX(HIT_WINDOW_MS), y2: y }));
+
+        drum.deviations.forEach(function (deviation) {
+            svg.appendChild(createSvgElement("circle", { class: getGrade(deviation).replace(" ", "-"), cx: toX(deviation), cy: y, r: 4 }));
+        });
+        if (drum.average !== null) {
+            svg.appendChild(createSvgElement("line", { class: "average", x1: toX(drum.average), y1: y - 12, x2: toX(drum.average), y2: y + 12 }));
+        }
+
+        const count = createSvgElement("text", { x: toX(HIT_WINDOW_MS) + 10, y: y + 5 });
+        count.textContent = drum.deviations.length + "/" + drum.notes;
+        svg.appendChild(count);
+    });
+
+    // Scale along the bottom
+    const scaleY = results.drums.length * rowHeight + 18;
+    [-HIT_WINDOW_MS, 0, HIT_WINDOW_MS].forEach(function (deviation) {
+        const mark = createSvgElement("text", { class: "scale", x: toX(deviation), y: scaleY, "text-anchor": "middle" });
+        mark.textContent = deviation === 0 ? "0" : formatDeviation(deviation);
+        svg.appendChild(mark);
+    });
+
+    trainerChartElement.innerHTML = "";
+    trainerChartElement.appendChild(svg);
+}
+
+function createSvgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NAMESPACE, name);
+    Object.keys(attributes).forEach(function (attribute) {
+        element.setAttribute(attribute, attributes[attribute]);
+    });
+    return element;
+}
+
+function loadBestScores() {
+    const scores = readJson(BEST_SCORES_KEY);
+    return scores && typeof scores === "object" && !Array.isArray(scores) ? scores : {};
+}
+
+// ===== EVENT LISTENERS =====
+// Set up both mouse click and keyboard press handlers (each pad's click handler is added in renderPads)
+
 // Keyboard press event - play sound when corresponding key is pressed
 document.addEventListener("keydown", function (event) {
-    playSound(event.key.toLowerCase());
+    if (bindingPadId !== null) {
+        // Modifier keys on their own don't finish a binding, so Shift and friends can be held
+        if (["Shift", "Control", "Alt", "Meta"].indexOf(event.key) !== -1) return;
+        event.preventDefault();
+        finishBinding(event.key);
+        return;
+    }
+
+    // Typing a tempo or pasting a pattern shouldn't play the drums
+    if (event.target instanceof Element && event.target.matches("textarea, input[type=number]")) return;
+    // A held key repeats its keydown, but the player only hit the pad once
+    if (event.repeat) return;
+    playSound(event.key.toLowerCase(), event.timeStamp);
+});
+
+mixerToggleButton.addEventListener("click", function () {
+    mixerPanel.hidden = !mixerPanel.hidden;
+    mixerToggleButton.setAttribute("aria-expanded", String(!mixerPanel.hidden));
 });
+
+masterVolumeInput.addEventListener("input", function () {
+    setMasterVolume(Number(masterVolumeInput.value));
+    saveMixer();
+});
+
+mixerResetButton.addEventListener("click", function () {
+    resetMixer();
+    updateMixerControls();
+    saveMixer();
+});
+
+sequencerPlayButton.addEventListener("click", function () {
+    if (isTraining()) return;
+    if (isSequencerPlaying()) stopPlayingSequencer();
+    else playSequencer();
+});
+
+sequencerBpmInput.addEventListener("input", function () {
+    const bpm = Number(sequencerBpmInput.value);
+    if (sequencerBpmInput.value === "" || !Number.isFinite(bpm)) return; // Still typing
+    setTempo(bpm);
+    savePattern();
+});
+
+// Show the tempo that's actually playing once the field is left (out-of-range values are clamped)
+sequencerBpmInput.addEventListener("change", updateSequencerControls);
+
+sequencerSwingInput.addEventListener("input", function () {
+    setSwing(Number(sequencerSwingInput.value));
+    sequencerSwingValue.textContent = Math.round(getPattern().swing * 100) + "%";
+    savePattern();
+});
+
+sequencerClearButton.addEventListener("click", function () {
+    clearPattern();
+    updateSequencerControls();
+    savePattern();
+});
+
+patternExportButton.addEventListener("click", function () {
+    patternTextArea.value = exportPattern(getPattern());
+    patternTextArea.select();
+    patternStatusElement.textContent = "Copy this JSON to share the pattern";
+});
+
+patternImportButton.addEventListener("click", importPattern);
+
+recordButton.addEventListener("click", toggleRecording);
+takePlayButton.addEventListener("click", toggleTakePlayback);
+takeExportButton.addEventListener("click", downloadTake);
+
+kitToggleButton.addEventListener("click", function () {
+    kitPanel.hidden = !kitPanel.hidden;
+    kitToggleButton.setAttribute("aria-expanded", String(!kitPanel.hidden));
+});
+
+kitSelect.addEventListener("change", function () {
+    if (isTraining()) {
+        kitSelect.value = kit.id;
+        return;
+    }
+    selectKit(kitSelect.value);
+    kitStatusElement.textContent = "";
+});
+
+bindingsResetButton.addEventListener("click", resetBindings);
+
+kitExportButton.addEventListener("click", function () {
+    kitTextArea.value = JSON.stringify(kit, null, 2);
+    kitTextArea.select();
+    kitStatusElement.textContent = "Copy this JSON to share the kit, or change it and import it as a new kit";
+});
+
+kitImportButton.addEventListener("click", importKit);
+
+trainerToggleButton.addEventListener("click", function () {
+    trainerPanel.hidden = !trainerPanel.hidden;
+    trainerToggleButton.setAttribute("aria-expanded", String(!trainerPanel.hidden));
+});
+
+trainerPatternSelect.addEventListener("change", renderTrainer);
+
+trainerStartButton.addEventListener("click", function () {
+    if (isTraining()) stopTrainingSession();
+    else startTrainingSession();
+});
+
+// ===== START UP =====
+// Load the samples straight away so the first hit doesn't wait for them
+
+renderTrainerPatterns();
+selectKit(readJson(KIT_KEY));
+loadPattern();
+updateSequencerControls();
+updateRecorderControls();
+renderTrainer();
@@ -0,0 +1,163 @@
+// ===== DRUM KITS =====
+// A kit says which pads the page shows: each pad's label, the key that plays it, its sample and
+// its colour. Kits are written as JSON, so more can be imported on the page:
+//
+// {
+//   "version": 1,
+//   "id": "standard",
+//   "name": "Standard (QWERTY)",
+//   "pads": [
+//     { "id": "snare", "label": "Snare", "key": "j", "sound": "../Assets/sounds/snare.mp3",
+//       "color": "#ffffff", "image": "../Assets/images/snare.png", "note": 38 },
+//     ...
+//   ]
+// }
+//
+// Pad ids and keys must be unique within a kit. The key is the character its keyboard key types
+// (one character, not a space). image (a picture drawn on the pad) and note (its General MIDI
+// drum note, used for MIDI export) are optional. Paths are relative to index.html
+//
+// The built-in kits are kept here rather than in .json files so the page still works when it's
+// opened straight from disk, where files can't be fetched
+
+const MAX_PADS = 16;
+
+// The kit the page has always had, played with W A S D and J K L
+const STANDARD_PADS = [
+    { id: "tom-1", label: "Tom 1", key: "w", sound: "../Assets/sounds/tom-1.mp3", color: "#ffffff", image: "../Assets/images/tom1.png", note: 50 }, // High Tom
+    { id: "tom-2", label: "Tom 2", key: "a", sound: "../Assets/sounds/tom-2.mp3", color: "#ffffff", image: "../Assets/images/tom2.png", note: 48 }, // Hi-Mid Tom
+    { id: "tom-3", label: "Tom 3", key: "s", sound: "../Assets/sounds/tom-3.mp3", color: "#ffffff", image: "../Assets/images/tom3.png", note: 45 }, // Low Tom
+    { id: "tom-4", label: "Tom 4", key: "d", sound: "../Assets/sounds/tom-4.mp3", color: "#ffffff", image: "../Assets/images/tom4.png", note: 41 }, // Low Floor Tom
+    { id: "snare", label: "Snare", key: "j", sound: "../Assets/sounds/snare.mp3", color: "#ffffff", image: "../Assets/images/snare.png", note: 38 }, // Acoustic Snare
+    { id: "crash", label: "Crash", key: "k", sound: "../Assets/sounds/crash.mp3", color: "#ffffff", image: "../Assets/images/crash.png", note: 49 }, // Crash Cymbal 1
+    { id: "kick", label: "Kick", key: "l", sound: "../Assets/sounds/kick-bass.mp3", color: "#ffffff", image: "../Assets/images/kick.png", note: 36 } // Bass Drum 1
+];
+
+// The standard pads on other keys, in the same order
+function withKeys(keys) {
+    return STANDARD_PADS.map(function (pad, index) {
+        return Object.assign({}, pad, { key: keys[index] });
+    });
+}
+
+// The same physical keys as the standard kit on AZERTY and Dvorak keyboards
+const BUILT_IN_KITS = [
+    { version: 1, id: "standard", name: "Standard (QWERTY)", pads: STANDARD_PADS },
+    { version: 1, id: "azerty", name: "AZERTY", pads: withKeys(["z", "q", "s", "d", "j", "k", "l"]) },
+    { version: 1, id: "dvorak", name: "Dvorak", pads: withKeys([",", "a", "o", "e", "h", "t", "n"]) }
+];
+
+function findBuiltInKit(id) {
+    return BUILT_IN_KITS.find(function (kit) {
+        return kit.id === id;
+    }) || null;
+}
+
+// ===== READING KITS =====
+
+// This function reads a kit from its JSON, returning a clean copy of it
+// Anything that isn't a usable kit throws an Error saying what's wrong
+function parseKit(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error("That isn't valid JSON");
+    }
+    return validateKit(data);
+}
+
+function validateKit(data) {
+    if (!data || typeof data !== "object" || data.version !== 1) throw new Error("That isn't a drum kit");
+    if (!isName(data.id)) throw new Error("The kit needs an id");
+    if (!isName(data.name)) throw new Error("The kit needs a name");
+    if (!Array.isArray(data.pads) || data.pads.length === 0 || data.pads.length > MAX_PADS) {
+        throw new Error("A kit has from 1 to " + MAX_PADS + " pads");
+    }
+
+    const ids = [];
+    const keys = [];
+    const pads = data.pads.map(function (pad, index) {
+        const where = "Pad " + (index + 1);
+        if (!pad || typeof pad !== "object") throw new Error(where + " isn't a pad");
+        if (!isName(pad.id)) throw new Error(where + " needs an id");
+        if (!isName(pad.label)) throw new Error(where + " needs a label");
+        if (!isKey(pad.key)) throw new Error(where + " needs a key (one character, not a space)");
+        if (!isName(pad.sound)) throw new Error(where + " needs a sound");
+        if (!isColor(pad.color)) throw new Error(where + " needs a colour like #ff8800");
+        if (pad.image !== undefined && !isName(pad.image)) throw new Error(where + " has an image that isn't a path");
+        if (pad.note !== undefined && !(Number.isInteger(pad.note) && pad.note >= 0 && pad.note <= 127)) {
+            throw new Error(where + " has a MIDI note that isn't from 0 to 127");
+        }
+
+        const key = pad.key.toLowerCase();
+        if (ids.indexOf(pad.id) !== -1) throw new Error("Two pads have the id " + pad.id);
+        if (keys.indexOf(key) !== -1) throw new Error("Two pads use the " + key.toUpperCase() + " key");
+        ids.push(pad.id);
+        keys.push(key);
+
+        const clean = { id: pad.id, label: pad.label, key: key, sound: pad.sound, color: pad.color };
+        if (pad.image !== undefined) clean.image = pad.image;
+        if (pad.note !== undefined) clean.note = pad.note;
+        return clean;
+    });
+
+    return { version: 1, id: data.id, name: data.name, pads: pads };
+}
+
+function isName(value) {
+    return typeof value === "string" && value.trim() !== "";
+}
+
+// One character that isn't whitespace (keys like Enter or Shift can't be bound)
+function isKey(value) {
+    return typeof value === "string" && value.length === 1 && value.trim() !== "";
+}
+
+function isColor(value) {
+    return typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+// ===== KEY BINDINGS =====
+// A kit with some pads moved to other keys; `bindings` is { padId: key }
+// A key another pad was using is handed over by swapping the two pads' keys, so keys stay unique
+
+function applyBindings(kit, bindings) {
+    const bound = Object.assign({}, kit, { pads: kit.pads.map(function (pad) {
+        return Object.assign({}, pad);
+    }) });
+    Object.keys(bindings || {}).forEach(function (padId) {
+        bindKey(bound, padId, bindings[padId]);
+    });
+    return bound;
+}
+
+// Move one pad of a kit to a key (changes the kit); returns whether anything changed
+function bindKey(kit, padId, key) {
+    const pad = kit.pads.find(function (candidate) {
+        return candidate.id === padId;
+    });
+    if (!pad || !isKey(key)) return false;
+
+    key = key.toLowerCase();
+    if (pad.key === key) return false;
+
+    const other = kit.pads.find(function (candidate) {
+        return candidate.key === key;
+    });
+    if (other) other.key = pad.key;
+    pad.key = key;
+    return true;
+}
+
+// The bindings that turn `kit` into `bound` (just the pads whose keys differ)
+function getBindings(kit, bound) {
+    const bindings = {};
+    bound.pads.forEach(function (pad) {
+        const original = kit.pads.find(function (candidate) {
+            return candidate.id === pad.id;
+        });
+        if (original && original.key !== pad.key) bindings[pad.id] = pad.key;
+    });
+    return bindings;
+}
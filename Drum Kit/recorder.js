@@ -0,0 +1,171 @@
+// ===== DRUM KIT RECORDER =====
+// Records pad hits while armed, plays the take back exactly as it was played, and writes it out
+// as a Standard MIDI File for a DAW
+// Nothing here touches the page - index.js passes every hit in with its event's timestamp
+//
+// Hits are timed with the events' high-resolution timestamps (the performance.now() clock), so
+// a take records when each pad was actually hit rather than when the page got round to it.
+// Playback goes through the same lookahead scheduling as the sequencer (see sequencer.js)
+
+// ===== RECORDING =====
+// A take is { hits: [{ id, time }], duration } with times in milliseconds from when recording
+// was armed, so the silence before the first hit is kept too
+
+let recordingStart = null; // performance.now() time recording was armed, or null when not recording
+let take = { hits: [], duration: 0 };
+
+function isRecording() {
+    return recordingStart !== null;
+}
+
+// Start a new take (the previous one is replaced)
+function armRecording() {
+    recordingStart = performance.now();
+    take = { hits: [], duration: 0 };
+}
+
+function stopRecording() {
+    if (!isRecording()) return;
+
+    take.duration = performance.now() - recordingStart;
+    recordingStart = null;
+}
+
+// Add a hit to the take, if recording; `timeStamp` is the event's timeStamp (or performance.now())
+function recordHit(id, timeStamp) {
+    if (!isRecording()) return;
+
+    // Older browsers stamp events with the time since 1970, which can't be compared with
+    // performance.now() - those hits are timed as they arrive instead
+    const now = performance.now();
+    if (typeof timeStamp !== "number" || timeStamp > now) timeStamp = now;
+
+    take.hits.push({ id: id, time: Math.max(0, timeStamp - recordingStart) });
+}
+
+function getTake() {
+    return take;
+}
+
+// ===== PLAYBACK =====
+
+let takeTimer = null;
+let takeStart = 0; // Audio clock time the take's first moment plays at
+let nextHitIndex = 0;
+let onTakeEndCallback = null;
+
+function isTakePlaying() {
+    return takeTimer !== null;
+}
+
+// This function plays the take from the start; `onEnd` is called once it has finished
+function playTake(onEnd) {
+    if (isTakePlaying()) stopTake();
+
+    resumeAudio();
+    onTakeEndCallback = onEnd || null;
+    takeStart = getAudioTime() + START_DELAY;
+    nextHitIndex = 0;
+    takeTimer = setInterval(scheduleTake, LOOKAHEAD_MS);
+    scheduleTake();
+}
+
+// Stop playing the take; hits already handed to the audio engine still finish
+function stopTake() {
+    clearInterval(takeTimer);
+    takeTimer = null;
+}
+
+// Schedule every hit that falls before the end of the lookahead window
+function scheduleTake() {
+    const now = getAudioTime();
+    while (nextHitIndex < take.hits.length && takeStart + take.hits[nextHitIndex].time / 1000 < now + SCHEDULE_AHEAD) {
+        const hit = take.hits[nextHitIndex];
+        playDrum(hit.id, takeStart + hit.time / 1000);
+        nextHitIndex++;
+    }
+
+    if (nextHitIndex >= take.hits.length && now >= takeStart + take.duration / 1000) {
+        stopTake();
+        if (onTakeEndCallback) onTakeEndCallback();
+    }
+}
+
+// ===== MIDI EXPORT =====
+// A Standard MIDI File (format 0, one track) with every hit as a note on the General MIDI drum
+// channel (channel 10). `notes` maps drum ids to their GM drum note numbers; hits of drums
+// without one are left out. The take keeps its real timing - `bpm` only sets the DAW's grid
+
+const MIDI_TICKS_PER_BEAT = 480;
+const MIDI_DRUM_CHANNEL = 9; // Channel 10, counting from 0
+const MIDI_VELOCITY = 100;
+const MIDI_NOTE_TICKS = MIDI_TICKS_PER_BEAT / 4; // Drums don't sustain, so every note lasts a 16th
+
+// Returns the file's bytes as a Uint8Array
+function exportMidi(source, notes, bpm) {
+    const ticksPerMs = MIDI_TICKS_PER_BEAT * bpm / 60000;
+
+    // Note on and off events at absolute ticks; offs sort first so a repeated note ends before it restarts
+    const events = [];
+    source.hits.forEach(function (hit) {
+        const note = notes[hit.id];
+        if (note === undefined) return;
+
+        const tick = Math.round(hit.time * ticksPerMs);
+        events.push({ tick: tick, order: 1, bytes: [0x90 | MIDI_DRUM_CHANNEL, note, MIDI_VELOCITY] });
+        events.push({ tick: tick + MIDI_NOTE_TICKS, order: 0, bytes: [0x80 | MIDI_DRUM_CHANNEL, note, 0] });
+    });
+    events.sort(function (a, b) {
+        return a.tick - b.tick || a.order - b.order;
+    });
+
+    const microsecondsPerBeat = Math.round(60000000 / bpm);
+    const track = [];
+    track.push(0x00, 0xFF, 0x03); // Track name
+    pushText(track, "Drum Kit take");
+    track.push(0x00, 0xFF, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF); // Tempo
+    track.push(0x00, 0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08); // 4/4 time
+
+    let lastTick = 0;
+    events.forEach(function (event) {
+        pushVariableLength(track, event.tick - lastTick);
+        track.push.apply(track, event.bytes);
+        lastTick = event.tick;
+    });
+
+    // End the track at the end of the take, or after the last note if that rings on longer
+    const endTick = Math.max(lastTick, Math.round(source.duration * ticksPerMs));
+    pushVariableLength(track, endTick - lastTick);
+    track.push(0xFF, 0x2F, 0x00);
+
+    const header = [
+        0x4D, 0x54, 0x68, 0x64, // "MThd"
+        0x00, 0x00, 0x00, 0x06,
+        0x00, 0x00, // Format 0
+        0x00, 0x01, // One track
+        (MIDI_TICKS_PER_BEAT >> 8) & 0xFF, MIDI_TICKS_PER_BEAT & 0xFF
+    ];
+    const trackHeader = [
+        0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+        (track.length >>> 24) & 0xFF, (track.length >> 16) & 0xFF, (track.length >> 8) & 0xFF, track.length & 0xFF
+    ];
+    return new Uint8Array(header.concat(trackHeader, track));
+}
+
+// MIDI's variable-length numbers: 7 bits per byte, most significant first, with the top bit set
+// on every byte but the last
+function pushVariableLength(bytes, value) {
+    const groups = [value & 0x7F];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+        groups.unshift((value & 0x7F) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    bytes.push.apply(bytes, groups);
+}
+
+// A length-prefixed ASCII string for meta events
+function pushText(bytes, text) {
+    pushVariableLength(bytes, text.length);
+    for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0x7F);
+}
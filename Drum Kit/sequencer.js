@@ -0,0 +1,194 @@
+// ===== DRUM KIT STEP SEQUENCER =====
+// A looping 16-step pattern: one row of steps per drum, played at a tempo (BPM) with swing
+// Nothing here touches the page - index.js draws the grid and calls these functions
+//
+// Timing uses a lookahead scheduler: a timer wakes up every LOOKAHEAD_MS and hands every step
+// due in the next SCHEDULE_AHEAD seconds to playDrum with its exact time on the audio clock.
+// The timer itself can run late (busy page, garbage collection) without the loop drifting,
+// because the hits are placed by the audio clock, not by when the timer fired
+
+// ===== PATTERN =====
+// { bpm, swing, tracks: { "tom-1": [true, false, ...16 steps], ... } }
+// Steps are 16th notes, so a pattern is one bar of 4/4. Swing goes from 0 (straight) to 1
+// (triplet feel) and pushes every second 16th later
+
+const STEP_COUNT = 16;
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const DEFAULT_BPM = 100;
+
+let pattern = createPattern([]);
+
+// An empty pattern with a row for each drum id
+function createPattern(drumIds) {
+    const tracks = {};
+    drumIds.forEach(function (id) {
+        tracks[id] = new Array(STEP_COUNT).fill(false);
+    });
+    return { bpm: DEFAULT_BPM, swing: 0, tracks: tracks };
+}
+
+function getPattern() {
+    return pattern;
+}
+
+// Replace the whole pattern (the scheduler picks it up from the next step)
+function setPattern(newPattern) {
+    pattern = newPattern;
+}
+
+// Turn a step on or off; returns whether it is now on
+function toggleStep(id, step) {
+    const track = pattern.tracks[id];
+    if (!track || step < 0 || step >= STEP_COUNT) return false;
+
+    track[step] = !track[step];
+    return track[step];
+}
+
+function setTempo(bpm) {
+    pattern.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, Math.round(bpm)));
+}
+
+function setSwing(swing) {
+    pattern.swing = Math.min(1, Math.max(0, swing));
+}
+
+// Turn every step off, keeping the tempo and swing
+function clearPattern() {
+    Object.keys(pattern.tracks).forEach(function (id) {
+        pattern.tracks[id].fill(false);
+    });
+}
+
+// ===== SAVING AND SHARING =====
+// Patterns are stored and shared as JSON:
+// { version: 1, bpm, swing, steps: 16, tracks: { "tom-1": "x...x...x...x...", ... } }
+// Each track is written as a string with "x" for a hit and "." for a rest so exported files
+// stay readable; arrays of true/false are accepted too
+
+function exportPattern(source) {
+    const tracks = {};
+    Object.keys(source.tracks).forEach(function (id) {
+        tracks[id] = source.tracks[id].map(function (on) {
+            return on ? "x" : ".";
+        }).join("");
+    });
+    return JSON.stringify({ version: 1, bpm: source.bpm, swing: source.swing, steps: STEP_COUNT, tracks: tracks }, null, 2);
+}
+
+// This function reads a pattern back from exportPattern's JSON
+// Only the drums in `drumIds` are kept (rows for drums this kit doesn't have are dropped and
+// drums missing from the JSON get an empty row); anything else wrong throws an Error saying what
+function parsePattern(json, drumIds) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error("That isn't valid JSON");
+    }
+    return validatePattern(data, drumIds);
+}
+
+function validatePattern(data, drumIds) {
+    if (!data || typeof data !== "object" || data.version !== 1) throw new Error("That isn't a drum pattern");
+    if (typeof data.bpm !== "number" || data.bpm < MIN_BPM || data.bpm > MAX_BPM) {
+        throw new Error("The tempo must be between " + MIN_BPM + " and " + MAX_BPM + " BPM");
+    }
+    if (typeof data.swing !== "number" || data.swing < 0 || data.swing > 1) throw new Error("The swing must be between 0 and 1");
+    if (!data.tracks || typeof data.tracks !== "object") throw new Error("The pattern has no tracks");
+
+    const parsed = createPattern(drumIds);
+    parsed.bpm = Math.round(data.bpm);
+    parsed.swing = data.swing;
+    drumIds.forEach(function (id) {
+        if (!(id in data.tracks)) return;
+
+        const steps = parseTrack(data.tracks[id]);
+        if (!steps) throw new Error("The " + id + " track must have " + STEP_COUNT + " steps");
+        parsed.tracks[id] = steps;
+    });
+    return parsed;
+}
+
+// "x..x" or [true, false, false, true] -> [true, false, false, true], or null if it isn't a track
+function parseTrack(track) {
+    const steps = typeof track === "string" ? track.split("") : track;
+    if (!Array.isArray(steps) || steps.length !== STEP_COUNT) return null;
+
+    const parsed = steps.map(function (step) {
+        if (step === "x" || step === "X" || step === true) return true;
+        if (step === "." || step === "-" || step === false) return false;
+        return null;
+    });
+    return parsed.indexOf(null) === -1 ? parsed : null;
+}
+
+// ===== SCHEDULER =====
+
+const LOOKAHEAD_MS = 25; // How often the scheduler wakes up
+const SCHEDULE_AHEAD = 0.1; // Seconds of hits handed to the audio engine each time
+const START_DELAY = 0.05; // Seconds between pressing Play and the first step
+
+let schedulerTimer = null;
+let nextStep = 0; // The next step to schedule
+let nextStepTime = 0; // When that step falls on the audio clock, before swing
+let onStepCallback = null;
+
+function isSequencerPlaying() {
+    return schedulerTimer !== null;
+}
+
+// This function starts the loop from its first step
+// `onStep(step, time)` is called as each step is scheduled, slightly ahead of `time` (the audio
+// clock time the step sounds at) - compare it with getAudioTime to show the step when it plays
+function startSequencer(onStep) {
+    if (isSequencerPlaying()) return;
+
+    resumeAudio();
+    onStepCallback = onStep || null;
+    nextStep = 0;
+    nextStepTime = getAudioTime() + START_DELAY;
+    schedulerTimer = setInterval(scheduleSteps, LOOKAHEAD_MS);
+    scheduleSteps();
+}
+
+// Stop scheduling; hits already handed to the audio engine still finish
+function stopSequencer() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+// Schedule every step that falls before the end of the lookahead window
+function scheduleSteps() {
+    const now = getAudioTime();
+
+    // If the timer stalled for longer than the window (a background tab), skip ahead rather than
+    // play every missed step at once
+    if (nextStepTime < now - SCHEDULE_AHEAD) {
+        nextStepTime = now + START_DELAY;
+    }
+
+    while (nextStepTime < now + SCHEDULE_AHEAD) {
+        const time = nextStepTime + getSwingOffset(nextStep, pattern);
+        Object.keys(pattern.tracks).forEach(function (id) {
+            if (pattern.tracks[id][nextStep]) playDrum(id, time);
+        });
+        if (onStepCallback) onStepCallback(nextStep, time);
+
+        nextStepTime += getStepDuration(pattern.bpm);
+        nextStep = (nextStep + 1) % STEP_COUNT;
+    }
+}
+
+// Seconds per 16th note
+function getStepDuration(bpm) {
+    return 60 / bpm / 4;
+}
+
+// How much later than straight time a step plays - every second 16th is pushed back, by up to a
+// third of a step (full swing puts it on the last triplet of the beat's eighth note)
+function getSwingOffset(step, source) {
+    if (step % 2 === 0) return 0;
+    return source.swing * getStepDuration(source.bpm) / 3;
+}
@@ -0,0 +1,96 @@
+// ===== RHYTHM TRAINER TESTS =====
+// Hit scoring in trainer.js against a fake audio clock
+// The page's scripts share globals like <script> tags do, so they're run in one vm context
+//
+//   node --test tests/     (from the Drum Kit folder)
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const OUTPUT_LATENCY = 0.04; // Seconds, like a typical laptop
+
+// Load audio.js, sequencer.js and trainer.js with a fake AudioContext whose clocks are set by hand
+// `withOutputTimestamp` chooses whether it has getOutputTimestamp
+function loadTrainer(withOutputTimestamp) {
+    const clock = { performanceNow: 1000, audioTime: 0 };
+    const param = function () {
+        return { value: 0, setTargetAtTime: function () {}, setValueAtTime: function () {}, exponentialRampToValueAtTime: function () {} };
+    };
+    const node = function () {
+        return { connect: function () {}, disconnect: function () {}, addEventListener: function () {}, start: function () {}, stop: function () {}, gain: param(), pan: param(), frequency: param() };
+    };
+
+    function FakeAudioContext() {
+        this.state = "running";
+        this.outputLatency = OUTPUT_LATENCY;
+        this.destination = node();
+        this.createGain = node;
+        this.createStereoPanner = node;
+        this.createOscillator = node;
+        if (withOutputTimestamp) {
+            // What's coming out of the speakers is the output latency behind currentTime
+            this.getOutputTimestamp = function () {
+                return { contextTime: clock.audioTime - OUTPUT_LATENCY, performanceTime: clock.performanceNow };
+            };
+        }
+    }
+    Object.defineProperty(FakeAudioContext.prototype, "currentTime", {
+        get: function () {
+            return clock.audioTime;
+        }
+    });
+
+    const context = vm.createContext({
+        window: { AudioContext: FakeAudioContext },
+        performance: { now: function () { return clock.performanceNow; } },
+        setInterval: function () { return 1; },
+        clearInterval: function () {},
+        console: console
+    });
+    ["audio.js", "sequencer.js", "trainer.js"].forEach(function (file) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context, { filename: file });
+    });
+    vm.runInContext("setUpAudio([])", context);
+
+    const target = vm.runInContext("validatePattern({ version: 1, bpm: 120, swing: 0, tracks: { kick: \"x...x...x...x...\" } }, [\"kick\"])", context);
+    context.startTraining(target, 1);
+
+    return {
+        notes: vm.runInContext("session.notes", context),
+        // Hit the kick at an audio clock time as the player hears it
+        hitWhenHeard: function (heardTime) {
+            const timeStamp = clock.performanceNow;
+            clock.audioTime = heardTime + OUTPUT_LATENCY;
+            return context.scoreHit("kick", timeStamp);
+        }
+    };
+}
+
+test("a hit exactly on the note as heard is on time", function () {
+    [true, false].forEach(function (withOutputTimestamp) {
+        const trainer = loadTrainer(withOutputTimestamp);
+        const scored = trainer.hitWhenHeard(trainer.notes[0].time);
+
+        assert.equal(scored.grade, "on time", withOutputTimestamp ? "with getOutputTimestamp" : "with currentTime");
+        assert.ok(Math.abs(scored.deviation) < 0.001);
+    });
+});
+
+test("hits off the note are early or late by how far out they are", function () {
+    [true, false].forEach(function (withOutputTimestamp) {
+        const trainer = loadTrainer(withOutputTimestamp);
+
+        const late = trainer.hitWhenHeard(trainer.notes[1].time + 0.05);
+        assert.equal(late.grade, "late");
+        assert.ok(Math.abs(late.deviation - 50) < 0.001);
+
+        const early = trainer.hitWhenHeard(trainer.notes[2].time - 0.05);
+        assert.equal(early.grade, "early");
+        assert.ok(Math.abs(early.deviation + 50) < 0.001);
+
+        assert.equal(trainer.hitWhenHeard(trainer.notes[3].time + 0.3).grade, "extra");
+    });
+});
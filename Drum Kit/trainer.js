@@ -0,0 +1,240 @@
+// ===== DRUM KIT RHYTHM TRAINER =====
+// Practice playing a pattern in time. A metronome counts in one bar and keeps the beat while the
+// player plays the target pattern on the pads for a few bars, and every hit is scored against
+// when its note should have landed
+// Nothing here touches the page - index.js passes the hits in and shows the results
+//
+// Hits are compared on the audio clock with the notes as they come out of the speakers, since
+// that's what the player plays along with. When a hit can only be timed with currentTime (no
+// getOutputTimestamp), its note is moved later by the output latency to match
+
+// ===== PRACTICE PATTERNS =====
+// Ready-made targets in the sequencer's pattern format (see sequencer.js). Drums the kit being
+// played doesn't have are left out
+
+const PRACTICE_PATTERNS = [
+    {
+        id: "four-on-the-floor",
+        name: "Four on the floor",
+        pattern: { version: 1, bpm: 80, swing: 0, tracks: { kick: "x...x...x...x..." } }
+    },
+    {
+        id: "rock-beat",
+        name: "Rock beat",
+        pattern: { version: 1, bpm: 90, swing: 0, tracks: { kick: "x.......x.x.....", snare: "....x.......x..." } }
+    },
+    {
+        id: "tom-run",
+        name: "Tom run",
+        pattern: {
+            version: 1,
+            bpm: 90,
+            swing: 0,
+            tracks: {
+                "tom-1": "x.x.............",
+                "tom-2": "....x.x.........",
+                "tom-3": "........x.x.....",
+                "tom-4": "............x.x.",
+                kick: "x...x...x...x..."
+            }
+        }
+    },
+    {
+        id: "shuffle",
+        name: "Shuffle",
+        pattern: { version: 1, bpm: 85, swing: 1, tracks: { kick: "x.....x.x.....x.", snare: "....x..x....x..x" } }
+    }
+];
+
+function findPracticePattern(id) {
+    return PRACTICE_PATTERNS.find(function (practice) {
+        return practice.id === id;
+    }) || null;
+}
+
+// A string that's the same for patterns that play the same, so each one can have its own best score
+function getPatternKey(target) {
+    const tracks = Object.keys(target.tracks).sort().filter(function (id) {
+        return target.tracks[id].indexOf(true) !== -1;
+    }).map(function (id) {
+        return id + ":" + target.tracks[id].map(function (on) {
+            return on ? "x" : ".";
+        }).join("");
+    });
+    return [target.bpm, target.swing].concat(tracks).join("|");
+}
+
+// ===== SESSIONS =====
+
+const COUNT_IN_BARS = 1;
+const ON_TIME_MS = 30; // Hits this close to their note are on time
+const HIT_WINDOW_MS = 150; // Hits further than this from every note of their drum are extra hits
+
+let session = null;
+
+function isTraining() {
+    return session !== null;
+}
+
+// This function starts a session of `bars` bars of `target` after a bar of count-in
+// `onStep(bar, step, time)` is called as each step is scheduled, slightly ahead of `time`, with a
+// bar of -1 during the count-in; `onEnd(results)` is called once the last bar is over (see
+// summariseTraining). Throws an Error if the pattern has nothing to play
+function startTraining(target, bars, onStep, onEnd) {
+    const stepDuration = getStepDuration(target.bpm);
+    const countInStart = getAudioTime() + START_DELAY;
+    const start = countInStart + COUNT_IN_BARS * STEP_COUNT * stepDuration;
+
+    // Every note the player should play, when it's scheduled to sound
+    const notes = [];
+    for (let bar = 0; bar < bars; bar++) {
+        for (let step = 0; step < STEP_COUNT; step++) {
+            const time = start + (bar * STEP_COUNT + step) * stepDuration + getSwingOffset(step, target);
+            Object.keys(target.tracks).forEach(function (id) {
+                if (target.tracks[id][step]) notes.push({ id: id, time: time, deviation: null });
+            });
+        }
+    }
+    if (notes.length === 0) throw new Error("The pattern has no notes to play");
+
+    stopTraining();
+    resumeAudio();
+    session = {
+        target: target,
+        bars: bars,
+        stepDuration: stepDuration,
+        countInStart: countInStart,
+        start: start,
+        end: start + bars * STEP_COUNT * stepDuration,
+        latency: getOutputLatency(),
+        notes: notes,
+        extras: [], // Drum ids of hits that didn't belong to a note
+        nextStep: 0, // Steps scheduled so far, counting from the start of the count-in
+        onStep: onStep || null,
+        onEnd: onEnd || null,
+        timer: setInterval(scheduleTraining, LOOKAHEAD_MS)
+    };
+    scheduleTraining();
+}
+
+// Give up on the session without results
+function stopTraining() {
+    if (!session) return;
+
+    clearInterval(session.timer);
+    session = null;
+}
+
+// This function scores one hit of a drum, at `timeStamp` (the event's timeStamp)
+// The hit goes to the nearest note of its drum not played yet. Returns
+// { grade: "early" | "late" | "on time", deviation } with the deviation in milliseconds (negative
+// is early), { grade: "extra" } for a hit that isn't near any note, or null when there's no
+// session or the hit is in the count-in
+function scoreHit(id, timeStamp) {
+    if (!session) return null;
+
+    const hit = getAudioTimeOf(timeStamp);
+    const latency = hit.heard ? 0 : session.latency; // Moves the notes onto the hit's clock
+    const time = hit.time;
+    if (time < session.start + latency - HIT_WINDOW_MS / 1000) return null;
+
+    let nearest = null;
+    session.notes.forEach(function (note) {
+        if (note.id !== id || note.deviation !== null) return;
+        if (!nearest || Math.abs(note.time + latency - time) < Math.abs(nearest.time + latency - time)) nearest = note;
+    });
+
+    if (!nearest || Math.abs(nearest.time + latency - time) * 1000 > HIT_WINDOW_MS) {
+        session.extras.push(id);
+        return { grade: "extra" };
+    }
+
+    nearest.deviation = (time - nearest.time - latency) * 1000;
+    return { grade: getGrade(nearest.deviation), deviation: nearest.deviation };
+}
+
+function getGrade(deviation) {
+    if (Math.abs(deviation) <= ON_TIME_MS) return "on time";
+    return deviation < 0 ? "early" : "late";
+}
+
+// Click every beat and report every step due in the lookahead window, then end the session
+// once the last note's window has passed
+function scheduleTraining() {
+    const now = getAudioTime();
+    const totalSteps = (COUNT_IN_BARS + session.bars) * STEP_COUNT;
+
+    while (session.nextStep < totalSteps) {
+        const time = session.countInStart + session.nextStep * session.stepDuration;
+        if (time >= now + SCHEDULE_AHEAD) break;
+
+        const step = session.nextStep % STEP_COUNT;
+        if (step % 4 === 0) playClick(time, step === 0);
+        if (session.onStep) session.onStep(Math.floor(session.nextStep / STEP_COUNT) - COUNT_IN_BARS, step, time);
+        session.nextStep++;
+    }
+
+    // Late hits on the last note still count, even when they're timed with currentTime
+    if (now > session.end + session.latency + HIT_WINDOW_MS / 1000) {
+        const finished = session;
+        stopTraining();
+        if (finished.onEnd) finished.onEnd(summariseTraining(finished.notes, finished.extras));
+    }
+}
+
+// ===== RESULTS =====
+// Each note earns a point when it's hit on time, less the further out it was, down to nothing at
+// the edge of the hit window; extra hits take half a point off. The score is the points as a
+// percentage of the notes
+// Returns {
+//   score, notes, onTime, early, late, missed, extra,
+//   average, spread - mean deviation and its standard deviation in ms (null without hits),
+//   drums: [{ id, notes, deviations: [ms, ...], average }] in the order the drums first appear
+// }
+
+function summariseTraining(notes, extras) {
+    const results = { score: 0, notes: notes.length, onTime: 0, early: 0, late: 0, missed: 0, extra: extras.length, average: null, spread: null, drums: [] };
+    const deviations = [];
+    let points = 0;
+
+    notes.forEach(function (note) {
+        let drum = results.drums.find(function (candidate) {
+            return candidate.id === note.id;
+        });
+        if (!drum) {
+            drum = { id: note.id, notes: 0, deviations: [], average: null };
+            results.drums.push(drum);
+        }
+        drum.notes++;
+
+        if (note.deviation === null) {
+            results.missed++;
+            return;
+        }
+        const grade = getGrade(note.deviation);
+        if (grade === "on time") results.onTime++;
+        else results[grade]++;
+
+        deviations.push(note.deviation);
+        drum.deviations.push(note.deviation);
+        points += 1 - Math.max(0, Math.abs(note.deviation) - ON_TIME_MS) / (HIT_WINDOW_MS - ON_TIME_MS);
+    });
+
+    results.score = Math.max(0, Math.round(100 * (points - extras.length / 2) / notes.length));
+    if (deviations.length > 0) {
+        results.average = getAverage(deviations);
+        results.spread = Math.sqrt(getAverage(deviations.map(function (deviation) {
+            return Math.pow(deviation - results.average, 2);
+        })));
+    }
+    results.drums.forEach(function (drum) {
+        if (drum.deviations.length > 0) drum.average = getAverage(drum.deviations);
+    });
+    return results;
+}
+
+function getAverage(values) {
+    return values.reduce(function (sum, value) {
+        return sum + value;
+    }, 0) / values.length;
+}